@@ -1,553 +1,388 @@
-const { chromium } = require("playwright");
 const path = require("path");
 const fs = require("fs");
-
-// ── Default configuration ──────────────────────────────────────────────────────
-// These defaults populate the settings UI on first launch.
-
-const DEFAULT_CONFIG = {
-  targetArticles: 100,
-  url: "https://news.ycombinator.com/newest",
-  maxRetries: 3,
-  retryDelayMs: 2000,
-  navigationTimeoutMs: 15000,
-  reportPath: path.join(__dirname, "report.html"),
-};
-
-// ── Console formatting helpers ─────────────────────────────────────────────────
-
-const fmt = {
-  green: (s) => `\x1b[32m${s}\x1b[0m`,
-  red: (s) => `\x1b[31m${s}\x1b[0m`,
-  yellow: (s) => `\x1b[33m${s}\x1b[0m`,
-  cyan: (s) => `\x1b[36m${s}\x1b[0m`,
-  bold: (s) => `\x1b[1m${s}\x1b[0m`,
-  dim: (s) => `\x1b[2m${s}\x1b[0m`,
+const { fmt, log } = require("./lib/log");
+const { DEFAULT_CONFIG, ROOT } = require("./lib/defaults");
+const { LISTINGS, ORDERING_DESCRIPTIONS } = require("./lib/listings");
+const { BROWSER_ENGINES, browserLauncher } = require("./lib/browsers");
+const { VALIDATION_RULES } = require("./lib/rules");
+const {
+  CONFIG_OPTIONS,
+  ConfigError,
+  DEFAULT_PROFILES_PATH,
+  parseBooleanEnv,
+  parseOptionValue,
+  readProfiles,
+  validateConfig,
+} = require("./lib/config");
+const { compareRuns, generateCompareHtml, printComparison, readResultDocument } = require("./lib/history");
+const { DEFAULT_DASHBOARD_PORT, openInDefaultBrowser, startDashboard } = require("./lib/dashboard");
+const { startValidation, validate, watch } = require("./lib/validate");
+
+// ── Command-line options ───────────────────────────────────────────────────────
+// The settings a run takes are described by CONFIG_OPTIONS (see lib/config.js);
+// here they are read from argv and the environment.
+
+// The library writes no files by default; from the command line the report,
+// history, artifacts, session and alert log go to the project folder
+const CLI_DEFAULTS = {
+  ...DEFAULT_CONFIG,
+  reportPath: path.join(ROOT, "report.html"),
+  historyDir: path.join(ROOT, "history"),
+  artifactsDir: path.join(ROOT, "artifacts"),
+  sessionPath: path.join(ROOT, "session.json"),
+  alertLogPath: path.join(ROOT, "alerts.log"),
 };
-
-function log(msg) {
-  const ts = new Date().toLocaleTimeString();
-  console.log(`${fmt.dim(`[${ts}]`)} ${msg}`);
-}
-
-// ── Settings UI ────────────────────────────────────────────────────────────────
-
-/**
- * Builds the settings dashboard HTML. Each CONFIG field gets its own
- * labeled input so the user can tweak values before kicking off a run.
- */
-function generateSettingsHtml(config) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>HN Validator — Settings</title>
-<style>
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; color: #333; padding: 2rem; }
-  .container { max-width: 720px; margin: 0 auto; }
-  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
-  .subtitle { color: #888; font-size: .85rem; margin-bottom: 1.5rem; }
-  .fields { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1.5rem; }
-  .field { background: #fff; border-radius: 8px; padding: 1rem; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
-  .field.full { grid-column: 1 / -1; }
-  .field label { display: block; font-size: .7rem; text-transform: uppercase; letter-spacing: .05em; color: #888; margin-bottom: .4rem; font-weight: 600; }
-  .field input { width: 100%; padding: .5rem .625rem; border: 1px solid #ddd; border-radius: 6px; font-size: .9rem; font-family: inherit; transition: border-color .15s; }
-  .field input:focus { outline: none; border-color: #ff6600; box-shadow: 0 0 0 3px rgba(255,102,0,.12); }
-  .field .hint { font-size: .7rem; color: #aaa; margin-top: .3rem; }
-  .actions { display: flex; gap: .75rem; align-items: center; }
-  #run-btn { background: #ff6600; color: #fff; border: none; padding: .7rem 2rem; border-radius: 8px; font-size: .95rem; font-weight: 600; cursor: pointer; transition: background .15s; }
-  #run-btn:hover { background: #e55b00; }
-  #run-btn:disabled { background: #ccc; cursor: not-allowed; }
-  #reset-btn { background: none; border: 1px solid #ddd; padding: .65rem 1.25rem; border-radius: 8px; font-size: .85rem; cursor: pointer; color: #666; transition: border-color .15s; }
-  #reset-btn:hover { border-color: #999; }
-  .status { font-size: .8rem; color: #888; margin-left: auto; }
-</style>
-</head>
-<body>
-  <div class="container">
-    <h1>Hacker News Sort Validator</h1>
-    <p class="subtitle">Configure the validation parameters below, then hit Run.</p>
-
-    <div class="fields">
-      <div class="field">
-        <label for="targetArticles">Target Articles</label>
-        <input type="number" id="targetArticles" value="${config.targetArticles}" min="1" max="500">
-        <div class="hint">Number of articles to validate (default: 100)</div>
-      </div>
-
-      <div class="field">
-        <label for="maxRetries">Max Retries</label>
-        <input type="number" id="maxRetries" value="${config.maxRetries}" min="0" max="10">
-        <div class="hint">Retry attempts per page navigation</div>
-      </div>
-
-      <div class="field">
-        <label for="retryDelayMs">Retry Delay (ms)</label>
-        <input type="number" id="retryDelayMs" value="${config.retryDelayMs}" min="0" max="30000" step="500">
-        <div class="hint">Wait time between retries</div>
-      </div>
-
-      <div class="field">
-        <label for="navigationTimeoutMs">Navigation Timeout (ms)</label>
-        <input type="number" id="navigationTimeoutMs" value="${config.navigationTimeoutMs}" min="1000" max="60000" step="1000">
-        <div class="hint">Max wait for a page to load</div>
-      </div>
-
-      <div class="field full">
-        <label for="url">Hacker News URL</label>
-        <input type="text" id="url" value="${config.url}">
-        <div class="hint">The page to scrape — change this if you want to test a different HN view</div>
-      </div>
-
-      <div class="field full">
-        <label for="reportPath">Report Output Path</label>
-        <input type="text" id="reportPath" value="${config.reportPath.replace(/\\/g, "\\\\")}">
-        <div class="hint">Where to save the HTML report on disk</div>
-      </div>
-    </div>
-
-    <div class="actions">
-      <button id="run-btn">Run Validation</button>
-      <button id="reset-btn">Reset Defaults</button>
-      <span class="status" id="status"></span>
-    </div>
-  </div>
-
-  <script>
-    const defaults = ${JSON.stringify(config)};
-
-    document.getElementById("reset-btn").addEventListener("click", () => {
-      document.getElementById("targetArticles").value = defaults.targetArticles;
-      document.getElementById("maxRetries").value = defaults.maxRetries;
-      document.getElementById("retryDelayMs").value = defaults.retryDelayMs;
-      document.getElementById("navigationTimeoutMs").value = defaults.navigationTimeoutMs;
-      document.getElementById("url").value = defaults.url;
-      document.getElementById("reportPath").value = defaults.reportPath;
-    });
-
-    document.getElementById("run-btn").addEventListener("click", () => {
-      const btn = document.getElementById("run-btn");
-      btn.disabled = true;
-      document.getElementById("status").textContent = "Starting validation...";
-
-      const settings = {
-        targetArticles: parseInt(document.getElementById("targetArticles").value, 10),
-        maxRetries: parseInt(document.getElementById("maxRetries").value, 10),
-        retryDelayMs: parseInt(document.getElementById("retryDelayMs").value, 10),
-        navigationTimeoutMs: parseInt(document.getElementById("navigationTimeoutMs").value, 10),
-        url: document.getElementById("url").value.trim(),
-        reportPath: document.getElementById("reportPath").value.trim(),
-      };
-
-      // Bridge to Node.js — this function is exposed by Playwright
-      window.__onSettingsSubmit(JSON.stringify(settings));
-    });
-  </script>
-</body>
-</html>`;
-}
-
-// ── Scraping ───────────────────────────────────────────────────────────────────
-
-/**
- * Pulls article data from the current HN page. Each article row (.athing)
- * is paired with a subtext row containing the age and title metadata.
- */
-async function scrapeArticles(page) {
-  return page.$$eval("tr.athing", (rows) =>
-    rows.map((row) => {
-      const titleAnchor = row.querySelector("td.title span.titleline > a");
-      const subtext = row.nextElementSibling;
-      const ageEl = subtext?.querySelector("span.age");
-
-      return {
-        title: titleAnchor?.textContent?.trim() ?? "(untitled)",
-        timestamp: ageEl?.getAttribute("title") ?? null,
-        ageText: ageEl?.textContent?.trim() ?? "",
-      };
-    })
-  );
+const DEFAULT_COMPARE_PATH = path.join(ROOT, "compare.html");
+
+/** The value given for `flag` as "--flag value" or "--flag=value", if present. */
+function findFlagValue(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      const raw = argv[i + 1];
+      if (raw === undefined || raw.startsWith("--")) throw new Error(`${flag} requires a value.`);
+      return raw;
+    }
+    if (argv[i].startsWith(`${flag}=`)) return argv[i].slice(flag.length + 1);
+  }
+  return undefined;
 }
 
 /**
- * Collects articles across multiple pages by following the "More" link.
- * Includes retry logic in case a page navigation fails mid-run.
+ * Resolves the run options from argv and the environment. Returns the
+ * validation config plus how the browser should be driven:
+ *   - headless:    launch Chromium without a window
+ *   - interactive: serve the settings UI and reports from the dashboard
+ *   - watch:       re-run on config.watchIntervalMs and send alerts
+ *   - profile:     the saved profile the config started from, if any
+ *   - profilesPath: the file profiles are read from and saved to
+ *   - port:        where the dashboard listens (see startDashboard())
+ * Headless and watch runs are always non-interactive since there is nobody
+ * to click.
+ * A profile sits between the defaults and the environment, so flags and
+ * env variables can still override single fields of it.
  */
-async function collectArticles(page, config) {
-  const articles = [];
-  let pageNum = 1;
-
-  while (articles.length < config.targetArticles) {
-    log(`Scraping page ${pageNum}... (${articles.length}/${config.targetArticles} articles so far)`);
-
-    const pageArticles = await scrapeArticles(page);
-
-    // Sanity check — if a page is empty something went wrong
-    if (pageArticles.length === 0) {
-      log(fmt.yellow("WARNING: Empty page encountered, stopping collection."));
-      break;
+function parseCliArgs(argv, env) {
+  const config = { ...CLI_DEFAULTS };
+  let headless = false;
+  let noUi = false;
+  let watch = false;
+
+  const profilesPath = path.resolve(findFlagValue(argv, "--profiles-file") ?? env.HN_PROFILES_FILE ?? DEFAULT_PROFILES_PATH);
+  const profile = findFlagValue(argv, "--profile") ?? env.HN_PROFILE ?? null;
+  const rawPort = findFlagValue(argv, "--port") ?? env.HN_PORT;
+  const port = rawPort === undefined ? DEFAULT_DASHBOARD_PORT : Number(rawPort);
+  if (rawPort !== undefined && (!/^\d+$/.test(rawPort) || port > 65535)) {
+    throw new Error(`--port must be between 0 and 65535 (got "${rawPort}").`);
+  }
+  if (profile) {
+    const { profiles } = readProfiles(profilesPath);
+    if (!profiles[profile]) {
+      const saved = Object.keys(profiles);
+      throw new Error(
+        `Unknown profile "${profile}". ${saved.length ? `Saved profiles: ${saved.join(", ")}.` : `No profiles saved in ${profilesPath}.`}`
+      );
     }
+    Object.assign(config, profiles[profile]);
+  }
 
-    // Filter out any articles with missing timestamps (shouldn't happen, but be safe)
-    const valid = pageArticles.filter((a) => a.timestamp !== null);
-    if (valid.length < pageArticles.length) {
-      log(
-        fmt.yellow(
-          `WARNING: ${pageArticles.length - valid.length} article(s) missing timestamps on page ${pageNum}.`
-        )
-      );
+  for (const option of CONFIG_OPTIONS) {
+    if (env[option.env] !== undefined) {
+      config[option.key] = parseOptionValue(option, env[option.env], option.env);
     }
+  }
+  if (env.HN_HEADLESS !== undefined) headless = parseBooleanEnv("HN_HEADLESS", env.HN_HEADLESS);
+  if (env.HN_NO_UI !== undefined) noUi = parseBooleanEnv("HN_NO_UI", env.HN_NO_UI);
+  if (env.HN_WATCH !== undefined) watch = parseBooleanEnv("HN_WATCH", env.HN_WATCH);
 
-    articles.push(...valid);
-    pageNum++;
+  let sawHeadless = false;
+  let sawHeaded = false;
 
-    if (articles.length < config.targetArticles) {
-      const moreLink = page.locator("a.morelink");
-      if ((await moreLink.count()) === 0) {
-        log(fmt.yellow("WARNING: No 'More' link found — ran out of pages."));
-        break;
-      }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
 
-      await navigateWithRetry(page, moreLink, config);
+    if (arg === "--help" || arg === "-h") return { help: true };
+    if (arg === "--headless") {
+      headless = sawHeadless = true;
+      continue;
+    }
+    if (arg === "--headed") {
+      headless = false;
+      sawHeaded = true;
+      continue;
+    }
+    if (arg === "--no-ui") {
+      noUi = true;
+      continue;
+    }
+    if (arg === "--watch") {
+      watch = true;
+      continue;
+    }
+    // Already applied above, before the environment
+    if (arg === "--profile" || arg === "--profiles-file" || arg === "--port") {
+      i++;
+      continue;
+    }
+    if (arg.startsWith("--profile=") || arg.startsWith("--profiles-file=") || arg.startsWith("--port=")) continue;
+
+    // Accept both "--flag value" and "--flag=value"
+    const eq = arg.indexOf("=");
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const option = CONFIG_OPTIONS.find((o) => o.flag === flag);
+    if (!option) {
+      throw new Error(`Unknown option "${arg}".`);
     }
-  }
-
-  return articles.slice(0, config.targetArticles);
-}
 
-/**
- * Clicks a navigation link with retry logic. HN can occasionally be slow
- * or drop a request, so we retry a few times before giving up.
- */
-async function navigateWithRetry(page, linkLocator, config) {
-  for (let attempt = 1; attempt <= config.maxRetries; attempt++) {
-    try {
-      await linkLocator.click();
-      await page.waitForSelector("span.age", {
-        timeout: config.navigationTimeoutMs,
-      });
-      return;
-    } catch (err) {
-      if (attempt === config.maxRetries) {
-        throw new Error(
-          `Navigation failed after ${config.maxRetries} attempts: ${err.message}`
-        );
+    let raw;
+    if (eq !== -1) {
+      raw = arg.slice(eq + 1);
+    } else if (option.type === "bool") {
+      // A bare boolean flag switches the option on
+      raw = "true";
+    } else {
+      raw = argv[++i];
+      if (raw === undefined || raw.startsWith("--")) {
+        throw new Error(`${flag} requires a value.`);
       }
-      log(
-        fmt.yellow(
-          `Navigation attempt ${attempt} failed, retrying in ${config.retryDelayMs}ms...`
-        )
-      );
-      await new Promise((r) => setTimeout(r, config.retryDelayMs));
     }
+    config[option.key] = parseOptionValue(option, raw, flag);
   }
-}
-
-// ── Validation ─────────────────────────────────────────────────────────────────
 
-/**
- * Walks the article list pairwise and flags any case where an article
- * appears older than the one after it (violating newest-first order).
- */
-function validateSortOrder(articles) {
-  const violations = [];
-
-  for (let i = 0; i < articles.length - 1; i++) {
-    const current = new Date(articles[i].timestamp);
-    const next = new Date(articles[i + 1].timestamp);
-
-    if (current < next) {
-      violations.push({
-        position: i + 1,
-        article: articles[i],
-        nextArticle: articles[i + 1],
-      });
-    }
+  if (sawHeadless && sawHeaded) {
+    throw new Error("--headless and --headed cannot be used together.");
   }
 
-  return violations;
-}
-
-// ── Console report ─────────────────────────────────────────────────────────────
-
-function printReport(articles, violations, durationMs) {
-  const seconds = (durationMs / 1000).toFixed(1);
-
-  console.log("\n" + "=".repeat(70));
-  console.log(fmt.bold("  Hacker News Sort Order — Validation Report"));
-  console.log("=".repeat(70));
-  console.log(`  Articles checked:  ${fmt.cyan(articles.length)}`);
-  console.log(`  Time elapsed:      ${fmt.cyan(seconds + "s")}`);
-  console.log(`  Oldest article:    ${fmt.dim(articles[articles.length - 1].timestamp)}`);
-  console.log(`  Newest article:    ${fmt.dim(articles[0].timestamp)}`);
-  console.log("-".repeat(70));
-
-  if (violations.length === 0) {
-    console.log(
-      fmt.green(
-        `  PASS: All ${articles.length} articles are correctly sorted newest to oldest.`
-      )
-    );
-  } else {
-    console.log(
-      fmt.red(`  FAIL: ${violations.length} sort order violation(s) detected.\n`)
-    );
-    for (const v of violations) {
-      console.log(fmt.red(`  #${v.position}: "${v.article.title}"`));
-      console.log(
-        `    ${v.article.timestamp} should come before ${v.nextArticle.timestamp}`
-      );
-    }
-  }
+  // Every field has been parsed on its own; this catches what only shows up
+  // against the filesystem, whichever of defaults, profile, env or flag set it
+  const [error] = validateConfig(config, (o) => o.flag).errors;
+  if (error) throw new ConfigError(error.key, error.message);
 
-  console.log("=".repeat(70) + "\n");
+  return { help: false, config, headless, interactive: !headless && !noUi && !watch, watch, profile, profilesPath, port };
 }
 
-// ── HTML report ────────────────────────────────────────────────────────────────
-
-function generateHtmlReport(articles, violations, durationMs, config) {
-  const passed = violations.length === 0;
-  const seconds = (durationMs / 1000).toFixed(1);
-
-  // Build a set of violation positions for quick lookup when rendering rows
-  const violationPositions = new Set(violations.map((v) => v.position));
-
-  const articleRows = articles
-    .map((a, i) => {
-      const isViolation = violationPositions.has(i + 1);
-      const rowClass = isViolation ? ' class="violation"' : "";
-      const badge = isViolation ? '<span class="badge">OUT OF ORDER</span>' : "";
-      return `
-        <tr${rowClass}>
-          <td>${i + 1}</td>
-          <td>${escapeHtml(a.title)}</td>
-          <td>${a.timestamp}</td>
-          <td>${a.ageText} ${badge}</td>
-        </tr>`;
-    })
-    .join("");
-
-  // Show the config that was used for this run
-  const configSummary = `
-    <div class="config-summary">
-      <span>URL: ${escapeHtml(config.url)}</span>
-      <span>Retries: ${config.maxRetries}</span>
-      <span>Timeout: ${config.navigationTimeoutMs}ms</span>
-    </div>`;
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width, initial-scale=1.0">
-<title>HN Sort Validation Report</title>
-<style>
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; color: #333; padding: 2rem; }
-  .container { max-width: 960px; margin: 0 auto; }
-  .header { display: flex; align-items: center; justify-content: space-between; margin-bottom: 1.5rem; flex-wrap: wrap; gap: .75rem; }
-  h1 { font-size: 1.5rem; }
-  #rerun-btn { background: #ff6600; color: #fff; border: none; padding: .55rem 1.25rem; border-radius: 8px; font-size: .85rem; font-weight: 600; cursor: pointer; transition: background .15s; }
-  #rerun-btn:hover { background: #e55b00; }
-  .summary { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem; }
-  .card { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; flex: 1; min-width: 140px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
-  .card .label { font-size: .75rem; text-transform: uppercase; letter-spacing: .05em; color: #888; margin-bottom: .25rem; }
-  .card .value { font-size: 1.25rem; font-weight: 600; }
-  .status-pass { color: #16a34a; }
-  .status-fail { color: #dc2626; }
-  .config-summary { display: flex; gap: 1.5rem; flex-wrap: wrap; font-size: .75rem; color: #999; margin-bottom: 1.5rem; }
-  table { width: 100%; border-collapse: collapse; background: #fff; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
-  th { background: #ff6600; color: #fff; text-align: left; padding: .625rem .75rem; font-size: .8rem; text-transform: uppercase; letter-spacing: .03em; }
-  td { padding: .5rem .75rem; border-bottom: 1px solid #eee; font-size: .85rem; }
-  tr:last-child td { border-bottom: none; }
-  tr.violation { background: #fef2f2; }
-  .badge { background: #dc2626; color: #fff; font-size: .65rem; padding: .15rem .4rem; border-radius: 4px; font-weight: 600; margin-left: .5rem; }
-  .footer { margin-top: 1.5rem; font-size: .75rem; color: #aaa; text-align: center; }
-</style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1>Hacker News Sort Validation Report</h1>
-      <button id="rerun-btn" onclick="window.__onRerun()">Run Again</button>
-    </div>
-    <div class="summary">
-      <div class="card">
-        <div class="label">Result</div>
-        <div class="value ${passed ? "status-pass" : "status-fail"}">${passed ? "PASS" : "FAIL"}</div>
-      </div>
-      <div class="card">
-        <div class="label">Articles Checked</div>
-        <div class="value">${articles.length}</div>
-      </div>
-      <div class="card">
-        <div class="label">Violations</div>
-        <div class="value ${violations.length > 0 ? "status-fail" : ""}">${violations.length}</div>
-      </div>
-      <div class="card">
-        <div class="label">Duration</div>
-        <div class="value">${seconds}s</div>
-      </div>
-    </div>
-    ${configSummary}
-    <table>
-      <thead>
-        <tr><th>#</th><th>Title</th><th>Timestamp (UTC)</th><th>Age</th></tr>
-      </thead>
-      <tbody>${articleRows}</tbody>
-    </table>
-    <div class="footer">Generated on ${new Date().toISOString()}</div>
-  </div>
-</body>
-</html>`;
-}
+function usageText() {
+  const ruleLines = VALIDATION_RULES.map((r) => `  ${r.id.padEnd(32)}${r.description}`);
+  const viewLines = LISTINGS.map((l) => `  ${l.id.padEnd(32)}/${l.path} — ${ORDERING_DESCRIPTIONS[l.ordering]}`);
+  const defaultText = (o) => {
+    const value = CLI_DEFAULTS[o.key];
+    if (o.type === "list") return value.length === o.choices().length ? "all" : value.join(",");
+    if (o.type === "bool") return value ? "on" : "off";
+    if (o.type === "int") return String(value);
+    return value || "none";
+  };
+  const optionLines = CONFIG_OPTIONS.map((o) => {
+    const range = o.type === "int" ? ` (${o.min}-${o.max})` : "";
+    return [
+      `  ${o.flag}${o.type === "bool" ? "" : ` <${o.type === "int" ? "n" : o.type}>`}`.padEnd(34) + `${o.description}${range}`,
+      `${" ".repeat(34)}env ${o.env}, default ${defaultText(o)}`,
+    ].join("\n");
+  });
 
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
+  return `Hacker News Sort Validator
+
+Usage: node index.js [options]
+       node index.js compare <before.json> <after.json> [--output <path>]
+
+With no options, a local dashboard starts on --port and opens in your default
+browser: pick settings there, follow the run and read its report. Pass
+--headless or --no-ui to skip the dashboard and run a single validation (e.g.
+from cron or CI).
+
+Options:
+${optionLines.join("\n")}
+  --headless                      Run the browsers without a window (implies --no-ui)
+                                  env HN_HEADLESS=1
+  --headed                        Show the browser windows (default)
+  --no-ui                         Skip the settings UI and run once
+                                  env HN_NO_UI=1
+  --watch                         Skip the settings UI and re-run every
+                                  --watch-interval-ms, alerting when the
+                                  verdict changes (Ctrl+C to stop)
+                                  env HN_WATCH=1
+  --profile <name>                Start from a saved settings profile
+                                  env HN_PROFILE
+  --profiles-file <path>          Where profiles are saved
+                                  env HN_PROFILES_FILE, default ${DEFAULT_PROFILES_PATH}
+  --port <n>                      Where the dashboard listens on 127.0.0.1 (0-65535,
+                                  0 picks a free port)
+                                  env HN_PORT, default ${DEFAULT_DASHBOARD_PORT}
+  -h, --help                      Show this message
+
+Views (for --views):
+${viewLines.join("\n")}
+
+Browsers (for --browsers):
+  ${BROWSER_ENGINES.join(", ")}. Each needs its browser installed:
+  npx playwright install <name>.
+
+Rules (for --rules):
+${ruleLines.join("\n")}
+
+Compare:
+  Diffs two saved result documents (--json-path exports, or the copies kept
+  under <history-dir>/results/): articles added, removed and moved, new and
+  resolved violations, and timing changes. Prints a summary and writes an
+  HTML report to --output (default ${DEFAULT_COMPARE_PATH}).
+
+Exit codes:
+  0  no rule reported an error (compare: no new violations; watch: the last
+     run passed)
+  1  a rule reported an error, or the run failed (compare: new violations;
+     watch: the last run failed)
+  2  invalid command-line options or environment variables
+`;
 }
 
 // ── Main ───────────────────────────────────────────────────────────────────────
 
 /**
- * Waits for the user to configure settings in the browser UI and click Run.
- * Returns the parsed config values from the form.
+ * Starts the dashboard, where each run goes settings -> progress -> report
+ * and "Run Again" returns to the settings, until Ctrl+C.
+ * In non-interactive mode the UI is skipped and a single run is made with
+ * the config resolved from the command line; watch mode repeats that run.
  */
-async function waitForSettings(page, config) {
-  // Expose the bridge function so the browser can pass settings back to Node
-  let resolveSettings;
-  const settingsPromise = new Promise((resolve) => {
-    resolveSettings = resolve;
-  });
+async function run(options) {
+  // Browsers are launched as runs need them and stay open between the
+  // dashboard's runs. Library runs print nothing themselves, so the runs
+  // below send the lines they log to the console.
+  const { openBrowser, closeAll } = browserLauncher({ headless: options.headless });
 
-  await page.exposeFunction("__onSettingsSubmit", (json) => {
-    resolveSettings(JSON.parse(json));
-  });
+  try {
+    if (options.watch) {
+      log(fmt.dim(JSON.stringify(options.config, null, 2)));
+      // Ctrl+C cancels the run in progress (or the wait) and ends the loop
+      const controller = new AbortController();
+      const stop = () => {
+        log(fmt.yellow("Stopping watch mode..."));
+        controller.abort();
+      };
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+      try {
+        const { runs, consecutiveFailures } = await watch(
+          options.config,
+          () => validate({ ...options.config, openBrowser, signal: controller.signal, onLog: console.log }),
+          { signal: controller.signal, onLog: console.log }
+        );
+        log(`Watch mode finished after ${runs} run(s).`);
+        if (consecutiveFailures > 0) process.exitCode = 1;
+      } finally {
+        process.off("SIGINT", stop);
+        process.off("SIGTERM", stop);
+      }
+      return;
+    }
 
-  await page.setContent(generateSettingsHtml(config));
-  log("Settings UI loaded — waiting for user input.");
+    if (!options.interactive) {
+      log(fmt.dim(JSON.stringify(options.config, null, 2)));
+      const result = await validate({ ...options.config, openBrowser, onLog: console.log });
+      if (!result.passed) {
+        process.exitCode = 1;
+      }
+      return;
+    }
 
-  return settingsPromise;
+    // Command-line values seed the settings page; each run started from it
+    // gets a progress page that turns into its report
+    const dashboard = await startDashboard(
+      options.config,
+      async (config, { onProgress, signal }) => {
+        const validation = startValidation({ ...config, openBrowser, signal });
+        validation.on("progress", onProgress);
+        validation.on("log", console.log);
+        const result = await validation.done;
+        if (!result.passed) process.exitCode = 1;
+        return result;
+      },
+      { port: options.port, profilesPath: options.profilesPath, profile: options.profile }
+    );
+    log(`Dashboard at ${fmt.cyan(dashboard.url)} — press Ctrl+C to stop.`);
+    openInDefaultBrowser(dashboard.url);
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+    log(fmt.yellow("Stopping the dashboard..."));
+    await dashboard.close();
+  } catch (err) {
+    log(fmt.red(`ERROR: ${err.message}`));
+    process.exitCode = 1;
+  } finally {
+    await closeAll();
+  }
 }
 
 /**
- * Runs one full validation cycle: scrape, validate, report.
- * Uses a separate page so the settings page stays available in history.
+ * Parses the arguments after `compare`: two result files and an optional
+ * --output path for the HTML report.
  */
-async function runValidation(context, config) {
-  const startTime = Date.now();
-  const page = await context.newPage();
-
-  try {
-    page.setDefaultTimeout(config.navigationTimeoutMs);
-
-    log(`Navigating to ${fmt.cyan(config.url)}`);
-    await page.goto(config.url, { waitUntil: "domcontentloaded" });
-    await page.waitForSelector("span.age");
-
-    const articles = await collectArticles(page, config);
-    const durationMs = Date.now() - startTime;
-
-    if (articles.length < config.targetArticles) {
-      log(
-        fmt.red(
-          `ERROR: Only collected ${articles.length}/${config.targetArticles} articles.`
-        )
-      );
-      return { success: false };
+function parseCompareArgs(argv) {
+  const files = [];
+  let output = DEFAULT_COMPARE_PATH;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") return { help: true };
+    if (arg === "--output" || arg.startsWith("--output=")) {
+      output = arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : argv[++i];
+      if (!output || output.startsWith("--")) throw new Error("--output requires a value.");
+      continue;
     }
+    if (arg.startsWith("-")) throw new Error(`Unknown compare option "${arg}".`);
+    files.push(arg);
+  }
 
-    const violations = validateSortOrder(articles);
-    printReport(articles, violations, durationMs);
-
-    // Save the HTML report to disk
-    const html = generateHtmlReport(articles, violations, durationMs, config);
-    fs.writeFileSync(config.reportPath, html);
-    log(`HTML report saved to ${fmt.cyan(config.reportPath)}`);
-
-    return { success: true, articles, violations, durationMs, html };
-  } finally {
-    await page.close();
+  if (files.length !== 2) {
+    throw new Error(`compare takes two result files (got ${files.length}): compare <before.json> <after.json>.`);
   }
+  return { help: false, before: path.resolve(files[0]), after: path.resolve(files[1]), output: path.resolve(output) };
 }
 
 /**
- * Main loop: show settings UI -> run validation -> show report -> repeat.
- * The user can click "Run Again" on the report to return to settings.
+ * `node index.js compare`: prints the comparison and saves its HTML report,
+ * with times in the zone and locale the later run was set to.
  */
-async function run() {
-  let browser;
-
+function runCompare(options) {
   try {
-    log(fmt.bold("Launching browser..."));
-    browser = await chromium.launch({ headless: false });
-    const context = await browser.newContext();
-
-    // This config object carries forward between runs so the user's
-    // previous values are preserved if they click "Run Again".
-    let activeConfig = { ...DEFAULT_CONFIG };
-
-    // Main loop — each iteration is one settings -> validate -> report cycle
-    let keepRunning = true;
-    while (keepRunning) {
-      const settingsPage = await context.newPage();
-
-      // Phase 1: collect user settings from the UI
-      const userSettings = await waitForSettings(settingsPage, activeConfig);
-      activeConfig = { ...userSettings };
-      log(fmt.bold("Settings received — starting validation."));
-      log(fmt.dim(JSON.stringify(activeConfig, null, 2)));
-      await settingsPage.close();
-
-      // Phase 2: scrape and validate
-      const result = await runValidation(context, activeConfig);
-
-      if (!result.success) {
-        process.exitCode = 1;
-        break;
-      }
-
-      if (result.violations.length > 0) {
-        process.exitCode = 1;
-      }
-
-      // Phase 3: show report with a "Run Again" option
-      const reportPage = await context.newPage();
-
-      let resolveRerun;
-      const rerunPromise = new Promise((resolve) => {
-        resolveRerun = resolve;
-      });
-
-      await reportPage.exposeFunction("__onRerun", () => {
-        resolveRerun(true);
-      });
-
-      await reportPage.setContent(result.html);
-      log(fmt.dim("Report displayed — click 'Run Again' or close the tab to exit."));
-
-      // Wait for either the "Run Again" click or the tab/window closing
-      const action = await Promise.race([
-        rerunPromise,
-        reportPage.waitForEvent("close").then(() => false),
-      ]);
-
-      // Clean up the report page if it's still open
-      if (!reportPage.isClosed()) await reportPage.close();
-
-      keepRunning = action === true;
-    }
+    const after = readResultDocument(options.after);
+    const comparison = compareRuns(readResultDocument(options.before), after, options);
+    const config = { ...DEFAULT_CONFIG, timeZone: after.config.timeZone, locale: after.config.locale };
+    printComparison(comparison, config);
+    fs.mkdirSync(path.dirname(options.output), { recursive: true });
+    fs.writeFileSync(options.output, generateCompareHtml(comparison, config));
+    log(`Comparison saved to ${fmt.cyan(options.output)}`);
+    if (comparison.summary.newViolations > 0) process.exitCode = 1;
   } catch (err) {
     log(fmt.red(`ERROR: ${err.message}`));
     process.exitCode = 1;
-  } finally {
-    if (browser) await browser.close();
   }
 }
 
-run();
+function main() {
+  const compare = process.argv[2] === "compare";
+  let options;
+  try {
+    options = compare ? parseCompareArgs(process.argv.slice(3)) : parseCliArgs(process.argv.slice(2), process.env);
+  } catch (err) {
+    console.error(fmt.red(`ERROR: ${err.message}`));
+    console.error("Run with --help to see the available options.");
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(usageText());
+    return;
+  }
+
+  return compare ? runCompare(options) : run(options);
+}
+
+module.exports = { parseCliArgs, parseCompareArgs };
+
+// Only start the browser when run directly (`node index.js`); the library
+// itself lives in lib/ (see lib/index.js).
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,98 @@
+const path = require("path");
+const fs = require("fs");
+const { spawn } = require("child_process");
+const { fmt, log } = require("./log");
+
+// ── Alerts ─────────────────────────────────────────────────────────────────────
+// Watch mode tells the outside world when the verdict changes. Each channel
+// is optional and fails on its own: a webhook that is down is logged and the
+// command and log file still get the alert. An alert looks like
+// { event: "failing" | "recovered", status, previousStatus,
+//   consecutiveFailures, run, at, reportPath, error, result } where `result`
+// is the run's JSON result document, or null with `error` set when the run
+// threw before it had one.
+
+// A hook that hangs must not stall the watch loop
+const ALERT_TIMEOUT_MS = 10 * 1000;
+
+async function postAlertWebhook(url, alert) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(alert),
+    signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+/**
+ * Runs the alert command through the shell with the alert as JSON on stdin
+ * and the headline fields in HN_ALERT_* environment variables.
+ */
+function runAlertCommand(command, alert) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      stdio: ["pipe", "inherit", "inherit"],
+      env: {
+        ...process.env,
+        HN_ALERT_EVENT: alert.event,
+        HN_ALERT_STATUS: alert.status,
+        HN_ALERT_CONSECUTIVE_FAILURES: String(alert.consecutiveFailures),
+        HN_ALERT_REPORT_PATH: alert.reportPath,
+      },
+    });
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`timed out after ${ALERT_TIMEOUT_MS}ms`));
+    }, ALERT_TIMEOUT_MS);
+    child.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on("exit", (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(signal ? `killed by ${signal}` : `exited with code ${code}`));
+    });
+    // Commands that never read stdin close it early; that is not a failure
+    child.stdin.on("error", () => {});
+    child.stdin.end(JSON.stringify(alert));
+  });
+}
+
+/** One JSON line per alert, without the full result document. */
+function appendAlertLog(file, alert) {
+  const { result, ...line } = alert;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ ...line, errors: result?.summary.errors ?? null }) + "\n");
+}
+
+/**
+ * Sends an alert to every configured channel. Returns one
+ * { channel, ok, error? } entry per channel that was tried.
+ */
+async function sendAlert(config, alert) {
+  const channels = [
+    ["webhook", config.alertWebhookUrl, () => postAlertWebhook(config.alertWebhookUrl, alert)],
+    ["command", config.alertCommand, () => runAlertCommand(config.alertCommand, alert)],
+    ["log", config.alertLogPath, () => appendAlertLog(config.alertLogPath, alert)],
+  ];
+
+  const deliveries = [];
+  for (const [channel, target, send] of channels) {
+    if (!target) continue;
+    try {
+      await send();
+      deliveries.push({ channel, ok: true });
+    } catch (err) {
+      log(fmt.yellow(`Alert ${channel} failed: ${err.message}`));
+      deliveries.push({ channel, ok: false, error: err.message });
+    }
+  }
+  return deliveries;
+}
+
+module.exports = {
+  sendAlert,
+};
@@ -0,0 +1,96 @@
+const path = require("path");
+const fs = require("fs");
+const { fmt, log } = require("./log");
+const { viewKey } = require("./listings");
+
+// ── Failure artifacts ──────────────────────────────────────────────────────────
+// When a view fails, the pages behind the failure are saved under
+// <artifactsDir>/<run id>/ so they can be inspected after HN has moved on.
+// Each artifact is { kind, page, url, positions, screenshot, html }, with
+// absolute file paths; `positions` lists the article rows it explains.
+
+// The dashboard serves artifactsDir under this path (see startDashboard())
+const ARTIFACTS_ROUTE = "/artifacts/";
+const TRACE_FILE = "trace.zip";
+
+/** Filesystem-safe id derived from the start time, e.g. 2026-02-11T16-17-00-000Z. */
+function runIdFor(startedAt) {
+  return new Date(startedAt).toISOString().replace(/[:.]/g, "-");
+}
+
+/** Full-page screenshot and HTML of a live page, or null if it cannot be captured. */
+async function capturePage(page) {
+  try {
+    return { url: page.url(), png: await page.screenshot({ fullPage: true }), html: await page.content() };
+  } catch {
+    return null;
+  }
+}
+
+/** Writes a capture as <name>.png and <name>.html and returns their paths. */
+function writeCapture(runDir, name, capture) {
+  fs.mkdirSync(runDir, { recursive: true });
+  const files = { screenshot: null, html: null };
+  if (capture.png) {
+    files.screenshot = path.join(runDir, `${name}.png`);
+    fs.writeFileSync(files.screenshot, capture.png);
+  }
+  files.html = path.join(runDir, `${name}.html`);
+  fs.writeFileSync(files.html, capture.html);
+  return files;
+}
+
+/**
+ * Saves every listing page that holds a row with an error finding (or, for
+ * a view that stopped short, the last page reached). The HTML is kept as it
+ * was scraped; the screenshot comes from rendering that HTML in a scratch
+ * tab, since the live listing has usually changed by now.
+ */
+async function captureFailingPages(context, result, snapshots, runDir) {
+  const positionsById = new Map();
+  for (const f of result.ruleResults.flatMap((r) => r.findings)) {
+    if (f.severity !== "error" || !f.position) continue;
+    const id = result.articles[f.position - 1]?.id;
+    if (!positionsById.has(id)) positionsById.set(id, []);
+    positionsById.get(id).push(f.position);
+  }
+
+  const failing = snapshots
+    .map((snap) => ({ snap, positions: [...new Set(snap.ids.flatMap((id) => positionsById.get(id) ?? []))] }))
+    .filter(({ positions }) => positions.length > 0);
+  if (!result.complete && snapshots.length > 0) failing.push({ snap: snapshots[snapshots.length - 1], positions: [] });
+
+  const artifacts = [];
+  for (const { snap, positions } of failing) {
+    const kind = positions.length ? "violation" : "incomplete";
+    const name = `${viewKey(result.view)}-page-${snap.page}`;
+    let png = null;
+    const scratch = await context.newPage();
+    try {
+      // <base> lets the stylesheet and images resolve against HN
+      await scratch.setContent(snap.html.replace(/<head[^>]*>/i, (head) => `${head}<base href="${snap.url}">`));
+      png = await scratch.screenshot({ fullPage: true });
+    } catch (err) {
+      log(fmt.yellow(`WARNING: Could not screenshot page ${snap.page}: ${err.message}`));
+    } finally {
+      await scratch.close();
+    }
+    artifacts.push({ kind, page: snap.page, url: snap.url, positions, ...writeCapture(runDir, name, { png, html: snap.html }) });
+  }
+  return artifacts;
+}
+
+/** Folder for one run's artifacts, named like its history entry. */
+function artifactsRunDir(config, startedAt) {
+  return config.artifactsDir ? path.join(config.artifactsDir, runIdFor(startedAt)) : null;
+}
+
+module.exports = {
+  ARTIFACTS_ROUTE,
+  TRACE_FILE,
+  runIdFor,
+  capturePage,
+  writeCapture,
+  captureFailingPages,
+  artifactsRunDir,
+};
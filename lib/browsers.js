@@ -0,0 +1,209 @@
+const { chromium, firefox, webkit, devices } = require("playwright");
+const path = require("path");
+const fs = require("fs");
+const { fmt, log } = require("./log");
+const { viewKey } = require("./listings");
+
+// ── Browsers ───────────────────────────────────────────────────────────────────
+// A run can be repeated in each Playwright engine. Every engine gets its own
+// browser context, which is where the device profile (viewport, user agent,
+// touch) is applied.
+
+const BROWSER_ENGINES = ["chromium", "firefox", "webkit"];
+const BROWSER_TYPES = { chromium, firefox, webkit };
+
+/**
+ * newContext() options for `device` in `engine`. Firefox cannot emulate
+ * mobile devices, so it gets the viewport and user agent without isMobile.
+ */
+function contextOptionsFor(engine, device) {
+  if (!device) return {};
+  const { defaultBrowserType, ...options } = devices[device];
+  if (engine === "firefox" && options.isMobile) {
+    log(fmt.yellow(`Firefox cannot emulate mobile devices — using the ${device} viewport and user agent only.`));
+    delete options.isMobile;
+  }
+  return options;
+}
+
+/**
+ * Returns openBrowser(engine), which launches each engine once and hands
+ * back the same browser afterwards, plus closeAll() for shutdown.
+ */
+function browserLauncher(launchOptions) {
+  const launched = new Map();
+  return {
+    openBrowser(engine) {
+      if (!launched.has(engine)) {
+        log(fmt.bold(`Launching ${engine}${launchOptions.headless ? " (headless)" : ""}...`));
+        launched.set(engine, BROWSER_TYPES[engine].launch(launchOptions));
+      }
+      return launched.get(engine);
+    },
+    async closeAll() {
+      const results = await Promise.allSettled(launched.values());
+      await Promise.all(results.filter((r) => r.status === "fulfilled").map((r) => r.value.close()));
+    },
+  };
+}
+
+// ── Recorded sessions ──────────────────────────────────────────────────────────
+// --session record routes every request of the run through Node, which
+// fetches it and keeps the response (status, headers and body) in the order
+// it arrived, per engine. At the end they are written to config.sessionPath
+// with the settings that decide which pages get requested and the time each
+// view started. --session replay answers the requests from that file with
+// the network cut off, takes those settings from it and runs the rules
+// against the recorded clock, so the run comes out the same offline. A URL
+// requested more than once (retries, drift re-reads) gets its recorded
+// responses in turn, a request that failed while recording fails again, and
+// one that was never recorded is aborted. HN API items fetched for the
+// api-consistency rule are kept and replayed the same way.
+
+const SESSION_MODES = ["off", "record", "replay"];
+const SESSION_VERSION = 1;
+
+// What decides which pages a run requests; a replay uses the recorded values
+const SESSION_KEYS = ["url", "views", "frontDay", "targetArticles", "fetchMode", "concurrency", "browsers", "device"];
+
+// These describe the body as it came over the wire; the recorded body is already decoded
+const UNRECORDED_HEADERS = ["content-encoding", "content-length", "transfer-encoding"];
+
+/** Reads a session file written by a recorded run. */
+function readSession(file) {
+  let session;
+  try {
+    session = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read session from ${file}: ${err.message}`);
+  }
+  if (session?.version !== SESSION_VERSION) {
+    throw new Error(`${file} is not a version ${SESSION_VERSION} session (version is ${JSON.stringify(session?.version)}).`);
+  }
+  return session;
+}
+
+/** `config` as a run will use it: a replay takes the SESSION_KEYS settings from its recording. */
+function applySession(config) {
+  if (config.session !== "replay") return config;
+  return { ...config, ...readSession(config.sessionPath).config };
+}
+
+/**
+ * Starts recording or replaying for a run that starts at `startTime`, or
+ * returns null with config.session off. The session's `startedAt` is the
+ * run's clock; attach() routes a browser context through it, viewClock()
+ * gives the time a view's rules are checked against, fetchJson() stands in
+ * for the HN API requests made from Node, and save() writes a recording
+ * once every context is closed.
+ */
+function openSession(config, startTime) {
+  if (config.session === "off") return null;
+
+  if (config.session === "replay") {
+    const recorded = readSession(config.sessionPath);
+    log(`Replaying the session recorded ${recorded.recordedAt} from ${fmt.cyan(config.sessionPath)}`);
+    return {
+      mode: "replay",
+      path: config.sessionPath,
+      recordedAt: recorded.recordedAt,
+      startedAt: recorded.startedAt,
+      async attach(context, engine) {
+        const responses = new Map();
+        for (const entry of recorded.requests[engine] ?? []) {
+          const key = `${entry.method} ${entry.url}`;
+          responses.set(key, [...(responses.get(key) ?? []), entry]);
+        }
+        await context.route("**/*", (route) => {
+          const request = route.request();
+          const queue = responses.get(`${request.method()} ${request.url()}`);
+          // The last response for a URL answers any further requests for it
+          const entry = queue?.length > 1 ? queue.shift() : queue?.[0];
+          if (!entry) return route.abort("internetdisconnected");
+          if (entry.error) return route.abort("connectionreset");
+          return route.fulfill({ status: entry.status, headers: entry.headers, body: Buffer.from(entry.body, "base64") });
+        });
+      },
+      viewClock: (view, now) => recorded.viewStarts[viewKey(view)] ?? now,
+      async fetchJson(url) {
+        const entry = recorded.api?.[url];
+        if (!entry) throw new Error(`${url} is not in the recorded session`);
+        if (entry.error) throw new Error(entry.error);
+        return entry.json;
+      },
+      save() {},
+    };
+  }
+
+  const requests = {};
+  const viewStarts = {};
+  const api = {};
+  return {
+    mode: "record",
+    path: config.sessionPath,
+    recordedAt: new Date(startTime).toISOString(),
+    startedAt: startTime,
+    async attach(context, engine) {
+      const entries = (requests[engine] = []);
+      await context.route("**/*", async (route) => {
+        const request = route.request();
+        const entry = { method: request.method(), url: request.url() };
+        entries.push(entry);
+        let response;
+        try {
+          response = await route.fetch();
+        } catch (err) {
+          entry.error = err.message;
+          await route.abort("connectionreset").catch(() => {});
+          return;
+        }
+        entry.status = response.status();
+        entry.headers = Object.fromEntries(
+          Object.entries(response.headers()).filter(([name]) => !UNRECORDED_HEADERS.includes(name))
+        );
+        entry.body = (await response.body()).toString("base64");
+        // The page may have given up on the request by now
+        await route.fulfill({ response }).catch(() => {});
+      });
+    },
+    viewClock(view, now) {
+      viewStarts[viewKey(view)] = now;
+      return now;
+    },
+    async fetchJson(url, load) {
+      try {
+        const json = await load(url);
+        api[url] = { json };
+        return json;
+      } catch (err) {
+        api[url] = { error: err.message };
+        throw err;
+      }
+    },
+    save() {
+      const session = {
+        version: SESSION_VERSION,
+        recordedAt: this.recordedAt,
+        startedAt: startTime,
+        config: Object.fromEntries(SESSION_KEYS.map((key) => [key, config[key]])),
+        viewStarts,
+        requests,
+        api,
+      };
+      fs.mkdirSync(path.dirname(config.sessionPath), { recursive: true });
+      fs.writeFileSync(config.sessionPath, JSON.stringify(session) + "\n");
+      const count = Object.values(requests).reduce((n, entries) => n + entries.length, 0);
+      log(`Session with ${count} response(s) recorded to ${fmt.cyan(config.sessionPath)}`);
+    },
+  };
+}
+
+module.exports = {
+  BROWSER_ENGINES,
+  contextOptionsFor,
+  browserLauncher,
+  SESSION_MODES,
+  readSession,
+  applySession,
+  openSession,
+};
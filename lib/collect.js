@@ -0,0 +1,773 @@
+const { setTimeout: sleep } = require("timers/promises");
+const { fmt, log } = require("./log");
+const { capturePage } = require("./artifacts");
+
+// ── Scraping ───────────────────────────────────────────────────────────────────
+
+/**
+ * One scraped HN listing row. Every downstream consumer (rules, reports,
+ * exports) works from this shape.
+ *
+ * @typedef {Object} Article
+ * @property {string|null} id         HN item id (the tr.athing id attribute)
+ * @property {number|null} rank       Rank number shown on the page ("31.")
+ * @property {string} title           Title link text, "(untitled)" if missing
+ * @property {string|null} url        Absolute title link URL (the item page for self posts)
+ * @property {string|null} domain     Site shown next to the title; null for Ask HN and other self posts
+ * @property {string|null} author     Submitter (a.hnuser); null for job ads
+ * @property {number|null} points     Score; null for job ads, which have none
+ * @property {number|null} comments   Comment count (0 for "discuss"); null when there is no link
+ * @property {string|null} timestamp  UTC timestamp from the span.age title attribute
+ * @property {string} ageText         Relative age text, e.g. "5 minutes ago"
+ */
+
+/**
+ * Pulls article data from the current HN page. Each article row (.athing)
+ * is paired with a subtext row containing the age, score, submitter and
+ * comment metadata. The row's id attribute is the HN item id, used to spot
+ * page drift.
+ *
+ * @returns {Promise<Article[]>}
+ */
+async function scrapeArticles(page) {
+  return page.$$eval("tr.athing", (rows) =>
+    rows.map((row) => {
+      const titleAnchor = row.querySelector("td.title span.titleline > a");
+      const subtext = row.nextElementSibling;
+      const ageEl = subtext?.querySelector("span.age");
+      const toInt = (text) => {
+        const n = parseInt(text ?? "", 10);
+        return Number.isNaN(n) ? null : n;
+      };
+
+      // The comments link is the last subtext link reading "N comments" or "discuss"
+      const commentsLink = Array.from(subtext?.querySelectorAll("a") ?? [])
+        .reverse()
+        .find((a) => /^(\d+\s*comments?|discuss)$/.test(a.textContent.trim()));
+      const commentsText = commentsLink?.textContent.trim();
+
+      return {
+        id: row.id || null,
+        rank: toInt(row.querySelector("span.rank")?.textContent),
+        title: titleAnchor?.textContent?.trim() ?? "(untitled)",
+        url: titleAnchor?.href || null,
+        domain: row.querySelector("span.sitestr")?.textContent?.trim() || null,
+        author: subtext?.querySelector("a.hnuser")?.textContent?.trim() || null,
+        points: toInt(subtext?.querySelector("span.score")?.textContent),
+        comments: commentsText === undefined ? null : commentsText === "discuss" ? 0 : toInt(commentsText),
+        timestamp: ageEl?.getAttribute("title") ?? null,
+        ageText: ageEl?.textContent?.trim() ?? "",
+      };
+    })
+  );
+}
+
+const FETCH_MODES = ["serial", "parallel"];
+
+/**
+ * Appends rows not collected yet, skipping rows without a timestamp.
+ * Returns how many rows were already seen (i.e. drifted duplicates).
+ */
+function appendNewRows(rows, articles, seenIds) {
+  let duplicates = 0;
+  for (const row of rows) {
+    if (row.id && seenIds.has(row.id)) {
+      duplicates++;
+      continue;
+    }
+    if (row.id) seenIds.add(row.id);
+    if (row.timestamp !== null) articles.push(row);
+  }
+  return duplicates;
+}
+
+/**
+ * Collects articles across multiple pages, starting from the listing the
+ * page is already on. Returns { articles, drift, pages, snapshots } where
+ * `pages` lists { page, url, rows, durationMs } for every page loaded.
+ * When config.artifactsDir is set, `snapshots` keeps each page's HTML as it
+ * was scraped ({ page, url, html, ids }) so a failure found afterwards can
+ * still be traced back to what HN served at the time.
+ * config.fetchMode picks between following the "More" links one at a time
+ * (serial, the default) and loading computed page URLs concurrently.
+ *
+ * `hooks` is optional: hooks.onProgress(event) hears about every page
+ * ({ type: "page", page, url, collected, target, articles }) and retry, and
+ * aborting hooks.signal stops after the current page. A cancelled run
+ * resolves with what it has so far and `cancelled: true`. So does a page
+ * that still fails after its retries, with `failure` describing it (see
+ * failureFrom()) instead of throwing the collected articles away.
+ */
+async function collectArticles(page, config, hooks = {}) {
+  if (config.fetchMode === "parallel") {
+    return collectArticlesParallel(page, config, hooks);
+  }
+  return collectArticlesSerial(page, config, hooks);
+}
+
+/** Tells hooks.onProgress about a scraped page, with the articles kept so far. */
+function reportPage(hooks, config, pageInfo, articles) {
+  hooks.onProgress?.({
+    type: "page",
+    page: pageInfo.page,
+    url: pageInfo.url,
+    collected: Math.min(articles.length, config.targetArticles),
+    target: config.targetArticles,
+    articles: articles.slice(0, config.targetArticles),
+  });
+}
+
+/**
+ * Walks the listing by clicking the "More" link, with retry logic in case
+ * a page navigation fails mid-run.
+ *
+ * /newest keeps moving while we paginate. New posts push the bottom of
+ * page N onto page N+1 (duplicates), and removed posts pull the top of
+ * page N+1 up onto page N (a gap we would silently skip). Duplicates are
+ * dropped by item id; a gap is suspected when the item the "More" link
+ * points at (its next= id) is missing from the page it leads to, and is
+ * recovered by re-reading the previous page.
+ */
+async function collectArticlesSerial(page, config, hooks) {
+  const articles = [];
+  const seenIds = new Set();
+  const drift = { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 };
+  const pages = [];
+  const snapshots = [];
+  let pageNum = 1;
+  let pageStart = Date.now();
+  let previousUrl = null;
+  let expectedFirstId = null;
+  let cancelled = false;
+  let failure = null;
+
+  const appendNew = (rows) => appendNewRows(rows, articles, seenIds);
+
+  try {
+    while (articles.length < config.targetArticles) {
+      log(`Scraping page ${pageNum}... (${articles.length}/${config.targetArticles} articles so far)`);
+
+      let pageArticles = await scrapeArticles(page);
+
+      // Sanity check — if a page is empty something went wrong
+      if (pageArticles.length === 0) {
+        log(fmt.yellow("WARNING: Empty page encountered, stopping collection."));
+        break;
+      }
+
+      if (
+        expectedFirstId &&
+        !seenIds.has(expectedFirstId) &&
+        !pageArticles.some((a) => a.id === expectedFirstId)
+      ) {
+        drift.gaps++;
+        const lastId = articles[articles.length - 1]?.id;
+        const currentUrl = page.url();
+        log(fmt.yellow(`WARNING: Item ${expectedFirstId} is missing from page ${pageNum} — re-reading the previous page.`));
+
+        await gotoWithRetry(page, previousUrl, config, hooks);
+        await page.waitForSelector("span.age", { timeout: config.navigationTimeoutMs });
+        const reread = await scrapeArticles(page);
+
+        // Anything unseen below our last article shifted up across the boundary.
+        // Without our last article there is no boundary to read below, and
+        // taking the whole page would append newer posts out of order.
+        const lastIndex = reread.findIndex((a) => a.id === lastId);
+        const shifted = lastIndex === -1 ? [] : reread.slice(lastIndex + 1).filter((a) => !seenIds.has(a.id));
+        appendNew(shifted);
+
+        if (shifted.length > 0) {
+          drift.recovered += shifted.length;
+          log(fmt.yellow(`Recovered ${shifted.length} item(s) that shifted onto page ${pageNum - 1}.`));
+        } else {
+          drift.unresolvedGaps++;
+          log(fmt.yellow("WARNING: Could not find the missing item(s) on the previous page."));
+        }
+
+        await gotoWithRetry(page, currentUrl, config, hooks);
+        await page.waitForSelector("span.age", { timeout: config.navigationTimeoutMs });
+        pageArticles = await scrapeArticles(page);
+      }
+
+      const missing = pageArticles.filter((a) => a.timestamp === null).length;
+      if (missing > 0) {
+        log(fmt.yellow(`WARNING: ${missing} article(s) missing timestamps on page ${pageNum}.`));
+      }
+
+      const duplicates = appendNew(pageArticles);
+      if (duplicates > 0) {
+        drift.duplicates += duplicates;
+        log(fmt.yellow(`Page drift: dropped ${duplicates} item(s) already collected from earlier pages.`));
+      }
+      pages.push({ page: pageNum, url: page.url(), rows: pageArticles.length, durationMs: Date.now() - pageStart });
+      if (config.audit) pages[pages.length - 1].audit = await auditPage(page);
+      if (config.artifactsDir) {
+        snapshots.push({ page: pageNum, url: page.url(), html: await page.content(), ids: pageArticles.map((a) => a.id) });
+      }
+      reportPage(hooks, config, pages[pages.length - 1], articles);
+      pageNum++;
+
+      if (articles.length < config.targetArticles && hooks.signal?.aborted) {
+        log(fmt.yellow(`Cancelled after ${articles.length}/${config.targetArticles} articles.`));
+        cancelled = true;
+        break;
+      }
+
+      if (articles.length < config.targetArticles) {
+        const moreLink = page.locator("a.morelink");
+        if ((await moreLink.count()) === 0) {
+          log(fmt.yellow("WARNING: No 'More' link found — ran out of pages."));
+          break;
+        }
+
+        // HN's More link carries the id of the item that should lead the next page
+        previousUrl = page.url();
+        const href = await moreLink.getAttribute("href");
+        expectedFirstId = href ? new URL(href, previousUrl).searchParams.get("next") : null;
+
+        pageStart = Date.now();
+        await navigateWithRetry(page, moreLink, config, hooks);
+      }
+    }
+  } catch (err) {
+    if (hooks.signal?.aborted) {
+      log(fmt.yellow(`Cancelled after ${articles.length}/${config.targetArticles} articles.`));
+      cancelled = true;
+    } else {
+      // Keep what was scraped; the rules still run on it
+      failure = failureFrom(err, pageNum, page.url());
+      log(fmt.red(`ERROR: Collection stopped at page ${pageNum} after ${articles.length} article(s): ${err.message}`));
+    }
+  }
+
+  return { articles: articles.slice(0, config.targetArticles), drift, pages, snapshots, cancelled, failure };
+}
+
+/**
+ * What collectArticles() reports when it had to give up on a page:
+ * { page, url, kind, attempts, message }, `kind` being a FAILURE_KINDS key
+ * (null for errors other than page loads).
+ */
+function failureFrom(err, pageNum, fallbackUrl) {
+  return {
+    page: pageNum,
+    url: err.url ?? fallbackUrl,
+    kind: err.kind ?? null,
+    attempts: err.attempts ?? null,
+    message: err.message,
+  };
+}
+
+/**
+ * The URL of the page `offset` pages after the one the "More" link points
+ * at, or null when it cannot be worked out. Ranked listings page with ?p=.
+ * /newest pages with a next= item-id cursor that is only known from the
+ * page before, and HN answers n= without it with the first page again.
+ */
+function pageUrlAfter(moreUrl, offset) {
+  const url = new URL(moreUrl);
+  if (offset === 0) return url.href;
+  if (!url.searchParams.has("p")) return null;
+
+  url.searchParams.set("p", Number(url.searchParams.get("p")) + offset);
+  return url.href;
+}
+
+/**
+ * Loads one listing page in its own tab and scrapes it. Resolves to
+ * { url, articles, hasMore, durationMs, html, audit } (html only with
+ * artifacts on, audit only with config.audit).
+ */
+async function fetchListingPage(context, url, config, hooks = {}) {
+  const start = Date.now();
+  const page = await context.newPage();
+  try {
+    page.setDefaultTimeout(config.navigationTimeoutMs);
+    if (config.audit) startPageAudit(page);
+    await gotoWithRetry(page, url, config, hooks);
+    const articles = await scrapeArticles(page);
+    const hasMore = (await page.locator("a.morelink").count()) > 0;
+    const html = config.artifactsDir ? await page.content() : null;
+    const audit = config.audit ? await auditPage(page) : null;
+    return { url, articles, hasMore, durationMs: Date.now() - start, html, audit };
+  } catch (err) {
+    // This tab is about to close, so grab what it shows before rethrowing
+    if (config.artifactsDir) err.capture = await capturePage(page);
+    throw err;
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Performance mode: computes the URLs of the following pages from the
+ * first page's "More" link and loads `config.concurrency` of them at a
+ * time in separate tabs, then stitches them back together in page order.
+ *
+ * Only ?p= listings can be paged this way. Cursor-paged /newest falls back
+ * to serial mode, since each page's URL comes from the page before it (see
+ * pageUrlAfter()). Duplicates are still dropped by item id, and a batch
+ * that brings no new articles at all ends the collection.
+ */
+async function collectArticlesParallel(page, config, hooks) {
+  const firstMore = page.locator("a.morelink");
+  if ((await firstMore.count()) > 0) {
+    const href = new URL(await firstMore.getAttribute("href"), page.url()).href;
+    if (pageUrlAfter(href, 1) === null) {
+      log(fmt.dim("This listing pages by cursor, so its pages are fetched one at a time."));
+      return collectArticlesSerial(page, config, hooks);
+    }
+  }
+
+  const articles = [];
+  const seenIds = new Set();
+  const drift = { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 };
+  const start = Date.now();
+
+  log(`Scraping page 1... (0/${config.targetArticles} articles so far)`);
+  const firstRows = await scrapeArticles(page);
+  const pages = [{ page: 1, url: page.url(), rows: firstRows.length, durationMs: Date.now() - start }];
+  if (config.audit) pages[0].audit = await auditPage(page);
+  const snapshots = [];
+  if (config.artifactsDir) {
+    snapshots.push({ page: 1, url: page.url(), html: await page.content(), ids: firstRows.map((a) => a.id) });
+  }
+  if (firstRows.length === 0) {
+    log(fmt.yellow("WARNING: Empty page encountered, stopping collection."));
+    return { articles, drift, pages, snapshots, cancelled: false, failure: null };
+  }
+  appendNewRows(firstRows, articles, seenIds);
+  reportPage(hooks, config, pages[0], articles);
+
+  const moreLink = page.locator("a.morelink");
+  if (articles.length >= config.targetArticles || (await moreLink.count()) === 0) {
+    if (articles.length < config.targetArticles) log(fmt.yellow("WARNING: No 'More' link found — ran out of pages."));
+    return { articles: articles.slice(0, config.targetArticles), drift, pages, snapshots, cancelled: false, failure: null };
+  }
+
+  const moreUrl = new URL(await moreLink.getAttribute("href"), page.url()).href;
+  const context = page.context();
+  const perPage = firstRows.length;
+  let offset = 0;
+  let lastPageReached = false;
+  let cancelled = false;
+  let failure = null;
+
+  while (articles.length < config.targetArticles && !lastPageReached && !failure) {
+    if (hooks.signal?.aborted) {
+      log(fmt.yellow(`Cancelled after ${articles.length}/${config.targetArticles} articles.`));
+      cancelled = true;
+      break;
+    }
+
+    // Enough pages to cover what is still missing, capped at the concurrency
+    const needed = Math.ceil((config.targetArticles - articles.length) / perPage);
+    const batchSize = Math.min(config.concurrency, needed);
+    const urls = Array.from({ length: batchSize }, (_, i) => pageUrlAfter(moreUrl, offset + i));
+    log(`Fetching pages ${offset + 2}-${offset + 1 + batchSize} in parallel...`);
+
+    const settled = await Promise.allSettled(urls.map((url) => fetchListingPage(context, url, config, hooks)));
+    // A cancelled batch is dropped whole; the loop check above reports it
+    if (hooks.signal?.aborted) continue;
+
+    // Pages up to the first one that failed for good still count
+    const failedAt = settled.findIndex((r) => r.status === "rejected");
+    const batch = (failedAt === -1 ? settled : settled.slice(0, failedAt)).map((r) => r.value);
+    if (failedAt !== -1) {
+      const err = settled[failedAt].reason;
+      failure = { ...failureFrom(err, offset + failedAt + 2, urls[failedAt]), capture: err.capture ?? null };
+    }
+
+    const collectedBefore = articles.length;
+    for (const [i, result] of batch.entries()) {
+      const pageNum = offset + i + 2;
+      pages.push({ page: pageNum, url: result.url, rows: result.articles.length, durationMs: result.durationMs });
+      if (result.audit) pages[pages.length - 1].audit = result.audit;
+      if (result.html) {
+        snapshots.push({ page: pageNum, url: result.url, html: result.html, ids: result.articles.map((a) => a.id) });
+      }
+
+      if (result.articles.length === 0) {
+        log(fmt.yellow("WARNING: Empty page encountered, stopping collection."));
+        lastPageReached = true;
+        break;
+      }
+      const duplicates = appendNewRows(result.articles, articles, seenIds);
+      if (duplicates > 0) {
+        drift.duplicates += duplicates;
+        log(fmt.yellow(`Page drift: dropped ${duplicates} item(s) already collected from earlier pages.`));
+      }
+      reportPage(hooks, config, pages[pages.length - 1], articles);
+      if (!result.hasMore) {
+        if (articles.length < config.targetArticles) log(fmt.yellow("WARNING: No 'More' link found — ran out of pages."));
+        lastPageReached = true;
+        break;
+      }
+    }
+    // Pages that only repeat what we have would be fetched forever
+    if (batch.length > 0 && !lastPageReached && articles.length === collectedBefore) {
+      log(fmt.yellow(`WARNING: Pages ${offset + 2}-${offset + 1 + batch.length} brought no new articles, stopping collection.`));
+      lastPageReached = true;
+    }
+    offset += batchSize;
+  }
+
+  // A failure past the end of the listing or the target cost nothing
+  if (failure && !lastPageReached && articles.length < config.targetArticles) {
+    log(fmt.red(`ERROR: Collection stopped at page ${failure.page} after ${articles.length} article(s): ${failure.message}`));
+  } else {
+    failure = null;
+  }
+  return { articles: articles.slice(0, config.targetArticles), drift, pages, snapshots, cancelled, failure };
+}
+
+/** One-line summary of the per-page load times, e.g. for the console. */
+function describePageTimings(pages) {
+  if (pages.length === 0) return "No pages loaded.";
+  const slowest = pages.reduce((a, b) => (b.durationMs > a.durationMs ? b : a));
+  const total = pages.reduce((n, p) => n + p.durationMs, 0);
+  return (
+    `${pages.length} page(s) loaded, ${Math.round(total / pages.length)}ms on average, ` +
+    `slowest #${slowest.page} at ${slowest.durationMs}ms.`
+  );
+}
+
+/** Mean load time of a view's pages in ms, or null when it has none. */
+function averagePageMs(view) {
+  const pages = view?.pages ?? [];
+  return pages.length ? Math.round(pages.reduce((n, p) => n + p.durationMs, 0) / pages.length) : null;
+}
+
+// ── Page audit ─────────────────────────────────────────────────────────────────
+// With config.audit on, every scraped page also gets a health check: the
+// console errors and failed requests seen since the previous page, the
+// status and timing of its own response, title links that lead nowhere, and
+// accessibility problems that show in the DOM alone (nothing that needs
+// rendering, such as contrast). Listeners go on each tab before its first
+// navigation (startPageAudit()); auditPage() takes what they saw so far
+// and adds the DOM checks. The audit is reported, but never fails a run.
+
+const AUDIT_ISSUES = {
+  "missing-title-link": "Row without a title link",
+  "broken-title-link": "Title link without a usable href",
+  "missing-lang": "Page without a lang attribute",
+  "link-without-text": "Link without text or a label",
+  "image-without-alt": "Image without alt text",
+  "duplicate-id": "Element id used more than once",
+};
+const AUDIT_SAMPLES = 3;
+
+// What each audited tab has seen since its last audit
+const pageAudits = new WeakMap();
+
+/** Starts collecting console errors, failed requests and the page's own response for `page`. */
+function startPageAudit(page) {
+  const seen = { consoleErrors: [], failedRequests: [], response: null };
+  page.on("console", (message) => {
+    // Chromium also logs every failed resource, which failedRequests already holds
+    if (message.type() === "error" && !message.text().startsWith("Failed to load resource")) {
+      seen.consoleErrors.push(message.text());
+    }
+  });
+  page.on("pageerror", (err) => seen.consoleErrors.push(err.message));
+  page.on("requestfailed", (request) => {
+    seen.failedRequests.push({ url: request.url(), error: request.failure()?.errorText ?? "failed" });
+  });
+  page.on("response", (response) => {
+    if (response.request().isNavigationRequest() && response.frame() === page.mainFrame()) seen.response = response;
+    if (response.status() >= 400) seen.failedRequests.push({ url: response.url(), status: response.status() });
+  });
+  pageAudits.set(page, seen);
+}
+
+/**
+ * Audits the page `page` shows now. Returns { status, timing, consoleErrors,
+ * failedRequests, issues }: `timing` holds the response, DOM-ready and load
+ * times in ms from the Navigation Timing entry, and `issues` one { type,
+ * count, samples } per AUDIT_ISSUES type found, with the first few elements'
+ * markup as samples.
+ */
+async function auditPage(page) {
+  const seen = pageAudits.get(page) ?? { consoleErrors: [], failedRequests: [], response: null };
+  const { timing, issues } = await page.evaluate((sampleCount) => {
+    const found = [];
+    const add = (type, elements) => {
+      if (elements.length === 0) return;
+      found.push({ type, count: elements.length, samples: elements.slice(0, sampleCount).map((el) => el.outerHTML.slice(0, 200)) });
+    };
+
+    const rows = Array.from(document.querySelectorAll("tr.athing"));
+    const titleLinks = rows.map((row) => row.querySelector("span.titleline > a"));
+    add("missing-title-link", rows.filter((row, i) => !titleLinks[i]));
+    add(
+      "broken-title-link",
+      titleLinks.filter((a) => {
+        const href = a?.getAttribute("href")?.trim();
+        return a && (!href || href === "#" || /^javascript:/i.test(href));
+      })
+    );
+
+    add("missing-lang", document.documentElement.lang ? [] : [document.documentElement]);
+    const labelled = (el) =>
+      el.textContent.trim() ||
+      el.getAttribute("aria-label")?.trim() ||
+      el.getAttribute("title")?.trim() ||
+      el.querySelector("img[alt]:not([alt='']), [title]:not([title=''])");
+    add("link-without-text", Array.from(document.querySelectorAll("a[href]")).filter((a) => !labelled(a)));
+    add("image-without-alt", Array.from(document.querySelectorAll("img:not([alt])")));
+    const byId = new Map();
+    for (const el of document.querySelectorAll("[id]")) byId.set(el.id, [...(byId.get(el.id) ?? []), el]);
+    add("duplicate-id", [...byId.values()].filter((els) => els.length > 1).map((els) => els[1]));
+
+    const nav = performance.getEntriesByType("navigation")[0];
+    // Event times are 0 until the event has happened
+    const ms = (t) => (t > 0 ? Math.round(t) : null);
+    return {
+      timing: nav
+        ? {
+            responseMs: Math.round(nav.responseEnd - nav.requestStart),
+            domReadyMs: ms(nav.domContentLoadedEventEnd),
+            loadMs: ms(nav.loadEventEnd),
+          }
+        : null,
+      issues: found,
+    };
+  }, AUDIT_SAMPLES);
+
+  // Whatever the tab sees next belongs to the next page
+  return {
+    status: seen.response?.status() ?? null,
+    timing,
+    consoleErrors: seen.consoleErrors.splice(0),
+    failedRequests: seen.failedRequests.splice(0),
+    issues,
+  };
+}
+
+/** Totals of the audits in `pages` (the ones without an audit are skipped). */
+function auditTotals(pages) {
+  const audits = pages.map((p) => p.audit).filter(Boolean);
+  return {
+    pages: audits.length,
+    consoleErrors: audits.reduce((n, a) => n + a.consoleErrors.length, 0),
+    failedRequests: audits.reduce((n, a) => n + a.failedRequests.length, 0),
+    badStatus: audits.filter((a) => a.status !== null && a.status >= 400).length,
+    issues: audits.reduce((n, a) => n + a.issues.reduce((m, i) => m + i.count, 0), 0),
+  };
+}
+
+/** One-line summary of the page audits, e.g. for the console. */
+function describeAudit(pages) {
+  const t = auditTotals(pages);
+  return (
+    `${t.pages} page(s) audited: ${t.consoleErrors} console error(s), ${t.failedRequests} failed request(s), ` +
+    `${t.issues} link or accessibility issue(s).`
+  );
+}
+
+// ── Retries ───────────────────────────────────────────────────────────────────
+// A failed page load is sorted into one of FAILURE_KINDS before deciding
+// whether and how long to wait:
+//   - rate-limit: HN's "Sorry, we're not able to serve your requests this
+//     quickly" page or HTTP 429. Retried, starting from a longer wait.
+//   - network:    the connection failed or the page did not arrive in time.
+//   - selector:   a page arrived but the listing never showed up in it.
+//   - http:       any other HTTP error. 5xx is retried; 4xx will not change.
+// Waits double from config.retryDelayMs up to config.retryMaxDelayMs, and
+// each is shortened by up to config.retryJitterPercent at random.
+
+const FAILURE_KINDS = {
+  "rate-limit": "rate limited by HN",
+  network: "network error or timeout",
+  selector: "listing missing from the page",
+  http: "HTTP error",
+};
+
+// Rate-limited retries start from this multiple of retryDelayMs
+const RATE_LIMIT_BACKOFF = 5;
+const HN_RATE_LIMIT_TEXT = "Sorry, we're not able to serve your requests this quickly";
+
+/** A page load that was given up on. `kind` is a FAILURE_KINDS key. */
+class NavigationError extends Error {
+  constructor(message, { kind, url, attempts }) {
+    super(message);
+    this.name = "NavigationError";
+    this.kind = kind;
+    this.url = url;
+    this.attempts = attempts;
+  }
+}
+
+/** How long to wait before retry number `attempt` after a `kind` failure. */
+function retryDelayFor(config, attempt, kind, random = Math.random) {
+  const base = config.retryDelayMs * (kind === "rate-limit" ? RATE_LIMIT_BACKOFF : 1);
+  const delay = Math.min(base * 2 ** (attempt - 1), config.retryMaxDelayMs);
+  return Math.round(delay * (1 - (config.retryJitterPercent / 100) * random()));
+}
+
+/**
+ * Works out which FAILURE_KINDS a failed load was. `response` is the
+ * navigation response if one arrived; `landed` says whether the tab got as
+ * far as a page of its own (not a browser error page or the old page).
+ */
+async function classifyFailure(page, response, landed) {
+  const status = response?.status() ?? null;
+  const text = await page.evaluate(() => document.body?.innerText ?? "").catch(() => "");
+  if (status === 429 || text.includes(HN_RATE_LIMIT_TEXT)) return "rate-limit";
+  if (status !== null && status >= 400) return "http";
+  return landed ? "selector" : "network";
+}
+
+/**
+ * Announces a retry to hooks.onProgress and waits it out. The wait ends
+ * early, with an AbortError, if the run is cancelled meanwhile.
+ */
+async function pauseBeforeRetry(hooks, config, url, attempt, err, kind, delayMs) {
+  hooks.onProgress?.({
+    type: "retry",
+    url,
+    attempt,
+    maxRetries: config.maxRetries,
+    delayMs,
+    error: err.message,
+    kind,
+  });
+  await sleep(delayMs, undefined, { signal: hooks.signal });
+}
+
+/**
+ * The shared retry loop: `load(attempt)` starts navigating (resolving to
+ * the response, if known), then the page must show `selector`. Failures are
+ * classified and retried per the policy above; the last one is thrown as a
+ * NavigationError whose message starts with `label`.
+ */
+async function loadWithRetry(page, url, selector, label, config, hooks, load) {
+  for (let attempt = 1; ; attempt++) {
+    const before = page.url();
+    let response = null;
+    try {
+      response = await load(attempt);
+      if (response && !response.ok()) {
+        throw new Error(`HTTP ${response.status()}`);
+      }
+      await page.waitForSelector(selector, { timeout: config.navigationTimeoutMs });
+      return;
+    } catch (err) {
+      if (hooks.signal?.aborted) throw err;
+      const current = page.url();
+      const landed = current !== before && !/^(chrome-error|about):/.test(current);
+      const kind = await classifyFailure(page, response, landed);
+      const retryable = kind !== "http" || response.status() >= 500;
+
+      if (!retryable) {
+        throw new NavigationError(`${label} failed: ${err.message} (not retried)`, { kind, url, attempts: attempt });
+      }
+      if (attempt >= config.maxRetries) {
+        throw new NavigationError(`${label} failed after ${config.maxRetries} attempts: ${err.message}`, {
+          kind,
+          url,
+          attempts: attempt,
+        });
+      }
+      const delayMs = retryDelayFor(config, attempt, kind);
+      log(fmt.yellow(`${label} failed on attempt ${attempt} (${FAILURE_KINDS[kind]}), retrying in ${delayMs}ms...`));
+      await pauseBeforeRetry(hooks, config, url, attempt, err, kind, delayMs);
+    }
+  }
+}
+
+/**
+ * page.goto() with the retry policy above. Only waits for the HN page
+ * frame, not for rows, since a page past the end of a listing is
+ * legitimately empty.
+ */
+async function gotoWithRetry(page, url, config, hooks = {}) {
+  await loadWithRetry(page, url, "#hnmain", `Loading ${url}`, config, hooks, () =>
+    page.goto(url, { waitUntil: "domcontentloaded" })
+  );
+}
+
+/**
+ * Clicks a navigation link with the retry policy above. HN can be slow,
+ * drop a request or rate-limit us. Retries load the link's URL directly
+ * rather than clicking again, so they resume from the last good page even
+ * when the tab was left on an error page.
+ */
+async function navigateWithRetry(page, linkLocator, config, hooks = {}) {
+  const url = new URL(await linkLocator.getAttribute("href"), page.url()).href;
+  await loadWithRetry(page, url, "span.age", "Navigation", config, hooks, async (attempt) => {
+    if (attempt > 1) return page.goto(url, { waitUntil: "domcontentloaded" });
+    const navigation = page.waitForResponse(
+      (res) => res.request().isNavigationRequest() && res.frame() === page.mainFrame(),
+      { timeout: config.navigationTimeoutMs }
+    );
+    // Awaited below; this only keeps a failed click from leaving it unhandled
+    navigation.catch(() => {});
+    await linkLocator.click();
+    return navigation;
+  });
+}
+
+// ── HN API ─────────────────────────────────────────────────────────────────────
+// The api-consistency rule compares what the page rendered with the same
+// items from HN's Firebase API (GET <apiBaseUrl>/item/<id>.json), so a
+// rendering bug can be told apart from a real ordering bug. The items are
+// fetched from Node once a view is collected, a few at a time.
+
+const API_RULE = "api-consistency";
+const API_CONCURRENCY = 8;
+
+async function fetchApiJson(url, timeoutMs) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+/**
+ * Fetches the API item for every id in `ids`. Returns { baseUrl, items,
+ * errors }: `items` maps each id that was fetched to the item, or to null
+ * when the API does not know it; `errors` holds { id, message } for the
+ * ones that could not be fetched. A recorded session keeps the responses
+ * (see openSession()).
+ */
+async function fetchApiItems(config, ids, session = null) {
+  const baseUrl = config.apiBaseUrl.replace(/\/+$/, "");
+  const queue = [...new Set(ids.filter(Boolean))];
+  const items = new Map();
+  const errors = [];
+
+  const load = (url) => fetchApiJson(url, config.navigationTimeoutMs);
+  const worker = async () => {
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const url = `${baseUrl}/item/${encodeURIComponent(id)}.json`;
+      try {
+        items.set(id, await (session ? session.fetchJson(url, load) : load(url)));
+      } catch (err) {
+        errors.push({ id, message: err.message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(API_CONCURRENCY, queue.length) }, worker));
+
+  return { baseUrl, items, errors };
+}
+
+module.exports = {
+  scrapeArticles,
+  FETCH_MODES,
+  collectArticles,
+  pageUrlAfter,
+  describePageTimings,
+  averagePageMs,
+  AUDIT_ISSUES,
+  startPageAudit,
+  describeAudit,
+  FAILURE_KINDS,
+  NavigationError,
+  retryDelayFor,
+  gotoWithRetry,
+  navigateWithRetry,
+  API_RULE,
+  fetchApiItems,
+};
@@ -0,0 +1,596 @@
+const { devices } = require("playwright");
+const path = require("path");
+const fs = require("fs");
+const { ROOT } = require("./defaults");
+const { TIME_ZONES } = require("./time");
+const { LISTINGS } = require("./listings");
+const { BROWSER_ENGINES, SESSION_MODES } = require("./browsers");
+const { FETCH_MODES } = require("./collect");
+const { TIE_RULES, VALIDATION_RULES } = require("./rules");
+
+// ── Config options ─────────────────────────────────────────────────────────────
+// Every DEFAULT_CONFIG field can be set from a flag or an environment variable.
+// Flags win over environment variables, which win over the defaults.
+// CONFIG_OPTIONS is also the schema for settings from the UI and profiles;
+// `label` names the field in the settings UI, and path options say whether
+// they name a file or a directory (`kind`) so they can be checked for writing.
+
+const CONFIG_OPTIONS = [
+  {
+    key: "targetArticles",
+    label: "Target Articles",
+    flag: "--target-articles",
+    env: "HN_TARGET_ARTICLES",
+    type: "int",
+    min: 1,
+    max: 500,
+    description: "Number of articles to validate",
+  },
+  {
+    key: "maxRetries",
+    label: "Max Retries",
+    flag: "--max-retries",
+    env: "HN_MAX_RETRIES",
+    type: "int",
+    min: 1,
+    max: 10,
+    description: "Attempts per page navigation",
+  },
+  {
+    key: "retryDelayMs",
+    label: "Retry Delay",
+    flag: "--retry-delay-ms",
+    env: "HN_RETRY_DELAY_MS",
+    type: "int",
+    min: 0,
+    max: 30000,
+    description: "First wait between retries; doubles with each attempt",
+  },
+  {
+    key: "retryMaxDelayMs",
+    label: "Max Retry Delay",
+    flag: "--retry-max-delay-ms",
+    env: "HN_RETRY_MAX_DELAY_MS",
+    type: "int",
+    min: 0,
+    max: 300000,
+    description: "Longest wait between retries",
+  },
+  {
+    key: "retryJitterPercent",
+    label: "Retry Jitter",
+    flag: "--retry-jitter-percent",
+    env: "HN_RETRY_JITTER_PERCENT",
+    type: "int",
+    min: 0,
+    max: 100,
+    description: "Shorten each wait by up to this percentage at random",
+  },
+  {
+    key: "navigationTimeoutMs",
+    label: "Navigation Timeout",
+    flag: "--navigation-timeout-ms",
+    env: "HN_NAVIGATION_TIMEOUT_MS",
+    type: "int",
+    min: 1000,
+    max: 60000,
+    description: "Max wait for a page to load",
+  },
+  {
+    key: "fetchMode",
+    label: "Fetch Mode",
+    flag: "--fetch-mode",
+    env: "HN_FETCH_MODE",
+    type: "choice",
+    choices: () => FETCH_MODES,
+    description: "serial (strict) or parallel (faster) paging",
+  },
+  {
+    key: "concurrency",
+    label: "Concurrency",
+    flag: "--concurrency",
+    env: "HN_CONCURRENCY",
+    type: "int",
+    min: 1,
+    max: 8,
+    description: "Pages loaded at once in parallel mode",
+  },
+  {
+    key: "url",
+    label: "Hacker News URL",
+    flag: "--url",
+    env: "HN_URL",
+    type: "url",
+    description: "The /newest page; other views resolve next to it",
+  },
+  {
+    key: "apiBaseUrl",
+    label: "HN API URL",
+    flag: "--api-base-url",
+    env: "HN_API_BASE_URL",
+    type: "url",
+    description: "Firebase-style HN API the api-consistency rule compares items with",
+  },
+  {
+    key: "views",
+    label: "Views",
+    flag: "--views",
+    env: "HN_VIEWS",
+    type: "list",
+    noun: "view",
+    choices: () => LISTINGS.map((l) => l.id),
+    description: "Comma-separated HN listings to validate",
+  },
+  {
+    key: "browsers",
+    label: "Browsers",
+    flag: "--browsers",
+    env: "HN_BROWSERS",
+    type: "list",
+    noun: "browser",
+    choices: () => BROWSER_ENGINES,
+    description: "Comma-separated engines to run the validation in",
+  },
+  {
+    key: "device",
+    label: "Device",
+    flag: "--device",
+    env: "HN_DEVICE",
+    type: "choice",
+    optional: true,
+    choices: () => Object.keys(devices),
+    description: 'Playwright device to emulate, e.g. "iPhone 12"',
+  },
+  {
+    key: "timeZone",
+    label: "Time Zone",
+    flag: "--time-zone",
+    env: "HN_TIME_ZONE",
+    type: "choice",
+    choices: () => TIME_ZONES,
+    description: 'IANA time zone for times in reports, e.g. "Europe/Berlin"',
+  },
+  {
+    key: "locale",
+    label: "Locale",
+    flag: "--locale",
+    env: "HN_LOCALE",
+    type: "locale",
+    description: 'Locale for dates and durations in reports, e.g. "de-DE"',
+  },
+  {
+    key: "frontDay",
+    label: "Front Page Day",
+    flag: "--front-day",
+    env: "HN_FRONT_DAY",
+    type: "date",
+    optional: true,
+    description: "Day for the front view (YYYY-MM-DD, UTC)",
+  },
+  {
+    key: "reportPath",
+    label: "Report Output Path",
+    flag: "--report-path",
+    env: "HN_REPORT_PATH",
+    type: "path",
+    kind: "file",
+    optional: true,
+    description: "Where to save the HTML report (empty to skip)",
+  },
+  {
+    key: "jsonPath",
+    label: "JSON Result Path",
+    flag: "--json-path",
+    env: "HN_JSON_PATH",
+    type: "path",
+    kind: "file",
+    optional: true,
+    description: "Where to save the JSON result document",
+  },
+  {
+    key: "junitPath",
+    label: "JUnit XML Path",
+    flag: "--junit-path",
+    env: "HN_JUNIT_PATH",
+    type: "path",
+    kind: "file",
+    optional: true,
+    description: "Where to save JUnit XML (one testcase per rule)",
+  },
+  {
+    key: "csvPath",
+    label: "CSV Path",
+    flag: "--csv-path",
+    env: "HN_CSV_PATH",
+    type: "path",
+    kind: "file",
+    optional: true,
+    description: "Where to save the article table as CSV",
+  },
+  {
+    key: "historyDir",
+    label: "History Directory",
+    flag: "--history-dir",
+    env: "HN_HISTORY_DIR",
+    type: "path",
+    kind: "dir",
+    optional: true,
+    description: "Where to keep the run history (empty to disable)",
+  },
+  {
+    key: "artifactsDir",
+    label: "Artifacts Directory",
+    flag: "--artifacts-dir",
+    env: "HN_ARTIFACTS_DIR",
+    type: "path",
+    kind: "dir",
+    optional: true,
+    description: "Where to save failure screenshots and HTML (empty to disable)",
+  },
+  {
+    key: "trace",
+    label: "Trace",
+    flag: "--trace",
+    env: "HN_TRACE",
+    type: "bool",
+    description: "Save a Playwright trace when the run fails",
+  },
+  {
+    key: "audit",
+    label: "Page Audit",
+    flag: "--audit",
+    env: "HN_AUDIT",
+    type: "bool",
+    description: "Audit each scraped page for errors, failed requests, timing and accessibility",
+  },
+  {
+    key: "session",
+    label: "Session",
+    flag: "--session",
+    env: "HN_SESSION",
+    type: "choice",
+    choices: () => SESSION_MODES,
+    description: "off, record the HN responses to the session file, or replay them from it",
+  },
+  {
+    key: "sessionPath",
+    label: "Session File",
+    flag: "--session-path",
+    env: "HN_SESSION_PATH",
+    type: "path",
+    optional: true,
+    description: "The recorded session to write or replay",
+  },
+  {
+    key: "sortToleranceMs",
+    label: "Sort Tolerance",
+    flag: "--sort-tolerance-ms",
+    env: "HN_SORT_TOLERANCE_MS",
+    type: "int",
+    min: 0,
+    max: 3600000,
+    description: "How far out of order an article may be before it fails",
+  },
+  {
+    key: "sortTies",
+    label: "Equal Timestamps",
+    flag: "--sort-ties",
+    env: "HN_SORT_TIES",
+    type: "choice",
+    choices: () => TIE_RULES,
+    description: "allow or strict (flag articles with the same timestamp)",
+  },
+  {
+    key: "watchIntervalMs",
+    label: "Watch Interval",
+    flag: "--watch-interval-ms",
+    env: "HN_WATCH_INTERVAL_MS",
+    type: "int",
+    min: 10000,
+    max: 86400000,
+    description: "Time between runs in watch mode",
+  },
+  {
+    key: "watchRuns",
+    label: "Watch Runs",
+    flag: "--watch-runs",
+    env: "HN_WATCH_RUNS",
+    type: "int",
+    min: 0,
+    max: 100000,
+    description: "Stop watching after this many runs (0 = until stopped)",
+  },
+  {
+    key: "alertWebhookUrl",
+    label: "Alert Webhook URL",
+    flag: "--alert-webhook-url",
+    env: "HN_ALERT_WEBHOOK_URL",
+    type: "url",
+    optional: true,
+    description: "POSTed the JSON result when a watched run changes verdict",
+  },
+  {
+    key: "alertCommand",
+    label: "Alert Command",
+    flag: "--alert-command",
+    env: "HN_ALERT_COMMAND",
+    type: "text",
+    optional: true,
+    description: "Shell command run on the same changes (alert JSON on stdin)",
+  },
+  {
+    key: "alertLogPath",
+    label: "Alert Log Path",
+    flag: "--alert-log-path",
+    env: "HN_ALERT_LOG_PATH",
+    type: "path",
+    kind: "file",
+    optional: true,
+    description: "File every alert is appended to (empty to disable)",
+  },
+  {
+    key: "rules",
+    label: "Validation Rules",
+    flag: "--rules",
+    env: "HN_RULES",
+    type: "list",
+    noun: "rule",
+    choices: () => VALIDATION_RULES.map((r) => r.id),
+    description: "Comma-separated validation rules to run",
+  },
+];
+
+/** A setting that failed validation. `key` names the DEFAULT_CONFIG field. */
+class ConfigError extends Error {
+  constructor(key, message) {
+    super(message);
+    this.name = "ConfigError";
+    this.key = key;
+  }
+}
+
+function parseBooleanEnv(name, raw) {
+  const value = raw.trim().toLowerCase();
+  if (["1", "true", "yes"].includes(value)) return true;
+  if (["", "0", "false", "no"].includes(value)) return false;
+  throw new Error(`${name} must be one of 1/0, true/false or yes/no (got "${raw}").`);
+}
+
+/**
+ * Converts a raw flag or env string into the typed value for a config field.
+ * `source` names where the value came from so errors point at the culprit.
+ */
+function parseOptionValue(option, raw, source) {
+  const value = String(raw).trim();
+  if (value === "" && option.optional) return "";
+
+  if (option.type === "int") {
+    if (!/^\d+$/.test(value)) {
+      throw new ConfigError(option.key, `${source} must be a whole number (got "${raw}").`);
+    }
+    const n = Number(value);
+    if (n < option.min || n > option.max) {
+      throw new ConfigError(option.key, `${source} must be between ${option.min} and ${option.max} (got ${n}).`);
+    }
+    return n;
+  }
+
+  if (option.type === "url") {
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch {
+      throw new ConfigError(option.key, `${source} must be a valid URL (got "${raw}").`);
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw new ConfigError(option.key, `${source} must be an http(s) URL (got "${raw}").`);
+    }
+    return parsed.href;
+  }
+
+  if (option.type === "list") {
+    const choices = option.choices();
+    const ids = value.split(",").map((id) => id.trim()).filter(Boolean);
+    if (ids.length === 0) {
+      throw new ConfigError(option.key, `${source} must name at least one ${option.noun}.`);
+    }
+    const unknown = ids.filter((id) => !choices.includes(id));
+    if (unknown.length > 0) {
+      throw new ConfigError(option.key, `${source} has unknown ${option.noun}(s): ${unknown.join(", ")}. Available: ${choices.join(", ")}.`);
+    }
+    return ids;
+  }
+
+  if (option.type === "bool") {
+    try {
+      return parseBooleanEnv(source, value);
+    } catch (err) {
+      throw new ConfigError(option.key, err.message);
+    }
+  }
+
+  if (option.type === "choice") {
+    const choices = option.choices();
+    if (!choices.includes(value)) {
+      // Playwright knows over a hundred devices; a few names show the format
+      const listed = choices.length > 10 ? `${choices.slice(0, 5).join(", ")}, ... (${choices.length} in all)` : choices.join(", ");
+      throw new ConfigError(option.key, `${source} must be one of ${listed} (got "${raw}").`);
+    }
+    return value;
+  }
+
+  if (option.type === "text") return value;
+
+  if (option.type === "locale") {
+    let supported = [];
+    try {
+      supported = Intl.DateTimeFormat.supportedLocalesOf(value);
+    } catch {
+      // Not a well-formed language tag
+    }
+    if (supported.length === 0) {
+      throw new ConfigError(option.key, `${source} must be a locale like en-US or de-DE (got "${raw}").`);
+    }
+    return supported[0];
+  }
+
+  if (option.type === "date") {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    // Date rolls 02-30 over into March; the round trip catches that
+    if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      throw new ConfigError(option.key, `${source} must be a date like 2026-02-10 (got "${raw}").`);
+    }
+    return value;
+  }
+
+  if (value === "") {
+    throw new ConfigError(option.key, `${source} must not be empty.`);
+  }
+  return path.resolve(value);
+}
+
+/**
+ * Output paths are created on demand, so the closest part of the path that
+ * already exists must be a writable directory (or, for a file that is
+ * already there, the file itself must be writable).
+ */
+function checkWritable(option, value, source) {
+  if (option.type !== "path" || value === "") return;
+
+  const wantDir = option.kind === "dir";
+  if (fs.existsSync(value)) {
+    if (fs.statSync(value).isDirectory() !== wantDir) {
+      throw new ConfigError(option.key, `${source} must be a ${wantDir ? "directory" : "file"}, but ${value} is not.`);
+    }
+  }
+
+  let existing = fs.existsSync(value) ? value : path.dirname(value);
+  while (!fs.existsSync(existing)) existing = path.dirname(existing);
+  if (existing !== value && !fs.statSync(existing).isDirectory()) {
+    throw new ConfigError(option.key, `${source} cannot be created because ${existing} is a file.`);
+  }
+  try {
+    fs.accessSync(existing, fs.constants.W_OK);
+  } catch {
+    throw new ConfigError(option.key, `${source} is not writable (${existing} does not allow writing).`);
+  }
+}
+
+/**
+ * Checks a complete set of settings against CONFIG_OPTIONS — from the
+ * settings UI, or what the command line resolved to. Returns the typed
+ * config and one { key, message } per bad field rather than stopping at the
+ * first, so a form can flag them all. `sourceOf` names a field in messages.
+ */
+function validateConfig(values, sourceOf = (option) => option.label) {
+  const config = {};
+  const errors = [];
+
+  for (const option of CONFIG_OPTIONS) {
+    const source = sourceOf(option);
+    const raw = values[option.key];
+    try {
+      if (raw === undefined || raw === null) {
+        throw new ConfigError(option.key, `${source} is required.`);
+      }
+      config[option.key] = parseOptionValue(option, Array.isArray(raw) ? raw.join(",") : raw, source);
+      checkWritable(option, config[option.key], source);
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      errors.push({ key: err.key, message: err.message });
+    }
+  }
+  for (const key of Object.keys(values)) {
+    if (!CONFIG_OPTIONS.some((o) => o.key === key)) errors.push({ key, message: `Unknown setting "${key}".` });
+  }
+  const sessionSource = sourceOf(CONFIG_OPTIONS.find((o) => o.key === "sessionPath"));
+  if (config.session && config.session !== "off" && config.sessionPath === "") {
+    errors.push({ key: "sessionPath", message: `${sessionSource} is required to ${config.session} a session.` });
+  }
+  if (config.session === "replay" && config.sessionPath && !fs.existsSync(config.sessionPath)) {
+    errors.push({ key: "sessionPath", message: `${sessionSource} has no recorded session to replay (${config.sessionPath} does not exist).` });
+  }
+  // A trace is kept with the run's artifacts, or next to the report without them
+  if (config.trace && config.artifactsDir === "" && config.reportPath === "") {
+    const source = sourceOf(CONFIG_OPTIONS.find((o) => o.key === "trace"));
+    errors.push({ key: "trace", message: `${source} needs an artifacts directory or report path to save the trace in.` });
+  }
+
+  return { config, errors };
+}
+
+// ── Profiles ───────────────────────────────────────────────────────────────────
+// Named sets of settings, saved from the settings UI so they survive
+// restarts and can be picked with --profile. The file looks like
+// { "version": 1, "profiles": { "<name>": { <config fields> } } }; a profile
+// may set any subset of the fields and the rest keep their defaults.
+
+const PROFILES_VERSION = 1;
+const DEFAULT_PROFILES_PATH = path.join(ROOT, "profiles.json");
+
+/**
+ * Checks one profile's settings with the same rules as flags and env
+ * variables and returns them typed.
+ */
+function parseProfile(name, values) {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error(`Profile "${name}" must be an object of settings.`);
+  }
+  const parsed = {};
+  for (const [key, value] of Object.entries(values)) {
+    const option = CONFIG_OPTIONS.find((o) => o.key === key);
+    if (!option) {
+      throw new Error(`Profile "${name}" has unknown setting "${key}".`);
+    }
+    parsed[key] = parseOptionValue(option, Array.isArray(value) ? value.join(",") : value, `Profile "${name}" ${key}`);
+  }
+  return parsed;
+}
+
+/** Validates every profile in a { profiles } map, as read from disk or imported. */
+function parseProfiles(profiles) {
+  if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
+    throw new Error("Profiles must be an object mapping names to settings.");
+  }
+  const parsed = {};
+  for (const [name, values] of Object.entries(profiles)) {
+    if (!name.trim()) throw new Error("Profile names must not be empty.");
+    parsed[name] = parseProfile(name, values);
+  }
+  return parsed;
+}
+
+/** Reads the profiles file; a missing file simply has no profiles yet. */
+function readProfiles(file) {
+  if (!fs.existsSync(file)) return { version: PROFILES_VERSION, profiles: {} };
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+  if (doc.version !== PROFILES_VERSION) {
+    throw new Error(`${file} has unsupported version ${doc.version} (expected ${PROFILES_VERSION}).`);
+  }
+  return { version: PROFILES_VERSION, profiles: parseProfiles(doc.profiles) };
+}
+
+/** Validates and saves the full set of profiles, replacing the file. Returns them typed. */
+function writeProfiles(file, profiles) {
+  const parsed = parseProfiles(profiles);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: PROFILES_VERSION, profiles: parsed }, null, 2) + "\n");
+  return parsed;
+}
+
+module.exports = {
+  CONFIG_OPTIONS,
+  ConfigError,
+  parseBooleanEnv,
+  parseOptionValue,
+  validateConfig,
+  DEFAULT_PROFILES_PATH,
+  readProfiles,
+  writeProfiles,
+};
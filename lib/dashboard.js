@@ -0,0 +1,358 @@
+const path = require("path");
+const fs = require("fs");
+const http = require("http");
+const { spawn } = require("child_process");
+const { fmt, log } = require("./log");
+const { ARTIFACTS_ROUTE } = require("./artifacts");
+const { applySession } = require("./browsers");
+const { DEFAULT_PROFILES_PATH, readProfiles, validateConfig, writeProfiles } = require("./config");
+const { escapeHtml } = require("./reports");
+const { HISTORY_INDEX, readHistory } = require("./history");
+const { generateProgressHtml, generateSettingsHtml } = require("./pages");
+
+// ── Dashboard ──────────────────────────────────────────────────────────────────
+// Interactive runs are driven from a small HTTP server on this machine. It
+// serves the settings, progress and report pages, so they work in any browser
+// and survive a reload. Playwright is only used for scraping. The endpoints
+// take and answer JSON:
+//   GET  /                        the settings page
+//   POST /api/settings/validate   settings -> { errors }
+//   POST /api/profiles            every profile -> { ok, profiles } or { ok: false, error }
+//   POST /api/runs                settings -> 202 { id, url }, 400 { errors }, or 409 while a run is going
+//   GET  /api/runs                the runs started from this dashboard
+//   GET  /api/runs/<id>           one run's state and, once finished, its verdict
+//   GET  /api/runs/<id>/events    its progress events, as a text/event-stream, or
+//                                 as { state, events, next } from ?after=<n> to poll
+//   POST /api/runs/<id>/cancel    stop the run after the current page
+//   GET  /api/runs/<id>/result    its result document (see buildResultDocument())
+//   GET  /api/reports             past runs from the history, with links to their reports
+//   GET  /runs/<id>               the progress page, then the run's report
+//   GET  /history/...             files under historyDir: the history page, reports, comparisons
+//   GET  /artifacts/...           files under artifactsDir: screenshots, page HTML, traces
+// Only requests addressed to the dashboard's own host and port are answered,
+// and changes must be JSON posts from its own pages. That keeps other
+// websites open in the same browser from starting runs or writing profiles.
+
+const DEFAULT_DASHBOARD_PORT = 4780;
+const DASHBOARD_FILE_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".json": "application/json",
+  ".jsonl": "application/x-ndjson",
+  ".png": "image/png",
+  ".zip": "application/zip",
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+  res.end(html);
+}
+
+/** The parsed JSON body of `req`, or undefined when it is not valid JSON. */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null");
+  } catch {
+    return undefined;
+  }
+}
+
+/** What GET /api/runs/<id> answers for a dashboard run. */
+function describeDashboardRun(run) {
+  const { result } = run;
+  return {
+    id: run.id,
+    state: run.state,
+    url: `/runs/${run.id}`,
+    startedAt: new Date(run.startedAt).toISOString(),
+    config: run.config,
+    passed: result?.passed ?? null,
+    success: result?.success ?? null,
+    cancelled: result?.cancelled ?? null,
+    error: run.error,
+    compareUrl: result?.historyEntry?.compareFile ? `/history/${result.historyEntry.compareFile}` : null,
+  };
+}
+
+/** Sends the run's progress event at `index` to an event stream, numbered for resuming. */
+function writeRunEvent(res, run, index) {
+  res.write(`id: ${index + 1}\ndata: ${JSON.stringify(run.events[index])}\n\n`);
+}
+
+/**
+ * Starts the dashboard on 127.0.0.1. `config` fills the settings page until
+ * the first run, and runOnce(config, hooks) makes each run the page starts,
+ * the way validate() does with { onProgress, signal } hooks. Only one run
+ * goes at a time. `options`:
+ *   - port:         the port to listen on; 0 picks a free one
+ *   - profilesPath: where the settings page reads and saves profiles
+ *   - profile:      the profile to show as selected
+ * Resolves to { url, runs, close() }. close() cancels a run in progress and
+ * waits for its report before stopping the server.
+ */
+async function startDashboard(config, runOnce, options = {}) {
+  const { port = DEFAULT_DASHBOARD_PORT, profilesPath = DEFAULT_PROFILES_PATH, profile = null } = options;
+  let activeConfig = { ...config };
+  const runs = [];
+
+  const startRun = (settings) => {
+    // The settings page opens with the last run's settings, as "Run Again" did
+    activeConfig = settings;
+    const run = {
+      id: String(runs.length + 1),
+      config: settings,
+      startedAt: Date.now(),
+      state: "running",
+      events: [],
+      streams: new Set(),
+      controller: new AbortController(),
+      result: null,
+      error: null,
+    };
+    runs.push(run);
+
+    const onProgress = (event) => {
+      run.events.push(event);
+      for (const res of run.streams) writeRunEvent(res, run, run.events.length - 1);
+    };
+    run.done = runOnce(settings, { onProgress, signal: run.controller.signal })
+      .then((result) => {
+        run.result = result;
+        run.state = result.cancelled ? "cancelled" : "done";
+      })
+      .catch((err) => {
+        log(fmt.red(`ERROR: ${err.message}`));
+        run.error = err.message;
+        run.state = "error";
+      })
+      .finally(() => {
+        // Tells the progress page to reload into the report
+        for (const res of run.streams) res.end("event: end\ndata: {}\n\n");
+        run.streams.clear();
+      });
+    return run;
+  };
+
+  const serveRunEvents = (req, res, run, url) => {
+    const after = Number(req.headers["last-event-id"] ?? url.searchParams.get("after") ?? 0) || 0;
+    if (!req.headers.accept?.includes("text/event-stream")) {
+      sendJson(res, 200, { state: run.state, events: run.events.slice(after), next: run.events.length });
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+    for (let i = after; i < run.events.length; i++) writeRunEvent(res, run, i);
+    if (run.state !== "running") {
+      res.end("event: end\ndata: {}\n\n");
+      return;
+    }
+    run.streams.add(res);
+    req.on("close", () => run.streams.delete(res));
+  };
+
+  // Files under the history or artifacts directory. The history page links
+  // between its files, and a run's artifacts folder gets a plain listing.
+  const serveDirFile = (res, dir, route, relative, index) => {
+    const root = dir ? path.resolve(dir) : null;
+    const file = root && path.resolve(root, decodeURIComponent(relative) || index || ".");
+    if (!file || !file.startsWith(root + path.sep) || !fs.existsSync(file)) {
+      sendJson(res, 404, { error: "No such file." });
+      return;
+    }
+    if (fs.statSync(file).isDirectory()) {
+      const base = route + path.relative(root, file).split(path.sep).map(encodeURIComponent).join("/");
+      const items = fs
+        .readdirSync(file)
+        .map((name) => `<li><a href="${escapeHtml(`${base}/${encodeURIComponent(name)}`)}">${escapeHtml(name)}</a></li>`);
+      sendHtml(res, 200, `<!DOCTYPE html><h1>${escapeHtml(path.basename(file))}</h1><ul>${items.join("")}</ul>`);
+      return;
+    }
+    res.writeHead(200, { "Content-Type": DASHBOARD_FILE_TYPES[path.extname(file)] ?? "application/octet-stream" });
+    fs.createReadStream(file).pipe(res);
+  };
+
+  const handle = async (req, res) => {
+    const host = `127.0.0.1:${server.address().port}`;
+    if (req.headers.host !== host && req.headers.host !== host.replace("127.0.0.1", "localhost")) {
+      sendJson(res, 403, { error: "The dashboard only answers on its own address." });
+      return;
+    }
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    let body;
+    if (req.method === "POST") {
+      const origin = req.headers.origin;
+      if (!req.headers["content-type"]?.startsWith("application/json") || (origin && origin !== `http://${req.headers.host}`)) {
+        sendJson(res, 403, { error: "Changes must be JSON posted from the dashboard's own pages." });
+        return;
+      }
+      body = await readJsonBody(req);
+      if (body === undefined) {
+        sendJson(res, 400, { error: "The request body is not valid JSON." });
+        return;
+      }
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    if (route === "GET /") {
+      // A broken profiles file must not lock the user out of the page that fixes it
+      let profileState;
+      try {
+        profileState = { profiles: readProfiles(profilesPath).profiles, selected: profile };
+      } catch (err) {
+        log(fmt.yellow(`WARNING: ${err.message}`));
+        profileState = { profiles: {}, selected: null, error: err.message };
+      }
+      sendHtml(res, 200, generateSettingsHtml(activeConfig, profileState));
+      return;
+    }
+    if (route === "POST /api/settings/validate") {
+      sendJson(res, 200, { errors: validateConfig(body ?? {}).errors });
+      return;
+    }
+    if (route === "POST /api/profiles") {
+      try {
+        const saved = writeProfiles(profilesPath, body);
+        log(`Profiles saved to ${fmt.cyan(profilesPath)}`);
+        sendJson(res, 200, { ok: true, profiles: saved });
+      } catch (err) {
+        sendJson(res, 400, { ok: false, error: err.message });
+      }
+      return;
+    }
+    if (route === "POST /api/runs") {
+      const running = runs.find((r) => r.state === "running");
+      if (running) {
+        sendJson(res, 409, { error: "A run is already in progress.", url: `/runs/${running.id}` });
+        return;
+      }
+      const { config: settings, errors } = validateConfig(body ?? {});
+      if (errors.length > 0) {
+        sendJson(res, 400, { errors });
+        return;
+      }
+      const run = startRun(settings);
+      log(fmt.bold(`Settings received — starting run ${run.id}.`));
+      log(fmt.dim(JSON.stringify(settings, null, 2)));
+      sendJson(res, 202, { id: run.id, url: `/runs/${run.id}` });
+      return;
+    }
+    if (route === "GET /api/runs") {
+      sendJson(res, 200, runs.map(describeDashboardRun));
+      return;
+    }
+    if (route === "GET /api/reports") {
+      const entries = activeConfig.historyDir ? readHistory(activeConfig.historyDir) : [];
+      sendJson(
+        res,
+        200,
+        entries.map((e) => ({
+          ...e,
+          reportUrl: e.reportFile ? `/history/${e.reportFile}` : null,
+          compareUrl: e.compareFile ? `/history/${e.compareFile}` : null,
+        }))
+      );
+      return;
+    }
+
+    const runMatch = url.pathname.match(/^(\/api)?\/runs\/([^/]+)(?:\/(events|cancel|result))?$/);
+    const run = runMatch && runs.find((r) => r.id === runMatch[2]);
+    if (runMatch && !run) {
+      sendJson(res, 404, { error: `No run ${runMatch[2]}.` });
+      return;
+    }
+    const [, api, , action] = runMatch ?? [];
+    if (run && !api && !action && req.method === "GET") {
+      if (run.state === "running") {
+        sendHtml(res, 200, generateProgressHtml(applySession(run.config)));
+      } else if (run.result) {
+        sendHtml(res, 200, run.result.html);
+      } else {
+        sendHtml(res, 500, `<!DOCTYPE html><p>The run failed: ${escapeHtml(run.error)}</p><p><a href="/">Back to the settings</a></p>`);
+      }
+      return;
+    }
+    if (run && api && req.method === "GET" && !action) {
+      sendJson(res, 200, describeDashboardRun(run));
+      return;
+    }
+    if (run && api && req.method === "GET" && action === "events") {
+      serveRunEvents(req, res, run, url);
+      return;
+    }
+    if (run && api && req.method === "POST" && action === "cancel") {
+      if (run.state !== "running") {
+        sendJson(res, 409, { error: `Run ${run.id} has already finished.` });
+        return;
+      }
+      log(fmt.yellow("Cancel requested — stopping after the current page."));
+      run.controller.abort();
+      sendJson(res, 202, describeDashboardRun(run));
+      return;
+    }
+    if (run && api && req.method === "GET" && action === "result") {
+      if (!run.result) {
+        sendJson(res, 409, { error: `Run ${run.id} has no result ${run.state === "running" ? "yet" : `(${run.error})`}.` });
+        return;
+      }
+      sendJson(res, 200, run.result.document);
+      return;
+    }
+    if (req.method === "GET" && url.pathname.startsWith("/history/")) {
+      serveDirFile(res, activeConfig.historyDir, "/history/", url.pathname.slice("/history/".length), HISTORY_INDEX);
+      return;
+    }
+    if (req.method === "GET" && url.pathname.startsWith(ARTIFACTS_ROUTE)) {
+      serveDirFile(res, activeConfig.artifactsDir, ARTIFACTS_ROUTE, url.pathname.slice(ARTIFACTS_ROUTE.length));
+      return;
+    }
+    sendJson(res, 404, { error: `Nothing at ${req.method} ${url.pathname}.` });
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      log(fmt.red(`ERROR: dashboard: ${err.message}`));
+      if (res.headersSent) res.end();
+      else sendJson(res, 500, { error: err.message });
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    runs,
+    close: async () => {
+      for (const run of runs) run.controller.abort();
+      await Promise.all(runs.map((r) => r.done));
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/** Opens `url` in the system's default browser; failing that, the logged URL is enough. */
+function openInDefaultBrowser(url) {
+  const [command, ...args] =
+    process.platform === "darwin"
+      ? ["open", url]
+      : process.platform === "win32"
+        ? ["cmd", "/c", "start", "", url]
+        : ["xdg-open", url];
+  const child = spawn(command, args, { stdio: "ignore", detached: true });
+  child.on("error", () => {});
+  child.unref();
+}
+
+module.exports = {
+  DEFAULT_DASHBOARD_PORT,
+  startDashboard,
+  openInDefaultBrowser,
+};
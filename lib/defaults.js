@@ -0,0 +1,84 @@
+const path = require("path");
+
+// ── Default configuration ──────────────────────────────────────────────────────
+// A library run writes no files unless it is given a path for them; the CLI
+// fills in its own paths in the project folder (see CLI_DEFAULTS in index.js).
+
+// The project folder, above lib/
+const ROOT = path.resolve(__dirname, "..");
+
+const DEFAULT_CONFIG = {
+  targetArticles: 100,
+  url: "https://news.ycombinator.com/newest",
+  // HN's Firebase API, or anything serving the same /item/<id>.json shape;
+  // the api-consistency rule checks the scraped items against it
+  apiBaseUrl: "https://hacker-news.firebaseio.com/v0",
+  // HN listings to validate, resolved next to `url` (see LISTINGS)
+  views: ["newest"],
+  // The day shown by the "front" view, YYYY-MM-DD; empty means yesterday (UTC)
+  frontDay: "",
+  // Browser engines to validate with; more than one repeats the run in each
+  browsers: ["chromium"],
+  // A Playwright device profile (e.g. "iPhone 12") to emulate; empty is a plain desktop window
+  device: "",
+  // Reports and the console show times in this IANA zone and locale, with
+  // the UTC time alongside whenever the zone is not UTC
+  timeZone: "UTC",
+  locale: "en-US",
+  maxRetries: 3,
+  // The first wait between attempts; it doubles with every retry up to
+  // `retryMaxDelayMs`, and each wait is cut short by up to
+  // `retryJitterPercent` at random so parallel tabs do not retry in step
+  retryDelayMs: 2000,
+  retryMaxDelayMs: 30000,
+  retryJitterPercent: 50,
+  navigationTimeoutMs: 15000,
+  // "serial" clicks through the "More" links one page at a time; "parallel"
+  // computes the page URLs and loads `concurrency` pages at once
+  fetchMode: "serial",
+  concurrency: 4,
+  // The HTML report, the JSON, JUnit XML and CSV exports; an empty path skips that file
+  reportPath: "",
+  jsonPath: "",
+  junitPath: "",
+  csvPath: "",
+  // Every run is appended here with a copy of its report; empty disables history
+  historyDir: "",
+  // Screenshots and HTML of failing pages go to a per-run folder here; empty disables them
+  artifactsDir: "",
+  // Also record a Playwright trace, kept only when the run fails
+  trace: false,
+  // Check every scraped page's health and accessibility too (see startPageAudit())
+  audit: false,
+  // "record" saves every response the run receives to `sessionPath`;
+  // "replay" serves them back from it offline (see openSession()); either needs a path
+  session: "off",
+  sessionPath: "",
+  // The sort-order rule lets an article be up to this much older than the one
+  // after it before calling it out of order (HN timestamps are whole seconds)
+  sortToleranceMs: 0,
+  // "allow" accepts two articles with the same timestamp; "strict" flags them
+  sortTies: "allow",
+  // --watch re-runs on this interval, for `watchRuns` runs (0 = until stopped)
+  watchIntervalMs: 15 * 60 * 1000,
+  watchRuns: 0,
+  // Where watch mode reports a pass -> fail or fail -> pass change; empty skips that channel
+  alertWebhookUrl: "",
+  alertCommand: "",
+  alertLogPath: "",
+  rules: [
+    "sort-order",
+    "unique-ids",
+    "rank-continuity",
+    "non-empty-titles",
+    "no-future-timestamps",
+    "age-consistency",
+    "rank-order",
+    "within-day",
+  ],
+};
+
+module.exports = {
+  ROOT,
+  DEFAULT_CONFIG,
+};
@@ -0,0 +1,616 @@
+const path = require("path");
+const fs = require("fs");
+const { fmt, log, print } = require("./log");
+const { DEFAULT_CONFIG } = require("./defaults");
+const { formatTimestamp } = require("./time");
+const { viewKey } = require("./listings");
+const { runIdFor } = require("./artifacts");
+const { averagePageMs } = require("./collect");
+const { countFindings } = require("./rules");
+const { buildResultDocument, escapeHtml, RESULT_SCHEMA_VERSION } = require("./reports");
+
+// ── Run history ────────────────────────────────────────────────────────────────
+// Each run appends one JSON line to <historyDir>/runs.jsonl and keeps a copy
+// of its HTML report under <historyDir>/reports/ and its result document
+// under <historyDir>/results/, plus a comparison with the run before it
+// under <historyDir>/compare/. <historyDir>/index.html is rebuilt after
+// every run so the trend dashboard can be opened from disk.
+
+const HISTORY_FILE = "runs.jsonl";
+const HISTORY_INDEX = "index.html";
+
+// The trend chart shows the most recent runs only
+const TREND_RUNS = 50;
+
+/**
+ * Reads every recorded run, oldest first. Lines that fail to parse (e.g. a
+ * write cut short by a crash) are skipped rather than losing the history.
+ */
+function readHistory(historyDir) {
+  const file = path.join(historyDir, HISTORY_FILE);
+  if (!fs.existsSync(file)) return [];
+
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Appends a run to the history, saves its report and result document
+ * alongside, compares it with the previous run that has one, and rebuilds
+ * the history page. `run` is the summary passed to writeExports(). Returns
+ * the stored entry.
+ */
+function recordRun(run, html) {
+  const { historyDir } = run.config;
+  const id = runIdFor(run.startedAt);
+  const allRuleResults = run.views.flatMap((v) => v.ruleResults);
+  const previous = readHistory(historyDir).reverse().find((e) => e.resultFile);
+
+  let reportFile = null;
+  if (html) {
+    reportFile = `reports/${id}.html`;
+    fs.mkdirSync(path.join(historyDir, "reports"), { recursive: true });
+    fs.writeFileSync(path.join(historyDir, reportFile), html);
+  }
+
+  const resultFile = `results/${id}.json`;
+  const doc = buildResultDocument(run);
+  fs.mkdirSync(path.join(historyDir, "results"), { recursive: true });
+  fs.writeFileSync(path.join(historyDir, resultFile), JSON.stringify(doc) + "\n");
+
+  // A missing or unreadable earlier result only costs this run its comparison
+  let compareFile = null;
+  if (previous) {
+    try {
+      const before = path.join(historyDir, previous.resultFile);
+      const comparison = compareRuns(readResultDocument(before), doc, { before, after: path.join(historyDir, resultFile) });
+      compareFile = `compare/${id}.html`;
+      fs.mkdirSync(path.join(historyDir, "compare"), { recursive: true });
+      fs.writeFileSync(path.join(historyDir, compareFile), generateCompareHtml(comparison, run.config));
+    } catch (err) {
+      log(fmt.yellow(`Could not compare with the previous run: ${err.message}`));
+    }
+  }
+
+  const entry = {
+    id,
+    startedAt: new Date(run.startedAt).toISOString(),
+    url: run.config.url,
+    views: run.views.map((v) => viewKey(v.view)),
+    status: run.views.every((v) => v.complete) ? (run.passed ? "pass" : "fail") : "incomplete",
+    articles: run.views.reduce((n, v) => n + v.articles.length, 0),
+    targetArticles: run.config.targetArticles * run.views.length,
+    errors: countFindings(allRuleResults, "error"),
+    warnings: countFindings(allRuleResults, "warning"),
+    durationMs: run.durationMs,
+    reportFile,
+    resultFile,
+    compareFile,
+  };
+
+  fs.mkdirSync(historyDir, { recursive: true });
+  fs.appendFileSync(path.join(historyDir, HISTORY_FILE), JSON.stringify(entry) + "\n");
+
+  const indexPath = path.join(historyDir, HISTORY_INDEX);
+  fs.writeFileSync(indexPath, generateHistoryHtml(readHistory(historyDir), run.config));
+  log(`Run recorded in ${fmt.cyan(indexPath)}`);
+
+  return entry;
+}
+
+/**
+ * Inline SVG bar chart of violations per run, one bar per run, oldest on the
+ * left. Bars are colored by outcome and a dashed line tracks the duration.
+ */
+function generateTrendChart(entries, config) {
+  const runs = entries.slice(-TREND_RUNS);
+  const width = 1000;
+  const height = 180;
+  const pad = 24;
+  const slot = (width - pad * 2) / Math.max(runs.length, 1);
+  const maxErrors = Math.max(1, ...runs.map((e) => e.errors));
+  const maxDuration = Math.max(1, ...runs.map((e) => e.durationMs));
+  const plotHeight = height - pad * 2;
+
+  const bars = runs
+    .map((e, i) => {
+      // Passing runs still get a sliver so they show up on the chart
+      const barHeight = Math.max(3, (e.errors / maxErrors) * plotHeight);
+      const x = pad + i * slot + slot * 0.15;
+      const y = height - pad - barHeight;
+      const label = `${formatTimestamp(new Date(e.startedAt), config)} — ${e.status.toUpperCase()}, ${e.errors} violation(s), ${(e.durationMs / 1000).toFixed(1)}s`;
+      return `<rect class="bar bar-${e.status}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${escapeHtml(label)}</title></rect>`;
+    })
+    .join("");
+
+  const durationPoints = runs
+    .map((e, i) => {
+      const x = pad + i * slot + slot / 2;
+      const y = height - pad - (e.durationMs / maxDuration) * plotHeight;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+
+  return `<svg class="trend" viewBox="0 0 ${width} ${height}" role="img" aria-label="Violations per run">
+        <line class="axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"/>
+        <text class="axis-label" x="${pad}" y="${pad - 8}">max ${maxErrors} violation(s)</text>
+        <text class="axis-label" x="${width - pad}" y="${pad - 8}" text-anchor="end">max ${(maxDuration / 1000).toFixed(1)}s duration</text>
+        ${bars}
+        ${runs.length > 1 ? `<polyline class="duration" points="${durationPoints}"/>` : ""}
+      </svg>`;
+}
+
+/**
+ * The history dashboard: headline numbers, the trend chart and a table of
+ * runs, newest first. Start times are shown in config.timeZone and
+ * config.locale.
+ */
+function generateHistoryHtml(entries, config = DEFAULT_CONFIG) {
+  const completed = entries.filter((e) => e.status !== "incomplete");
+  const passedRuns = completed.filter((e) => e.status === "pass").length;
+  const passRate = completed.length ? `${Math.round((passedRuns / completed.length) * 100)}%` : "—";
+  const lastFailure = [...entries].reverse().find((e) => e.status === "fail");
+
+  const rows = [...entries]
+    .reverse()
+    .map(
+      (e) => `
+        <tr class="run-${e.status}">
+          <td>${escapeHtml(formatTimestamp(new Date(e.startedAt), config))}</td>
+          <td><span class="pill pill-${e.status}">${e.status.toUpperCase()}</span></td>
+          <td>${e.errors}</td>
+          <td>${e.warnings}</td>
+          <td>${e.articles}/${e.targetArticles}</td>
+          <td>${(e.durationMs / 1000).toFixed(1)}s</td>
+          <td class="url">${escapeHtml(e.url)}<br>${escapeHtml((e.views ?? ["newest"]).join(", "))}</td>
+          <td>${e.reportFile ? `<a href="${escapeHtml(e.reportFile)}">Open report</a>` : ""}</td>
+          <td>${e.compareFile ? `<a href="${escapeHtml(e.compareFile)}">vs previous</a>` : ""}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>HN Sort Validation History</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; color: #333; padding: 2rem; }
+  .container { max-width: 1200px; margin: 0 auto; }
+  h1 { font-size: 1.5rem; margin-bottom: 1.5rem; }
+  .summary { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1.5rem; }
+  .card { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; flex: 1; min-width: 140px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .card .label { font-size: .75rem; text-transform: uppercase; letter-spacing: .05em; color: #888; margin-bottom: .25rem; }
+  .card .value { font-size: 1.25rem; font-weight: 600; }
+  .chart { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; box-shadow: 0 1px 3px rgba(0,0,0,.1); margin-bottom: 1.5rem; }
+  .chart h2 { font-size: 1rem; margin-bottom: .5rem; }
+  .trend { width: 100%; height: auto; display: block; }
+  .trend .axis { stroke: #ddd; }
+  .trend .axis-label { font-size: 12px; fill: #999; }
+  .trend .bar-pass { fill: #16a34a; }
+  .trend .bar-fail { fill: #dc2626; }
+  .trend .bar-incomplete { fill: #9ca3af; }
+  .trend .duration { fill: none; stroke: #ff6600; stroke-width: 2; stroke-dasharray: 6 4; }
+  .legend { font-size: .75rem; color: #888; margin-top: .5rem; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  th { background: #ff6600; color: #fff; text-align: left; padding: .625rem .75rem; font-size: .8rem; text-transform: uppercase; letter-spacing: .03em; }
+  td { padding: .5rem .75rem; border-bottom: 1px solid #eee; font-size: .85rem; }
+  td.url { color: #888; font-size: .75rem; word-break: break-all; }
+  td a { color: #ff6600; }
+  tr:last-child td { border-bottom: none; }
+  .pill { font-size: .65rem; font-weight: 700; padding: .15rem .5rem; border-radius: 999px; color: #fff; }
+  .pill-pass { background: #16a34a; }
+  .pill-fail { background: #dc2626; }
+  .pill-incomplete { background: #9ca3af; }
+  .empty { text-align: center; color: #888; padding: 2rem; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <h1>Hacker News Sort Validation History</h1>
+    <div class="summary">
+      <div class="card">
+        <div class="label">Runs</div>
+        <div class="value">${entries.length}</div>
+      </div>
+      <div class="card">
+        <div class="label">Pass Rate</div>
+        <div class="value">${passRate}</div>
+      </div>
+      <div class="card">
+        <div class="label">Failed Runs</div>
+        <div class="value">${completed.length - passedRuns}</div>
+      </div>
+      <div class="card">
+        <div class="label">Last Failure</div>
+        <div class="value">${lastFailure ? escapeHtml(lastFailure.startedAt.slice(0, 10)) : "never"}</div>
+      </div>
+    </div>
+    <div class="chart">
+      <h2>Violations per run</h2>
+      ${generateTrendChart(entries, config)}
+      <div class="legend">Last ${Math.min(entries.length, TREND_RUNS)} run(s), oldest first. Bars: violations (green pass, red fail, grey incomplete). Dashed line: duration.</div>
+    </div>
+    <table id="runs">
+      <thead>
+        <tr>
+          <th>Started</th>
+          <th>Result</th>
+          <th>Violations</th>
+          <th>Warnings</th>
+          <th>Articles</th>
+          <th>Duration</th>
+          <th>URL / Views</th>
+          <th>Report</th>
+          <th>Compare</th>
+        </tr>
+      </thead>
+      <tbody>${rows || `<tr><td class="empty" colspan="9">No runs recorded yet.</td></tr>`}</tbody>
+    </table>
+  </div>
+</body>
+</html>`;
+}
+
+// ── Run comparison ─────────────────────────────────────────────────────────────
+// Diffs two saved result documents (the JSON export, which the history also
+// keeps for every run) view by view: which articles came and went, which
+// violations are new or resolved, and how the timings moved. Articles are
+// matched by HN item id and violations by rule, type and the articles they
+// are about, so a violation that only shifted down the page is not "new".
+
+/** Reads a result document written by writeExports() or recordRun(). */
+function readResultDocument(file) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read run results from ${file}: ${err.message}`);
+  }
+  if (doc?.schemaVersion !== RESULT_SCHEMA_VERSION) {
+    throw new Error(
+      `${file} is not a version ${RESULT_SCHEMA_VERSION} result document (schemaVersion is ${JSON.stringify(doc?.schemaVersion)}).`
+    );
+  }
+  return doc;
+}
+
+function articleKey(article) {
+  return article.id ?? `title:${article.title}`;
+}
+
+function findingKey(f) {
+  return [f.rule, f.type, f.articleId ?? `#${f.position}`, f.nextArticleId ?? ""].join("|");
+}
+
+/**
+ * Indexes (into `values`) of one longest strictly increasing run, found in
+ * O(n log n). Used to keep as many articles as possible in place when
+ * deciding which ones moved.
+ */
+function longestIncreasing(values) {
+  const tails = [];
+  const previous = new Array(values.length);
+  values.forEach((value, i) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (values[tails[mid]] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  });
+
+  const kept = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) kept.add(i);
+  return kept;
+}
+
+/**
+ * Added and removed articles, plus the ones both runs saw that changed
+ * places relative to each other. New posts push everything down /newest,
+ * so a plain position change is not a move; only articles outside the
+ * longest run that kept its order are.
+ */
+function diffArticles(before, after) {
+  const beforeIndex = new Map(before.map((a, i) => [articleKey(a), i]));
+  const afterIndex = new Map(after.map((a, i) => [articleKey(a), i]));
+
+  const added = after.flatMap((a, i) => (beforeIndex.has(articleKey(a)) ? [] : [{ article: a, position: i + 1 }]));
+  const removed = before.flatMap((a, i) => (afterIndex.has(articleKey(a)) ? [] : [{ article: a, position: i + 1 }]));
+
+  const common = after.filter((a) => beforeIndex.has(articleKey(a)));
+  const kept = longestIncreasing(common.map((a) => beforeIndex.get(articleKey(a))));
+  const moved = common.flatMap((a, i) =>
+    kept.has(i) ? [] : [{ article: a, from: beforeIndex.get(articleKey(a)) + 1, to: afterIndex.get(articleKey(a)) + 1 }]
+  );
+
+  return { added, removed, moved };
+}
+
+/** Errors and warnings in `after` that `before` did not have, and the other way round. */
+function diffViolations(beforeView, afterView) {
+  const flagged = (view) =>
+    (view?.rules ?? []).flatMap((r) => r.findings).filter((f) => f.severity !== "info");
+  const beforeKeys = new Set(flagged(beforeView).map(findingKey));
+  const afterKeys = new Set(flagged(afterView).map(findingKey));
+
+  return {
+    new: flagged(afterView).filter((f) => !beforeKeys.has(findingKey(f))),
+    resolved: flagged(beforeView).filter((f) => !afterKeys.has(findingKey(f))),
+  };
+}
+
+function describeRunDocument(doc, file) {
+  return {
+    file: file ?? null,
+    startedAt: doc.timings.startedAt,
+    passed: doc.passed,
+    cancelled: doc.cancelled,
+    durationMs: doc.timings.durationMs,
+    errors: doc.summary.errors,
+    articles: doc.summary.articles,
+    url: doc.config.url,
+  };
+}
+
+/**
+ * Compares two result documents. Views are matched by id; a view only one
+ * run has is compared against an empty list. `files` optionally names where
+ * each document came from, for the report. Timings are [before, after] pairs.
+ */
+function compareRuns(before, after, files = {}) {
+  // Views from runs across several browsers are only paired within the same engine
+  const ids = [...new Set([...after.views.map(viewKey), ...before.views.map(viewKey)])];
+
+  const views = ids.map((id) => {
+    const b = before.views.find((v) => viewKey(v) === id);
+    const a = after.views.find((v) => viewKey(v) === id);
+    return {
+      id,
+      name: (a ?? b).name,
+      presence: a && b ? "both" : a ? "added" : "removed",
+      status: [b?.status ?? null, a?.status ?? null],
+      articleCount: [b?.articles.length ?? 0, a?.articles.length ?? 0],
+      articles: diffArticles(b?.articles ?? [], a?.articles ?? []),
+      violations: diffViolations(b, a),
+      timing: {
+        durationMs: [b?.durationMs ?? null, a?.durationMs ?? null],
+        averagePageMs: [averagePageMs(b), averagePageMs(a)],
+      },
+    };
+  });
+
+  const total = (pick) => views.reduce((n, v) => n + pick(v).length, 0);
+  return {
+    before: describeRunDocument(before, files.before),
+    after: describeRunDocument(after, files.after),
+    views,
+    summary: {
+      added: total((v) => v.articles.added),
+      removed: total((v) => v.articles.removed),
+      moved: total((v) => v.articles.moved),
+      newViolations: total((v) => v.violations.new),
+      resolvedViolations: total((v) => v.violations.resolved),
+      durationDeltaMs: after.timings.durationMs - before.timings.durationMs,
+    },
+  };
+}
+
+/** "12.3s → 10.1s (-2.2s)", or "—" where a side has no timing. */
+function describeTimingChange([before, after]) {
+  if (before === null || after === null) return "—";
+  const delta = after - before;
+  return `${(before / 1000).toFixed(1)}s → ${(after / 1000).toFixed(1)}s (${delta > 0 ? "+" : ""}${(delta / 1000).toFixed(1)}s)`;
+}
+
+function printComparison(comparison, config = DEFAULT_CONFIG) {
+  const { before, after, summary } = comparison;
+  const runLine = (run) =>
+    `${formatTimestamp(new Date(run.startedAt), config)}  ${run.passed ? fmt.green("PASS") : fmt.red("FAIL")}  ${run.errors} violation(s), ${run.articles} article(s)`;
+
+  print("\n" + "=".repeat(70));
+  print(fmt.bold("  Hacker News Sort Order — Run Comparison"));
+  print("=".repeat(70));
+  print(`  Before:            ${runLine(before)}`);
+  print(`  After:             ${runLine(after)}`);
+  print(`  Duration:          ${fmt.cyan(describeTimingChange([before.durationMs, after.durationMs]))}`);
+  print(
+    `  Articles:          ${fmt.cyan(`+${summary.added} added, -${summary.removed} removed, ${summary.moved} moved`)}`
+  );
+  print("-".repeat(70));
+
+  for (const v of comparison.views) {
+    const presence = v.presence === "both" ? "" : fmt.dim(` (only in the ${v.presence === "added" ? "after" : "before"} run)`);
+    print(`  ${fmt.bold(v.name)}${presence}`);
+    print(
+      fmt.dim(
+        `    ${v.articles.added.length} added, ${v.articles.removed.length} removed, ${v.articles.moved.length} moved; ` +
+          `duration ${describeTimingChange(v.timing.durationMs)}`
+      )
+    );
+    for (const f of v.violations.new) {
+      print(fmt.red(`    + new ${f.severity}: ${f.message}`));
+    }
+    for (const f of v.violations.resolved) {
+      print(fmt.green(`    - resolved ${f.severity}: ${f.message}`));
+    }
+  }
+
+  print("-".repeat(70));
+  const verdict = `${summary.newViolations} new, ${summary.resolvedViolations} resolved violation(s)`;
+  print(summary.newViolations > 0 ? fmt.red(`  ${verdict}`) : fmt.green(`  ${verdict}`));
+  print("=".repeat(70) + "\n");
+}
+
+/** The comparison as a standalone page, styled like the run report, with times in config.timeZone and config.locale. */
+function generateCompareHtml(comparison, config = DEFAULT_CONFIG) {
+  const { before, after, summary } = comparison;
+  const seconds = (ms) => (ms === null ? "—" : `${(ms / 1000).toFixed(1)}s`);
+  const millis = (ms) => (ms === null ? "—" : `${ms}ms`);
+  const change = ([b, a], format) => (b === null || a === null ? "—" : `${a > b ? "+" : ""}${format(a - b)}`);
+  const timingRow = (label, pair, format) =>
+    `<tr><td>${label}</td><td>${format(pair[0])}</td><td>${format(pair[1])}</td><td>${change(pair, format)}</td></tr>`;
+  const pill = (status) =>
+    status ? `<span class="pill pill-${status}">${status.toUpperCase()}</span>` : `<span class="pill pill-missing">NOT RUN</span>`;
+  const runCard = (label, run) => `
+      <div class="run">
+        <div class="label">${label}</div>
+        <div class="run-time">${escapeHtml(formatTimestamp(new Date(run.startedAt), config))} ${pill(run.passed ? "pass" : "fail")}</div>
+        <div class="run-meta">${run.errors} violation(s), ${run.articles} article(s), ${seconds(run.durationMs)}</div>
+        ${run.file ? `<div class="run-file">${escapeHtml(run.file)}</div>` : ""}
+      </div>`;
+
+  const articleList = (entries, describe) =>
+    entries.length
+      ? `<ul>${entries.map((e) => `<li>${describe(e)}</li>`).join("")}</ul>`
+      : `<p class="none">None</p>`;
+  const title = (a) => escapeHtml(a.title);
+  const findingList = (findings, kind) =>
+    findings.length
+      ? `<ul class="findings">${findings
+          .map(
+            (f) =>
+              `<li class="finding ${kind}"><span class="severity">${f.severity}</span>${f.position ? `<span class="position">#${f.position}</span>` : ""}<span class="type">${escapeHtml(f.type)}</span> ${escapeHtml(f.message)}</li>`
+          )
+          .join("")}</ul>`
+      : `<p class="none">None</p>`;
+
+  const viewSections = comparison.views
+    .map(
+      (v) => `
+    <section class="view" id="compare-${v.id}">
+      <div class="view-header">
+        <h2>${escapeHtml(v.name)}</h2>
+        ${pill(v.status[0])} <span class="arrow">→</span> ${pill(v.status[1])}
+      </div>
+      <table class="timings">
+        <thead><tr><th></th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+        <tbody>
+          ${timingRow("Articles", v.articleCount, String)}
+          ${timingRow("View duration", v.timing.durationMs, seconds)}
+          ${timingRow("Average page load", v.timing.averagePageMs, millis)}
+        </tbody>
+      </table>
+      <div class="columns">
+        <div class="column new-violations"><h3>New violations (${v.violations.new.length})</h3>${findingList(v.violations.new, "new")}</div>
+        <div class="column resolved-violations"><h3>Resolved violations (${v.violations.resolved.length})</h3>${findingList(v.violations.resolved, "resolved")}</div>
+      </div>
+      <div class="columns">
+        <div class="column added"><h3>Added (${v.articles.added.length})</h3>${articleList(v.articles.added, (e) => `#${e.position} ${title(e.article)}`)}</div>
+        <div class="column removed"><h3>Removed (${v.articles.removed.length})</h3>${articleList(v.articles.removed, (e) => `#${e.position} ${title(e.article)}`)}</div>
+        <div class="column moved"><h3>Moved (${v.articles.moved.length})</h3>${articleList(v.articles.moved, (e) => `#${e.from} → #${e.to} ${title(e.article)}`)}</div>
+      </div>
+    </section>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>HN Sort Validation Comparison</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; color: #333; padding: 2rem; }
+  .container { max-width: 1200px; margin: 0 auto; }
+  h1 { font-size: 1.5rem; margin-bottom: 1.5rem; }
+  .runs { display: flex; gap: 1rem; margin-bottom: 1rem; flex-wrap: wrap; }
+  .run { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; flex: 1; min-width: 260px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .run .label, .card .label { font-size: .75rem; text-transform: uppercase; letter-spacing: .05em; color: #888; margin-bottom: .25rem; }
+  .run-time { font-weight: 600; display: flex; gap: .5rem; align-items: center; }
+  .run-meta { font-size: .85rem; color: #666; margin-top: .25rem; }
+  .run-file { font-size: .7rem; color: #999; word-break: break-all; margin-top: .25rem; }
+  .summary { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 2rem; }
+  .card { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; flex: 1; min-width: 140px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .card .value { font-size: 1.25rem; font-weight: 600; }
+  .status-fail { color: #dc2626; }
+  .status-pass { color: #16a34a; }
+  .view { margin-bottom: 2.5rem; }
+  .view-header { display: flex; align-items: center; gap: .5rem; margin-bottom: .75rem; }
+  .view-header h2 { font-size: 1.2rem; margin-right: .25rem; }
+  .arrow { color: #888; }
+  .pill { font-size: .65rem; font-weight: 700; padding: .15rem .5rem; border-radius: 999px; color: #fff; }
+  .pill-pass { background: #16a34a; }
+  .pill-fail { background: #dc2626; }
+  .pill-incomplete, .pill-missing { background: #9ca3af; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.1); margin-bottom: 1rem; }
+  th { background: #ff6600; color: #fff; text-align: left; padding: .5rem .75rem; font-size: .75rem; text-transform: uppercase; letter-spacing: .03em; }
+  td { padding: .45rem .75rem; border-bottom: 1px solid #eee; font-size: .85rem; }
+  tr:last-child td { border-bottom: none; }
+  .columns { display: flex; gap: 1rem; margin-bottom: 1rem; flex-wrap: wrap; }
+  .column { flex: 1; min-width: 260px; background: #fff; border-radius: 8px; padding: .875rem 1.25rem; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .column h3 { font-size: .95rem; margin-bottom: .5rem; }
+  .column ul { list-style: none; font-size: .8rem; max-height: 240px; overflow-y: auto; }
+  .column li { padding: .25rem 0; border-top: 1px solid #f0f0f0; }
+  .none { font-size: .8rem; color: #aaa; }
+  .finding .severity { display: inline-block; min-width: 4.5rem; font-size: .65rem; font-weight: 700; text-transform: uppercase; }
+  .finding.new .severity { color: #dc2626; }
+  .finding.resolved .severity { color: #16a34a; }
+  .finding .position { font-weight: 600; margin-right: .25rem; }
+  .finding .type { font-family: ui-monospace, monospace; font-size: .75rem; color: #666; margin-right: .25rem; }
+  .footer { margin-top: 1.5rem; font-size: .75rem; color: #aaa; text-align: center; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <h1>Hacker News Sort Validation Comparison</h1>
+    <div class="runs">${runCard("Before", before)}${runCard("After", after)}
+    </div>
+    <div class="summary">
+      <div class="card">
+        <div class="label">New Violations</div>
+        <div class="value ${summary.newViolations > 0 ? "status-fail" : ""}">${summary.newViolations}</div>
+      </div>
+      <div class="card">
+        <div class="label">Resolved Violations</div>
+        <div class="value ${summary.resolvedViolations > 0 ? "status-pass" : ""}">${summary.resolvedViolations}</div>
+      </div>
+      <div class="card">
+        <div class="label">Articles Added</div>
+        <div class="value">${summary.added}</div>
+      </div>
+      <div class="card">
+        <div class="label">Articles Removed</div>
+        <div class="value">${summary.removed}</div>
+      </div>
+      <div class="card">
+        <div class="label">Articles Moved</div>
+        <div class="value">${summary.moved}</div>
+      </div>
+      <div class="card">
+        <div class="label">Duration Change</div>
+        <div class="value">${change([before.durationMs, after.durationMs], seconds)}</div>
+      </div>
+    </div>
+    ${viewSections}
+    <div class="footer">Generated on ${escapeHtml(formatTimestamp(Date.now(), config))}</div>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  HISTORY_INDEX,
+  readHistory,
+  recordRun,
+  generateHistoryHtml,
+  readResultDocument,
+  compareRuns,
+  printComparison,
+  generateCompareHtml,
+};
@@ -0,0 +1,87 @@
+// The library behind `node index.js`. Requiring it starts nothing: the CLI
+// and other tools start their runs through startValidation() or validate().
+
+const { DEFAULT_CONFIG } = require("./defaults");
+const { parseTimestamp, parseAgeText, formatTimestamp, formatDelta } = require("./time");
+const { LISTINGS, resolveView } = require("./listings");
+const { BROWSER_ENGINES, contextOptionsFor, readSession } = require("./browsers");
+const {
+  scrapeArticles,
+  collectArticles,
+  pageUrlAfter,
+  navigateWithRetry,
+  retryDelayFor,
+  NavigationError,
+  fetchApiItems,
+} = require("./collect");
+const { validateSortOrder, VALIDATION_RULES, registerRule, runRules, rulesPassed } = require("./rules");
+const { ConfigError, validateConfig, readProfiles, writeProfiles } = require("./config");
+const {
+  printReport,
+  generateHtmlReport,
+  RESULT_SCHEMA_VERSION,
+  buildResultDocument,
+  generateJunitXml,
+  generateCsv,
+} = require("./reports");
+const {
+  readHistory,
+  recordRun,
+  generateHistoryHtml,
+  readResultDocument,
+  compareRuns,
+  generateCompareHtml,
+} = require("./history");
+const { sendAlert } = require("./alerts");
+const { generateSettingsHtml, generateProgressHtml } = require("./pages");
+const { startDashboard } = require("./dashboard");
+const { startValidation, validate, watch } = require("./validate");
+
+module.exports = {
+  // Entry points; everything below is their building blocks
+  startValidation,
+  validate,
+  DEFAULT_CONFIG,
+  ConfigError,
+  validateConfig,
+  scrapeArticles,
+  collectArticles,
+  pageUrlAfter,
+  navigateWithRetry,
+  retryDelayFor,
+  NavigationError,
+  fetchApiItems,
+  validateSortOrder,
+  LISTINGS,
+  resolveView,
+  BROWSER_ENGINES,
+  contextOptionsFor,
+  readSession,
+  VALIDATION_RULES,
+  registerRule,
+  runRules,
+  rulesPassed,
+  parseTimestamp,
+  parseAgeText,
+  formatTimestamp,
+  formatDelta,
+  printReport,
+  generateHtmlReport,
+  RESULT_SCHEMA_VERSION,
+  buildResultDocument,
+  generateJunitXml,
+  generateCsv,
+  readHistory,
+  recordRun,
+  generateHistoryHtml,
+  readResultDocument,
+  compareRuns,
+  generateCompareHtml,
+  sendAlert,
+  watch,
+  startDashboard,
+  readProfiles,
+  writeProfiles,
+  generateSettingsHtml,
+  generateProgressHtml,
+};
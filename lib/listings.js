@@ -0,0 +1,56 @@
+// ── Listings ───────────────────────────────────────────────────────────────────
+// HN views that can be validated in one run. Each has its own idea of
+// "correctly ordered", and a rule only runs on views whose ordering it
+// lists in its `orderings` (rules without one run everywhere).
+
+const ORDERING_DESCRIPTIONS = {
+  "timestamp-desc": "newest first by submission time",
+  rank: "ranked by score and age, so only the ranks must increase",
+  "date-bounded": "every story was submitted on the chosen day",
+};
+
+// `path` is resolved against config.url, so a mirror serves every view
+const LISTINGS = [
+  { id: "newest", name: "New", path: "newest", ordering: "timestamp-desc" },
+  { id: "news", name: "Front page", path: "news", ordering: "rank" },
+  { id: "ask", name: "Ask", path: "ask", ordering: "rank" },
+  { id: "show", name: "Show", path: "show", ordering: "rank" },
+  { id: "jobs", name: "Jobs", path: "jobs", ordering: "timestamp-desc" },
+  { id: "front", name: "Past front page", path: "front", ordering: "date-bounded" },
+];
+
+/**
+ * Turns a listing id into the view validated by a run:
+ * { id, name, ordering, url, day }. `day` is only set for the date-bounded
+ * front view and defaults to the UTC day before `now`. When a run covers
+ * several browsers, `engine` tags the view with the one it ran in.
+ */
+function resolveView(id, config, now = Date.now(), engine = null) {
+  const listing = LISTINGS.find((l) => l.id === id);
+  if (!listing) throw new Error(`Unknown view "${id}".`);
+
+  const view = { id: listing.id, name: listing.name, ordering: listing.ordering, day: null };
+  if (engine) {
+    view.engine = engine;
+    view.name = `${listing.name} · ${engine}`;
+  }
+  const url = new URL(listing.path, config.url);
+  if (listing.ordering === "date-bounded") {
+    view.day = config.frontDay || new Date(now - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    url.searchParams.set("day", view.day);
+  }
+  view.url = url.href;
+  return view;
+}
+
+/** Identifies a view within a run: "newest", or "newest-firefox" across browsers. */
+function viewKey(view) {
+  return view.engine ? `${view.id}-${view.engine}` : view.id;
+}
+
+module.exports = {
+  ORDERING_DESCRIPTIONS,
+  LISTINGS,
+  resolveView,
+  viewKey,
+};
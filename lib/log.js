@@ -0,0 +1,45 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// ── Console formatting helpers ─────────────────────────────────────────────────
+
+const fmt = {
+  green: (s) => `\x1b[32m${s}\x1b[0m`,
+  red: (s) => `\x1b[31m${s}\x1b[0m`,
+  yellow: (s) => `\x1b[33m${s}\x1b[0m`,
+  cyan: (s) => `\x1b[36m${s}\x1b[0m`,
+  bold: (s) => `\x1b[1m${s}\x1b[0m`,
+  dim: (s) => `\x1b[2m${s}\x1b[0m`,
+};
+
+// ── Output ─────────────────────────────────────────────────────────────────────
+// Library code does not pick where its messages go. log() and print() hand
+// each line to the output of the run they are part of (see withOutput()),
+// which startValidation() turns into "log" events and watch() into its
+// onLog hook, so a library caller only sees what it listens for. Outside
+// those (the CLI, the dashboard, or printReport() called on its own) lines
+// go to the console.
+
+const currentOutput = new AsyncLocalStorage();
+
+/** Calls fn() with every line logged or printed while it runs, across awaits, going to `write(line)`. */
+function withOutput(write, fn) {
+  return currentOutput.run(write, fn);
+}
+
+/** One line as it is, such as a row of a console report. */
+function print(line = "") {
+  (currentOutput.getStore() ?? console.log)(line);
+}
+
+/** A progress message, prefixed with the time. */
+function log(msg) {
+  const ts = new Date().toLocaleTimeString();
+  print(`${fmt.dim(`[${ts}]`)} ${msg}`);
+}
+
+module.exports = {
+  fmt,
+  log,
+  print,
+  withOutput,
+};
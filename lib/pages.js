@@ -0,0 +1,772 @@
+const { devices } = require("playwright");
+const { SUGGESTED_LOCALES, TIME_ZONES } = require("./time");
+const { LISTINGS, ORDERING_DESCRIPTIONS, resolveView, viewKey } = require("./listings");
+const { BROWSER_ENGINES } = require("./browsers");
+const { FAILURE_KINDS } = require("./collect");
+const { VALIDATION_RULES } = require("./rules");
+const { escapeHtml } = require("./reports");
+
+// ── Settings UI ────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the settings dashboard HTML. Each CONFIG field gets its own
+ * labeled input so the user can tweak values before kicking off a run.
+ * `profileState` ({ profiles, selected, error }) fills the profile picker;
+ * `error` says why the profiles file could not be read. The page checks,
+ * runs and saves profiles through the dashboard's endpoints (see
+ * startDashboard()).
+ */
+function generateSettingsHtml(config, profileState = { profiles: {}, selected: null }) {
+  const profileOptions = Object.keys(profileState.profiles)
+    .map(
+      (name) => `
+          <option value="${escapeHtml(name)}"${name === profileState.selected ? " selected" : ""}>${escapeHtml(name)}</option>`
+    )
+    .join("");
+  const ruleOptions = VALIDATION_RULES.map(
+    (rule) => `
+          <label class="rule-option" title="${escapeHtml(rule.description)}">
+            <input type="checkbox" name="rules" value="${rule.id}"${config.rules.includes(rule.id) ? " checked" : ""}>
+            ${escapeHtml(rule.name)}
+          </label>`
+  ).join("");
+  const browserOptions = BROWSER_ENGINES.map(
+    (engine) => `
+          <label class="rule-option">
+            <input type="checkbox" name="browsers" value="${engine}"${config.browsers.includes(engine) ? " checked" : ""}>
+            ${engine}
+          </label>`
+  ).join("");
+  const timeZoneOptions = TIME_ZONES.map(
+    (zone) => `
+          <option value="${escapeHtml(zone)}"${zone === config.timeZone ? " selected" : ""}>${escapeHtml(zone)}</option>`
+  ).join("");
+  const localeOptions = SUGGESTED_LOCALES.map(
+    (locale) => `
+          <option value="${locale}"></option>`
+  ).join("");
+  const deviceOptions = Object.keys(devices)
+    .map(
+      (name) => `
+          <option value="${escapeHtml(name)}"${name === config.device ? " selected" : ""}>${escapeHtml(name)}</option>`
+    )
+    .join("");
+  const viewOptions = LISTINGS.map(
+    (listing) => `
+          <label class="rule-option" title="${escapeHtml(ORDERING_DESCRIPTIONS[listing.ordering])}">
+            <input type="checkbox" name="views" value="${listing.id}"${config.views.includes(listing.id) ? " checked" : ""}>
+            ${escapeHtml(listing.name)} <span class="path">/${listing.path}</span>
+          </label>`
+  ).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>HN Validator — Settings</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; color: #333; padding: 2rem; }
+  .container { max-width: 720px; margin: 0 auto; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .subtitle { color: #888; font-size: .85rem; margin-bottom: 1.5rem; }
+  .fields { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-bottom: 1.5rem; }
+  .field { background: #fff; border-radius: 8px; padding: 1rem; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .field.full { grid-column: 1 / -1; }
+  .field label { display: block; font-size: .7rem; text-transform: uppercase; letter-spacing: .05em; color: #888; margin-bottom: .4rem; font-weight: 600; }
+  .field input, .field select { width: 100%; padding: .5rem .625rem; border: 1px solid #ddd; border-radius: 6px; font-size: .9rem; font-family: inherit; transition: border-color .15s; }
+  .field input:focus, .field select:focus { outline: none; border-color: #ff6600; box-shadow: 0 0 0 3px rgba(255,102,0,.12); }
+  .field .hint { font-size: .7rem; color: #aaa; margin-top: .3rem; }
+  .field.invalid { box-shadow: 0 0 0 2px #dc2626; }
+  .field.invalid input:not([type="checkbox"]), .field.invalid select { border-color: #dc2626; }
+  .field .error { font-size: .75rem; color: #dc2626; margin-top: .3rem; }
+  .rule-options { display: grid; grid-template-columns: 1fr 1fr; gap: .4rem .75rem; }
+  .field .rule-option { display: flex; align-items: center; gap: .4rem; font-size: .85rem; text-transform: none; letter-spacing: normal; color: #333; font-weight: normal; margin: 0; cursor: pointer; }
+  .field .rule-option input { width: auto; }
+  .field .rule-option .path { color: #aaa; font-size: .75rem; font-family: ui-monospace, monospace; }
+  .actions { display: flex; gap: .75rem; align-items: center; }
+  #run-btn { background: #ff6600; color: #fff; border: none; padding: .7rem 2rem; border-radius: 8px; font-size: .95rem; font-weight: 600; cursor: pointer; transition: background .15s; }
+  #run-btn:hover { background: #e55b00; }
+  #run-btn:disabled { background: #ccc; cursor: not-allowed; }
+  #reset-btn { background: none; border: 1px solid #ddd; padding: .65rem 1.25rem; border-radius: 8px; font-size: .85rem; cursor: pointer; color: #666; transition: border-color .15s; }
+  #reset-btn:hover { border-color: #999; }
+  .status { font-size: .8rem; color: #888; margin-left: auto; }
+  .profile-bar { display: flex; gap: .5rem; align-items: center; background: #fff; border-radius: 8px; padding: .75rem 1rem; box-shadow: 0 1px 3px rgba(0,0,0,.1); margin-bottom: .5rem; flex-wrap: wrap; }
+  .profile-bar label { font-size: .7rem; text-transform: uppercase; letter-spacing: .05em; color: #888; font-weight: 600; }
+  .profile-bar select, .profile-bar input { padding: .4rem .5rem; border: 1px solid #ddd; border-radius: 6px; font-size: .85rem; font-family: inherit; }
+  .profile-bar select { min-width: 10rem; }
+  .profile-bar input { flex: 1; min-width: 8rem; }
+  .profile-bar button, .profile-io button { background: none; border: 1px solid #ddd; padding: .4rem .9rem; border-radius: 6px; font-size: .8rem; cursor: pointer; color: #666; }
+  .profile-bar button:hover, .profile-io button:hover { border-color: #999; }
+  .profile-error { font-size: .8rem; color: #dc2626; background: #fef2f2; border-radius: 6px; padding: .5rem .75rem; margin-bottom: .5rem; }
+  .profile-io { font-size: .8rem; color: #888; margin-bottom: 1.5rem; }
+  .profile-io summary { cursor: pointer; padding: .25rem 0; }
+  .profile-io textarea { width: 100%; height: 8rem; margin: .5rem 0; padding: .5rem; border: 1px solid #ddd; border-radius: 6px; font-family: ui-monospace, monospace; font-size: .75rem; }
+  .profile-io .io-actions { display: flex; gap: .5rem; align-items: center; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <h1>Hacker News Sort Validator</h1>
+    <p class="subtitle">Configure the validation parameters below, then hit Run.</p>
+
+    <div class="profile-bar">
+      <label for="profile">Profile</label>
+      <select id="profile">
+          <option value="">(unsaved settings)</option>${profileOptions}
+      </select>
+      <input type="text" id="profile-name" value="${escapeHtml(profileState.selected ?? "")}" placeholder="Profile name, e.g. quick 30">
+      <button id="save-profile-btn">Save</button>
+      <button id="delete-profile-btn">Delete</button>
+    </div>
+    ${profileState.error ? `<p class="profile-error">Could not read the saved profiles: ${escapeHtml(profileState.error)} Saving a profile replaces the file.</p>` : ""}
+    <details class="profile-io">
+      <summary>Import / export profiles as JSON</summary>
+      <textarea id="profiles-json" spellcheck="false" placeholder='{ "version": 1, "profiles": { "deep 500": { "targetArticles": 500 } } }'></textarea>
+      <div class="io-actions">
+        <button id="export-btn">Export</button>
+        <button id="import-btn">Import</button>
+        <input type="file" id="profiles-file" accept=".json,application/json">
+      </div>
+    </details>
+
+    <div class="fields">
+      <div class="field">
+        <label for="targetArticles">Target Articles</label>
+        <input type="number" id="targetArticles" value="${config.targetArticles}" min="1" max="500">
+        <div class="hint">Number of articles to validate (default: 100)</div>
+      </div>
+
+      <div class="field">
+        <label for="maxRetries">Max Retries</label>
+        <input type="number" id="maxRetries" value="${config.maxRetries}" min="1" max="10">
+        <div class="hint">Retry attempts per page navigation</div>
+      </div>
+
+      <div class="field">
+        <label for="retryDelayMs">Retry Delay (ms)</label>
+        <input type="number" id="retryDelayMs" value="${config.retryDelayMs}" min="0" max="30000" step="500">
+        <div class="hint">First wait between retries; doubles with each attempt (longer when HN rate-limits)</div>
+      </div>
+
+      <div class="field">
+        <label for="retryMaxDelayMs">Max Retry Delay (ms)</label>
+        <input type="number" id="retryMaxDelayMs" value="${config.retryMaxDelayMs}" min="0" max="300000" step="1000">
+        <div class="hint">The doubling stops at this wait</div>
+      </div>
+
+      <div class="field">
+        <label for="retryJitterPercent">Retry Jitter (%)</label>
+        <input type="number" id="retryJitterPercent" value="${config.retryJitterPercent}" min="0" max="100">
+        <div class="hint">Each wait is cut short by up to this much at random</div>
+      </div>
+
+      <div class="field">
+        <label for="navigationTimeoutMs">Navigation Timeout (ms)</label>
+        <input type="number" id="navigationTimeoutMs" value="${config.navigationTimeoutMs}" min="1000" max="60000" step="1000">
+        <div class="hint">Max wait for a page to load</div>
+      </div>
+
+      <div class="field">
+        <label for="fetchMode">Fetch Mode</label>
+        <select id="fetchMode">
+          <option value="serial"${config.fetchMode === "serial" ? " selected" : ""}>Serial — follow "More" links</option>
+          <option value="parallel"${config.fetchMode === "parallel" ? " selected" : ""}>Parallel — load pages concurrently</option>
+        </select>
+        <div class="hint">Serial is strict about page drift; parallel is faster for large runs</div>
+      </div>
+
+      <div class="field">
+        <label for="concurrency">Concurrency</label>
+        <input type="number" id="concurrency" value="${config.concurrency}" min="1" max="8">
+        <div class="hint">Pages loaded at once in parallel mode</div>
+      </div>
+
+      <div class="field full">
+        <label for="url">Hacker News URL</label>
+        <input type="text" id="url" value="${escapeHtml(config.url)}">
+        <div class="hint">The /newest page — the other views are resolved next to it, so point this at a mirror to test one</div>
+      </div>
+
+      <div class="field full">
+        <label for="apiBaseUrl">HN API URL</label>
+        <input type="text" id="apiBaseUrl" value="${escapeHtml(config.apiBaseUrl)}">
+        <div class="hint">Where the API cross-check rule fetches /item/&lt;id&gt;.json — point it at a stub to test one</div>
+      </div>
+
+      <div class="field full">
+        <label>Views</label>
+        <div class="rule-options">${viewOptions}
+        </div>
+        <div class="hint">Listings to validate in this run, each against its own ordering — hover a view for details</div>
+      </div>
+
+      <div class="field">
+        <label>Browsers</label>
+        <div class="rule-options">${browserOptions}
+        </div>
+        <div class="hint">Pick several to run the same validation in each and compare them in the report</div>
+      </div>
+
+      <div class="field">
+        <label for="device">Device</label>
+        <select id="device">
+          <option value="">Desktop window</option>${deviceOptions}
+        </select>
+        <div class="hint">Playwright device profile: viewport, user agent and touch</div>
+      </div>
+
+      <div class="field full">
+        <label for="frontDay">Front Page Day</label>
+        <input type="date" id="frontDay" value="${escapeHtml(config.frontDay)}">
+        <div class="hint">Day shown by the Front view (blank for yesterday, UTC)</div>
+      </div>
+
+      <div class="field">
+        <label for="timeZone">Time Zone</label>
+        <select id="timeZone">${timeZoneOptions}
+        </select>
+        <div class="hint">Times in the reports; UTC is shown alongside</div>
+      </div>
+
+      <div class="field">
+        <label for="locale">Locale</label>
+        <input type="text" id="locale" value="${escapeHtml(config.locale)}" list="locales">
+        <datalist id="locales">${localeOptions}
+        </datalist>
+        <div class="hint">Date and duration format, e.g. en-GB or de-DE</div>
+      </div>
+
+      <div class="field full">
+        <label for="reportPath">Report Output Path</label>
+        <input type="text" id="reportPath" value="${escapeHtml(config.reportPath)}" placeholder="Leave blank to skip">
+        <div class="hint">Where to save the HTML report on disk</div>
+      </div>
+
+      <div class="field full">
+        <label for="jsonPath">JSON Result Path</label>
+        <input type="text" id="jsonPath" value="${escapeHtml(config.jsonPath)}" placeholder="Leave blank to skip">
+        <div class="hint">Versioned result document with config, articles, findings and timings</div>
+      </div>
+
+      <div class="field">
+        <label for="junitPath">JUnit XML Path</label>
+        <input type="text" id="junitPath" value="${escapeHtml(config.junitPath)}" placeholder="Leave blank to skip">
+        <div class="hint">One testcase per validation rule, for CI dashboards</div>
+      </div>
+
+      <div class="field">
+        <label for="csvPath">CSV Path</label>
+        <input type="text" id="csvPath" value="${escapeHtml(config.csvPath)}" placeholder="Leave blank to skip">
+        <div class="hint">The article table as CSV</div>
+      </div>
+
+      <div class="field full">
+        <label for="historyDir">History Directory</label>
+        <input type="text" id="historyDir" value="${escapeHtml(config.historyDir)}" placeholder="Leave blank to disable history">
+        <div class="hint">Every run and a copy of its report are kept here for the trend dashboard</div>
+      </div>
+
+      <div class="field">
+        <label for="artifactsDir">Artifacts Directory</label>
+        <input type="text" id="artifactsDir" value="${escapeHtml(config.artifactsDir)}" placeholder="Leave blank to disable">
+        <div class="hint">Screenshots and HTML of failing pages, one folder per run</div>
+      </div>
+
+      <div class="field">
+        <label class="rule-option" for="trace">
+          <input type="checkbox" id="trace"${config.trace ? " checked" : ""}>
+          Record Playwright trace
+        </label>
+        <div class="hint">Saved next to the artifacts when the run fails; open with npx playwright show-trace</div>
+      </div>
+
+      <div class="field">
+        <label class="rule-option" for="audit">
+          <input type="checkbox" id="audit"${config.audit ? " checked" : ""}>
+          Audit page health
+        </label>
+        <div class="hint">Console errors, failed requests, load timing, title links and accessibility per page</div>
+      </div>
+
+      <div class="field">
+        <label for="session">Session</label>
+        <select id="session">
+          <option value="off"${config.session === "off" ? " selected" : ""}>Off — load the live site</option>
+          <option value="record"${config.session === "record" ? " selected" : ""}>Record — save every response</option>
+          <option value="replay"${config.session === "replay" ? " selected" : ""}>Replay — serve a recording offline</option>
+        </select>
+        <div class="hint">Replay reruns a recorded session with its pages, views and clock</div>
+      </div>
+
+      <div class="field">
+        <label for="sessionPath">Session File</label>
+        <input type="text" id="sessionPath" value="${escapeHtml(config.sessionPath)}">
+        <div class="hint">Written when recording, read when replaying</div>
+      </div>
+
+      <div class="field">
+        <label for="sortToleranceMs">Sort Tolerance (ms)</label>
+        <input type="number" id="sortToleranceMs" value="${config.sortToleranceMs}" min="0" max="3600000" step="1000">
+        <div class="hint">How much older than the next article a story may be before it counts as out of order</div>
+      </div>
+
+      <div class="field">
+        <label for="sortTies">Equal Timestamps</label>
+        <select id="sortTies">
+          <option value="allow"${config.sortTies === "allow" ? " selected" : ""}>Allow — same second is in order</option>
+          <option value="strict"${config.sortTies === "strict" ? " selected" : ""}>Strict — flag as a tie</option>
+        </select>
+        <div class="hint">HN timestamps are whole seconds, so busy minutes can produce ties</div>
+      </div>
+
+      <div class="field">
+        <label for="watchIntervalMs">Watch Interval (ms)</label>
+        <input type="number" id="watchIntervalMs" value="${config.watchIntervalMs}" min="10000" max="86400000" step="60000">
+        <div class="hint">Time between runs when started with --watch</div>
+      </div>
+
+      <div class="field">
+        <label for="watchRuns">Watch Runs</label>
+        <input type="number" id="watchRuns" value="${config.watchRuns}" min="0" max="100000">
+        <div class="hint">Stop watching after this many runs (0 keeps going until stopped)</div>
+      </div>
+
+      <div class="field full">
+        <label for="alertWebhookUrl">Alert Webhook URL</label>
+        <input type="text" id="alertWebhookUrl" value="${escapeHtml(config.alertWebhookUrl)}" placeholder="Leave blank to skip">
+        <div class="hint">Receives a POST with the JSON result when a watched run goes from pass to fail or back</div>
+      </div>
+
+      <div class="field full">
+        <label for="alertCommand">Alert Command</label>
+        <input type="text" id="alertCommand" value="${escapeHtml(config.alertCommand)}" placeholder="Leave blank to skip">
+        <div class="hint">Shell command run on the same changes; the alert arrives as JSON on stdin</div>
+      </div>
+
+      <div class="field full">
+        <label for="alertLogPath">Alert Log Path</label>
+        <input type="text" id="alertLogPath" value="${escapeHtml(config.alertLogPath)}" placeholder="Leave blank to disable">
+        <div class="hint">Every alert is appended here as one JSON line</div>
+      </div>
+
+      <div class="field full">
+        <label>Validation Rules</label>
+        <div class="rule-options">${ruleOptions}
+        </div>
+        <div class="hint">Checks to run against the scraped articles — hover a rule for details</div>
+      </div>
+    </div>
+
+    <div class="actions">
+      <button id="run-btn">Run Validation</button>
+      <button id="reset-btn">Reset Defaults</button>
+      <span class="status" id="status"></span>
+    </div>
+  </div>
+
+  <script>
+    // Settings and profile names are user input, so keep them from closing this script tag
+    const defaults = ${JSON.stringify(config).replace(/</g, "\\u003c")};
+    let profiles = ${JSON.stringify(profileState.profiles).replace(/</g, "\\u003c")};
+    const status = document.getElementById("status");
+    // Opened on its own (not from the dashboard) there is nobody to ask
+    const served = /^https?:$/.test(location.protocol);
+
+    // Posts to the dashboard, answering with the status and the JSON reply
+    async function post(url, body) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      return { status: response.status, reply: await response.json() };
+    }
+
+    // Copies a full set of settings into the form
+    function fillForm(values) {
+      document.getElementById("targetArticles").value = values.targetArticles;
+      document.getElementById("maxRetries").value = values.maxRetries;
+      document.getElementById("retryDelayMs").value = values.retryDelayMs;
+      document.getElementById("retryMaxDelayMs").value = values.retryMaxDelayMs;
+      document.getElementById("retryJitterPercent").value = values.retryJitterPercent;
+      document.getElementById("navigationTimeoutMs").value = values.navigationTimeoutMs;
+      document.getElementById("fetchMode").value = values.fetchMode;
+      document.getElementById("concurrency").value = values.concurrency;
+      document.getElementById("url").value = values.url;
+      document.getElementById("apiBaseUrl").value = values.apiBaseUrl;
+      document.getElementById("frontDay").value = values.frontDay;
+      document.querySelectorAll('input[name="browsers"]').forEach((box) => {
+        box.checked = values.browsers.includes(box.value);
+      });
+      document.getElementById("device").value = values.device;
+      document.getElementById("timeZone").value = values.timeZone;
+      document.getElementById("locale").value = values.locale;
+      document.querySelectorAll('input[name="views"]').forEach((box) => {
+        box.checked = values.views.includes(box.value);
+      });
+      document.getElementById("reportPath").value = values.reportPath;
+      document.getElementById("jsonPath").value = values.jsonPath;
+      document.getElementById("junitPath").value = values.junitPath;
+      document.getElementById("csvPath").value = values.csvPath;
+      document.getElementById("historyDir").value = values.historyDir;
+      document.getElementById("artifactsDir").value = values.artifactsDir;
+      document.getElementById("trace").checked = values.trace;
+      document.getElementById("audit").checked = values.audit;
+      document.getElementById("session").value = values.session;
+      document.getElementById("sessionPath").value = values.sessionPath;
+      document.getElementById("sortToleranceMs").value = values.sortToleranceMs;
+      document.getElementById("sortTies").value = values.sortTies;
+      document.getElementById("watchIntervalMs").value = values.watchIntervalMs;
+      document.getElementById("watchRuns").value = values.watchRuns;
+      document.getElementById("alertWebhookUrl").value = values.alertWebhookUrl;
+      document.getElementById("alertCommand").value = values.alertCommand;
+      document.getElementById("alertLogPath").value = values.alertLogPath;
+      document.querySelectorAll('input[name="rules"]').forEach((box) => {
+        box.checked = values.rules.includes(box.value);
+      });
+    }
+
+    // Numbers are sent as typed; Node parses them so a blank or "1e3" is reported, not turned into NaN
+    function readForm() {
+      return {
+        targetArticles: document.getElementById("targetArticles").value,
+        maxRetries: document.getElementById("maxRetries").value,
+        retryDelayMs: document.getElementById("retryDelayMs").value,
+        retryMaxDelayMs: document.getElementById("retryMaxDelayMs").value,
+        retryJitterPercent: document.getElementById("retryJitterPercent").value,
+        navigationTimeoutMs: document.getElementById("navigationTimeoutMs").value,
+        fetchMode: document.getElementById("fetchMode").value,
+        concurrency: document.getElementById("concurrency").value,
+        url: document.getElementById("url").value.trim(),
+        apiBaseUrl: document.getElementById("apiBaseUrl").value.trim(),
+        views: Array.from(document.querySelectorAll('input[name="views"]:checked')).map((box) => box.value),
+        frontDay: document.getElementById("frontDay").value,
+        browsers: Array.from(document.querySelectorAll('input[name="browsers"]:checked')).map((box) => box.value),
+        device: document.getElementById("device").value,
+        timeZone: document.getElementById("timeZone").value,
+        locale: document.getElementById("locale").value.trim(),
+        reportPath: document.getElementById("reportPath").value.trim(),
+        jsonPath: document.getElementById("jsonPath").value.trim(),
+        junitPath: document.getElementById("junitPath").value.trim(),
+        csvPath: document.getElementById("csvPath").value.trim(),
+        historyDir: document.getElementById("historyDir").value.trim(),
+        artifactsDir: document.getElementById("artifactsDir").value.trim(),
+        trace: document.getElementById("trace").checked,
+        audit: document.getElementById("audit").checked,
+        session: document.getElementById("session").value,
+        sessionPath: document.getElementById("sessionPath").value.trim(),
+        sortToleranceMs: document.getElementById("sortToleranceMs").value,
+        sortTies: document.getElementById("sortTies").value,
+        watchIntervalMs: document.getElementById("watchIntervalMs").value,
+        watchRuns: document.getElementById("watchRuns").value,
+        alertWebhookUrl: document.getElementById("alertWebhookUrl").value.trim(),
+        alertCommand: document.getElementById("alertCommand").value.trim(),
+        alertLogPath: document.getElementById("alertLogPath").value.trim(),
+        rules: Array.from(document.querySelectorAll('input[name="rules"]:checked')).map((box) => box.value),
+      };
+    }
+
+    function renderProfiles(selected) {
+      const select = document.getElementById("profile");
+      select.replaceChildren(new Option("(unsaved settings)", ""));
+      for (const name of Object.keys(profiles)) select.add(new Option(name, name));
+      select.value = selected in profiles ? selected : "";
+      document.getElementById("profile-name").value = select.value;
+    }
+
+    // The dashboard validates and writes the whole set; the page only keeps what was saved
+    async function saveProfiles(next, selected, message) {
+      const { reply: result } = await post("/api/profiles", next);
+      if (!result.ok) {
+        status.textContent = result.error;
+        return;
+      }
+      profiles = result.profiles;
+      renderProfiles(selected);
+      status.textContent = message;
+    }
+
+    // The dashboard checks the form against the same schema as the command
+    // line and profiles. Run stays disabled until it reports no errors.
+    const fixMessage = "Fix the highlighted settings to run.";
+    let latestCheck = 0;
+
+    function showErrors(errors) {
+      document.querySelectorAll(".field.invalid").forEach((field) => field.classList.remove("invalid"));
+      document.querySelectorAll(".field .error").forEach((el) => el.remove());
+      // Errors without a field of their own still need to be seen
+      const unplaced = [];
+      for (const { key, message } of errors) {
+        const input = document.getElementById(key) || document.querySelector('input[name="' + key + '"]');
+        const field = input && input.closest(".field");
+        if (!field) {
+          unplaced.push(message);
+          continue;
+        }
+        field.classList.add("invalid");
+        const error = document.createElement("div");
+        error.className = "error";
+        error.textContent = message;
+        field.append(error);
+      }
+      document.getElementById("run-btn").disabled = errors.length > 0;
+      if (errors.length > 0) {
+        status.textContent = unplaced.length ? unplaced.join(" ") : fixMessage;
+      } else if (status.textContent === fixMessage) {
+        status.textContent = "";
+      }
+    }
+
+    async function validate() {
+      if (!served) return;
+      const check = ++latestCheck;
+      const { reply: { errors } } = await post("/api/settings/validate", readForm());
+      // Only the answer to the latest edit counts
+      if (check === latestCheck) showErrors(errors);
+    }
+
+    document.querySelector(".fields").addEventListener("input", validate);
+    document.querySelector(".fields").addEventListener("change", validate);
+
+    document.getElementById("reset-btn").addEventListener("click", () => {
+      fillForm(defaults);
+      validate();
+    });
+
+    document.getElementById("profile").addEventListener("change", (event) => {
+      const name = event.target.value;
+      document.getElementById("profile-name").value = name;
+      if (name) {
+        fillForm({ ...defaults, ...profiles[name] });
+        validate();
+      }
+    });
+
+    document.getElementById("save-profile-btn").addEventListener("click", () => {
+      const name = document.getElementById("profile-name").value.trim();
+      if (!name) {
+        status.textContent = "Name the profile first.";
+        return;
+      }
+      saveProfiles({ ...profiles, [name]: readForm() }, name, 'Saved profile "' + name + '".');
+    });
+
+    document.getElementById("delete-profile-btn").addEventListener("click", () => {
+      const name = document.getElementById("profile").value;
+      if (!name) return;
+      const next = { ...profiles };
+      delete next[name];
+      saveProfiles(next, "", 'Deleted profile "' + name + '".');
+    });
+
+    document.getElementById("export-btn").addEventListener("click", () => {
+      const textarea = document.getElementById("profiles-json");
+      textarea.value = JSON.stringify({ version: 1, profiles }, null, 2);
+      textarea.select();
+      status.textContent = "Copy the JSON above to share or back up your profiles.";
+    });
+
+    document.getElementById("profiles-file").addEventListener("change", async (event) => {
+      const [file] = event.target.files;
+      if (file) document.getElementById("profiles-json").value = await file.text();
+    });
+
+    // Imported profiles are added to the saved ones, replacing any with the same name
+    document.getElementById("import-btn").addEventListener("click", () => {
+      let imported;
+      try {
+        imported = JSON.parse(document.getElementById("profiles-json").value).profiles;
+      } catch {
+        status.textContent = "The import is not valid JSON.";
+        return;
+      }
+      if (!imported || typeof imported !== "object") {
+        status.textContent = 'Expected { "profiles": { ... } } to import.';
+        return;
+      }
+      const names = Object.keys(imported);
+      saveProfiles({ ...profiles, ...imported }, names[0], "Imported " + names.length + " profile(s).");
+    });
+
+    document.getElementById("run-btn").addEventListener("click", async () => {
+      const btn = document.getElementById("run-btn");
+      btn.disabled = true;
+      status.textContent = "Starting validation...";
+
+      // The dashboard re-checks the settings and only starts the run if
+      // they are valid; the run's page follows its progress
+      const { status: code, reply } = await post("/api/runs", readForm());
+      if (code === 400) {
+        showErrors(reply.errors);
+      } else if (reply.url) {
+        location.href = reply.url;
+      } else {
+        status.textContent = reply.error;
+        btn.disabled = false;
+      }
+    });
+
+    validate();
+  </script>
+</body>
+</html>`;
+}
+
+// ── Progress page ──────────────────────────────────────────────────────────────
+// Shown at /runs/<id> while a run is in progress. The page follows the
+// hooks.onProgress events of runValidation() from the dashboard's event
+// stream and hands each to window.__progress(event); once the run has
+// finished it reloads, which brings up the report. Cancel posts to the
+// run's cancel endpoint.
+
+/** Builds the live progress page with one row per view (and browser) to be validated. */
+function generateProgressHtml(config) {
+  const engines = config.browsers.length > 1 ? config.browsers : [null];
+  const viewRows = engines
+    .flatMap((engine) => config.views.map((id) => resolveView(id, config, Date.now(), engine)))
+    .map(
+      (view) => `
+      <div class="view-progress" id="progress-${viewKey(view)}" data-state="waiting">
+        <div class="view-line">
+          <span class="view-name">${escapeHtml(view.name)}</span>
+          <span class="view-state">Waiting</span>
+        </div>
+        <div class="bar"><div class="fill" style="width: 0%"></div></div>
+        <div class="view-detail">0/${config.targetArticles} articles</div>
+      </div>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>HN Validator — Running</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; color: #333; padding: 2rem; }
+  .container { max-width: 720px; margin: 0 auto; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .subtitle { color: #888; font-size: .85rem; margin-bottom: 1.5rem; }
+  .view-progress { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; box-shadow: 0 1px 3px rgba(0,0,0,.1); margin-bottom: .75rem; }
+  .view-line { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: .5rem; }
+  .view-name { font-weight: 600; }
+  .view-state { font-size: .75rem; text-transform: uppercase; letter-spacing: .05em; color: #888; }
+  .bar { height: 8px; background: #f0f0f0; border-radius: 999px; overflow: hidden; }
+  .fill { height: 100%; background: #ff6600; transition: width .2s; }
+  .view-detail { font-size: .8rem; color: #888; margin-top: .4rem; }
+  .view-detail .errors { color: #dc2626; font-weight: 600; }
+  [data-state="pass"] .fill { background: #16a34a; }
+  [data-state="fail"] .fill { background: #dc2626; }
+  [data-state="incomplete"] .fill { background: #9ca3af; }
+  [data-state="pass"] .view-state { color: #16a34a; }
+  [data-state="fail"] .view-state { color: #dc2626; }
+  #retry { font-size: .85rem; color: #b45309; background: #fffbeb; border: 1px solid #fcd34d; border-radius: 8px; padding: .6rem 1rem; margin-bottom: .75rem; word-break: break-all; }
+  .actions { display: flex; gap: .75rem; align-items: center; margin-top: 1.5rem; }
+  #cancel-btn { background: none; border: 1px solid #dc2626; color: #dc2626; padding: .65rem 1.5rem; border-radius: 8px; font-size: .9rem; font-weight: 600; cursor: pointer; }
+  #cancel-btn:hover { background: #fef2f2; }
+  #cancel-btn:disabled { border-color: #ccc; color: #aaa; background: none; cursor: not-allowed; }
+  .status { font-size: .8rem; color: #888; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <h1>Validating Hacker News</h1>
+    <p class="subtitle">${config.views.length} view(s), ${config.targetArticles} articles each, ${escapeHtml(config.fetchMode)} fetch, ${escapeHtml(config.browsers.join(", "))}${config.device ? ` as ${escapeHtml(config.device)}` : ""}</p>
+    <div id="retry" hidden></div>
+    ${viewRows}
+    <div class="actions">
+      <button id="cancel-btn">Cancel</button>
+      <span class="status" id="status">Starting...</span>
+    </div>
+  </div>
+
+  <script>
+    const status = document.getElementById("status");
+    const retry = document.getElementById("retry");
+    const failureKinds = ${JSON.stringify(FAILURE_KINDS)};
+    let countdown = null;
+
+    function clearRetry() {
+      clearInterval(countdown);
+      retry.hidden = true;
+    }
+
+    function showRetry(event) {
+      clearRetry();
+      const endsAt = Date.now() + event.delayMs;
+      const render = () => {
+        const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+        const kind = event.kind ? ", " + (failureKinds[event.kind] ?? event.kind) : "";
+        retry.textContent = "Attempt " + event.attempt + "/" + event.maxRetries + " failed for " + event.url +
+          " (" + event.error + kind + ") — retrying in " + seconds + "s";
+      };
+      render();
+      retry.hidden = false;
+      countdown = setInterval(render, 250);
+    }
+
+    function updateView(event, state, label) {
+      const row = document.getElementById("progress-" + event.view);
+      if (!row) return;
+      row.dataset.state = state;
+      row.querySelector(".view-state").textContent = label;
+      if (event.collected === undefined) return;
+      const target = event.target || ${config.targetArticles};
+      row.querySelector(".fill").style.width = Math.min(100, (event.collected / target) * 100) + "%";
+      const detail = row.querySelector(".view-detail");
+      detail.textContent = event.collected + "/" + target + " articles" + (event.page ? " · page " + event.page : "") + " · ";
+      const errors = document.createElement("span");
+      errors.className = event.errors ? "errors" : "";
+      errors.textContent = event.errors + " violation(s)";
+      detail.append(errors);
+    }
+
+    window.__progress = (event) => {
+      if (event.type === "view-start") {
+        updateView(event, "running", "Loading");
+        status.textContent = "Loading " + event.url;
+      } else if (event.type === "page") {
+        clearRetry();
+        updateView(event, "running", "Page " + event.page);
+        status.textContent = "Scraped page " + event.page + " of " + event.view;
+      } else if (event.type === "retry") {
+        showRetry(event);
+      } else if (event.type === "view-done") {
+        clearRetry();
+        updateView(event, event.status, event.status);
+      }
+    };
+
+    // Rendered on its own (not from the dashboard) there is no run to follow
+    const runApi = /^\\/runs\\/[^/]+$/.test(location.pathname) ? "/api" + location.pathname : null;
+
+    // Reconnects resume after the last event seen, so a reload loses nothing
+    if (runApi) {
+      const events = new EventSource(runApi + "/events");
+      events.onmessage = (message) => window.__progress(JSON.parse(message.data));
+      events.addEventListener("end", () => {
+        events.close();
+        location.reload();
+      });
+    }
+
+    // With no run behind the page there is nothing to cancel
+    document.getElementById("cancel-btn").hidden = !runApi;
+    document.getElementById("cancel-btn").addEventListener("click", () => {
+      document.getElementById("cancel-btn").disabled = true;
+      status.textContent = "Cancelling — finishing the current page, then writing a partial report...";
+      fetch(runApi + "/cancel", { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" });
+    });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  generateSettingsHtml,
+  generateProgressHtml,
+};
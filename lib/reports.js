@@ -0,0 +1,1006 @@
+const path = require("path");
+const fs = require("fs");
+const { pathToFileURL } = require("url");
+const { fmt, log, print } = require("./log");
+const { DEFAULT_CONFIG } = require("./defaults");
+const { formatDelta, formatLocalTime, formatTimestamp, formatUtcTime, parseTimestamp } = require("./time");
+const { LISTINGS, ORDERING_DESCRIPTIONS, viewKey } = require("./listings");
+const { ARTIFACTS_ROUTE } = require("./artifacts");
+const { AUDIT_ISSUES, averagePageMs, describeAudit, describePageTimings, FAILURE_KINDS } = require("./collect");
+const { countFindings, describeDrift, hasDrift, NO_DRIFT, rulesPassed, ruleStatus, SEVERITIES } = require("./rules");
+
+// ── Console report ─────────────────────────────────────────────────────────────
+
+const SEVERITY_COLORS = { error: fmt.red, warning: fmt.yellow, info: fmt.dim };
+
+/** "2 error(s), 1 warning(s)" for a list of findings, most severe first. */
+function describeFindingCounts(findings) {
+  return SEVERITIES.map((severity) => [severity, findings.filter((f) => f.severity === severity).length])
+    .filter(([, n]) => n > 0)
+    .map(([severity, n]) => `${n} ${severity}(s)`)
+    .join(", ");
+}
+
+function printReport(articles, ruleResults, durationMs, drift = NO_DRIFT, view = null, config = DEFAULT_CONFIG) {
+  const seconds = (durationMs / 1000).toFixed(1);
+
+  print("\n" + "=".repeat(70));
+  print(fmt.bold("  Hacker News Sort Order — Validation Report"));
+  print("=".repeat(70));
+  if (view) {
+    print(`  View:              ${fmt.cyan(view.name)} ${fmt.dim(view.url)}`);
+  }
+  print(`  Articles checked:  ${fmt.cyan(articles.length)}`);
+  print(`  Time elapsed:      ${fmt.cyan(seconds + "s")}`);
+  print(`  Oldest article:    ${fmt.dim(formatTimestamp(articles[articles.length - 1].timestamp, config))}`);
+  print(`  Newest article:    ${fmt.dim(formatTimestamp(articles[0].timestamp, config))}`);
+  const driftColor = hasDrift(drift) ? fmt.yellow : fmt.dim;
+  print(`  Page drift:        ${driftColor(describeDrift(drift))}`);
+  print("-".repeat(70));
+
+  const allFindings = ruleResults.flatMap((r) => r.findings);
+  if (rulesPassed(ruleResults)) {
+    print(
+      fmt.green(
+        `  PASS: All ${articles.length} articles passed ${ruleResults.length} validation rule(s).`
+      )
+    );
+  } else {
+    const failing = ruleResults.filter((r) => r.findings.some((f) => f.severity === "error"));
+    print(
+      fmt.red(`  FAIL: ${describeFindingCounts(allFindings)} across ${failing.length} rule(s).`)
+    );
+  }
+
+  // One block per rule, listing its findings
+  print("");
+  for (const result of ruleResults) {
+    const counts = describeFindingCounts(result.findings);
+    const statusColor = { pass: fmt.green, warn: fmt.yellow, fail: fmt.red }[ruleStatus(result)];
+    const status = statusColor(ruleStatus(result).toUpperCase());
+    print(`  ${result.name.padEnd(24)} ${status}${counts ? fmt.dim(`  ${counts}`) : ""}`);
+    for (const f of result.findings) {
+      const where = f.position ? `#${f.position}: ` : "";
+      print(SEVERITY_COLORS[f.severity](`    ${where}${f.message}`));
+    }
+  }
+
+  print("=".repeat(70) + "\n");
+}
+
+/** The combined verdict when a run covered more than one view. */
+function printVerdict(viewResults) {
+  const passedViews = viewResults.filter((v) => v.passed).length;
+  const line = `${passedViews}/${viewResults.length} view(s) passed`;
+  const details = viewResults
+    .map((v) => `${viewKey(v.view)} ${!v.complete ? "INCOMPLETE" : v.passed ? "PASS" : "FAIL"}`)
+    .join(", ");
+
+  if (passedViews === viewResults.length) {
+    print(fmt.green(fmt.bold(`OVERALL PASS: ${line}`)) + fmt.dim(` (${details})`) + "\n");
+  } else {
+    print(fmt.red(fmt.bold(`OVERALL FAIL: ${line}`)) + fmt.dim(` (${details})`) + "\n");
+  }
+}
+
+/** Totals for one browser's views, shared by the console and HTML comparisons. */
+function browserTotals(viewResults) {
+  const ruleResults = viewResults.flatMap((v) => v.ruleResults);
+  return {
+    articles: viewResults.reduce((n, v) => n + v.articles.length, 0),
+    errors: countFindings(ruleResults, "error"),
+    averagePageMs: averagePageMs({ pages: viewResults.flatMap((v) => v.pages ?? []) }),
+  };
+}
+
+/** One line per browser when a run covered several. */
+function printBrowserComparison(browsers) {
+  print(fmt.bold("Browsers:"));
+  for (const b of browsers) {
+    const label = b.status.toUpperCase().padEnd(10);
+    const color = b.status === "pass" ? fmt.green : fmt.red;
+    if (b.error) {
+      print(`  ${b.engine.padEnd(10)}${color(label)}${b.error}`);
+      continue;
+    }
+    const totals = browserTotals(b.views);
+    const page = totals.averagePageMs === null ? "" : `, ${totals.averagePageMs}ms per page`;
+    print(
+      `  ${b.engine.padEnd(10)}${color(label)}${totals.articles} article(s), ${totals.errors} violation(s), ` +
+        `${(b.durationMs / 1000).toFixed(1)}s${page}`
+    );
+  }
+  print("");
+}
+
+// ── HTML report ────────────────────────────────────────────────────────────────
+
+/**
+ * The href of a saved file. Reports open from disk as well as from the
+ * dashboard, so files under config.artifactsDir also get the dashboard path
+ * they are served at in data-served, which the report switches to when it
+ * is served over HTTP.
+ */
+function artifactHref(file, config) {
+  const relative = config.artifactsDir ? path.relative(path.resolve(config.artifactsDir), path.resolve(file)) : "";
+  const served =
+    relative && !relative.startsWith("..") && !path.isAbsolute(relative)
+      ? `${ARTIFACTS_ROUTE}${relative.split(path.sep).map(encodeURIComponent).join("/")}`
+      : null;
+  return `href="${escapeHtml(pathToFileURL(file).href)}"${served ? ` data-served="${escapeHtml(served)}"` : ""}`;
+}
+
+/** Screenshot and HTML links for a failure artifact. */
+function renderArtifactLinks(artifact, config) {
+  const link = (file, label) => (file ? `<a class="artifact" ${artifactHref(file, config)} target="_blank">${label}</a>` : "");
+  return `${link(artifact.screenshot, "screenshot")}${link(artifact.html, "html")}`;
+}
+
+/**
+ * The expandable detail under a flagged article row: every finding on it,
+ * and for findings about a pair of articles (such as out-of-order ones) both
+ * articles side by side with the time between them.
+ */
+function renderFindingDetail(articles, rowFindings, config) {
+  const positionOf = (article) => {
+    const index = articles.indexOf(article);
+    return (index === -1 ? articles.findIndex((a) => a.id && a.id === article.id) : index) + 1;
+  };
+  const card = (article) => `
+            <div class="pair-article">
+              <div class="pair-position">#${positionOf(article) || "?"}</div>
+              <div class="pair-title">${escapeHtml(article.title)}</div>
+              <div class="pair-time">${escapeHtml(article.timestamp ? formatTimestamp(article.timestamp, config) : "no timestamp")} · ${escapeHtml(article.ageText ?? "")}</div>
+            </div>`;
+
+  return rowFindings
+    .map((f) => {
+      let pair = "";
+      if (f.article && f.nextArticle) {
+        const from = parseTimestamp(f.article.timestamp);
+        const to = parseTimestamp(f.nextArticle.timestamp);
+        const deltaMs = from && to ? to.getTime() - from.getTime() : null;
+        const delta =
+          deltaMs === null
+            ? "time unknown"
+            : deltaMs === 0
+              ? "same time"
+              : `${formatDelta(Math.abs(deltaMs), config)} ${deltaMs > 0 ? "newer" : "older"}`;
+        pair = `
+          <div class="pair">${card(f.article)}
+            <div class="pair-delta">→ ${delta}</div>${card(f.nextArticle)}
+          </div>`;
+      }
+      return `
+          <div class="detail-finding"><span class="type">${escapeHtml(f.type)}</span> ${escapeHtml(f.message)}</div>${pair}`;
+    })
+    .join("");
+}
+
+/** The "Page health" section of a view: one row per audited page, then what the audit found. */
+function renderPageHealth(pages) {
+  const audited = pages.filter((p) => p.audit);
+  if (audited.length === 0) return "";
+
+  const count = (n, state) => `<td class="${n > 0 ? state : "ok"}">${n}</td>`;
+  const ms = (t) => (t === null || t === undefined ? "—" : `${t}ms`);
+  const rows = audited
+    .map(({ page, audit }) => {
+      const issues = (prefix) =>
+        audit.issues.filter((i) => i.type.includes(prefix)).reduce((n, i) => n + i.count, 0);
+      const status = audit.status ?? "—";
+      return `
+            <tr><td>${page}</td><td class="${audit.status >= 400 ? "bad" : "ok"}">${status}</td><td>${ms(audit.timing?.responseMs)} / ${ms(audit.timing?.domReadyMs)} / ${ms(audit.timing?.loadMs)}</td>${count(audit.consoleErrors.length, "bad")}${count(audit.failedRequests.length, "bad")}${count(issues("title-link"), "bad")}${count(audit.issues.reduce((n, i) => n + i.count, 0) - issues("title-link"), "warn")}</tr>`;
+    })
+    .join("");
+
+  const problems = audited.flatMap(({ page, audit }) => [
+    ...audit.consoleErrors.map((text) => `Console error: ${text}`),
+    ...audit.failedRequests.map((r) => `Failed request (${r.status ? `HTTP ${r.status}` : r.error}): ${r.url}`),
+    ...audit.issues.map((i) => `${AUDIT_ISSUES[i.type]} (${i.count}): ${i.samples.join(" ")}`),
+  ].map((text) => `
+          <li><span class="audit-page">page ${page}</span> ${escapeHtml(text)}</li>`));
+
+  return `
+      <section class="page-health">
+        <h3>Page health</h3>
+        <p class="audit-summary">${escapeHtml(describeAudit(pages))}</p>
+        <table>
+          <thead><tr><th>Page</th><th>Status</th><th>Response / DOM ready / Load</th><th>Console errors</th><th>Failed requests</th><th>Broken title links</th><th>Accessibility</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>${problems.length ? `
+        <ul class="audit-problems">${problems.join("")}
+        </ul>` : ""}
+      </section>`;
+}
+
+/**
+ * One view's section of the report: its verdict, drift note, rule findings,
+ * page health (with the audit on) and article table. Rows and errors with saved failure artifacts link to
+ * them, and flagged rows expand to show their findings.
+ */
+function renderViewSection(result, config) {
+  const { view, articles, ruleResults, drift } = result;
+  const status = !result.complete ? "incomplete" : result.passed ? "pass" : "fail";
+  const artifacts = result.artifacts ?? [];
+
+  const artifactByPosition = new Map();
+  for (const artifact of artifacts) {
+    for (const position of artifact.positions) artifactByPosition.set(position, artifact);
+  }
+
+  // Group findings by row position for quick lookup when rendering rows
+  const findingsByPosition = new Map();
+  for (const ruleResult of ruleResults) {
+    for (const f of ruleResult.findings) {
+      if (!f.position) continue;
+      if (!findingsByPosition.has(f.position)) findingsByPosition.set(f.position, []);
+      findingsByPosition.get(f.position).push({ ...f, badge: f.badge ?? ruleResult.badge });
+    }
+  }
+
+  const articleRows = articles
+    .map((a, i) => {
+      const rowFindings = (findingsByPosition.get(i + 1) ?? []).filter((f) => f.severity !== "info");
+      const hasError = rowFindings.some((f) => f.severity === "error");
+      const rowClass = hasError ? ' class="violation"' : rowFindings.length > 0 ? ' class="warning"' : "";
+      // The toggle draws its arrow in CSS so the cell still reads as the position
+      const expand = rowFindings.length > 0 ? '<button class="expand" aria-expanded="false" title="Show details"></button>' : "";
+      const detail = rowFindings.length
+        ? `
+            <tr class="finding-detail" hidden><td colspan="9">${renderFindingDetail(articles, rowFindings, config)}
+            </td></tr>`
+        : "";
+      // One of each badge, even if a rule flagged the row more than once
+      const badges = rowFindings
+        .filter((f, idx) => rowFindings.findIndex((g) => g.badge === f.badge) === idx)
+        .map((f) => `<span class="badge${f.severity === "error" ? "" : " warn"}">${escapeHtml(f.badge)}</span>`)
+        .join("");
+      const title = a.url
+        ? `<a href="${escapeHtml(a.url)}" target="_blank" rel="noopener">${escapeHtml(a.title)}</a>`
+        : escapeHtml(a.title);
+      // Sorted by the raw UTC timestamp, shown in the configured zone
+      const time = parseTimestamp(a.timestamp);
+      const timeCell = !time
+        ? escapeHtml(a.timestamp ?? "")
+        : config.timeZone === "UTC"
+          ? escapeHtml(formatLocalTime(time, config))
+          : `${escapeHtml(formatLocalTime(time, config))}<div class="utc">${formatUtcTime(time)}</div>`;
+      const artifact = artifactByPosition.get(i + 1);
+      const artifactLinks = artifact ? `<span class="artifacts">page ${artifact.page}: ${renderArtifactLinks(artifact, config)}</span>` : "";
+      return `
+            <tr${rowClass} data-title="${escapeHtml(a.title.toLowerCase())}">
+              <td>${i + 1}${expand}</td>
+              <td>${a.rank ?? ""}</td>
+              <td>${title}</td>
+              <td>${escapeHtml(a.domain ?? "")}</td>
+              <td>${escapeHtml(a.author ?? "")}</td>
+              <td>${a.points ?? ""}</td>
+              <td>${a.comments ?? ""}</td>
+              <td data-sort="${escapeHtml(a.timestamp ?? "")}">${timeCell}</td>
+              <td data-sort="${escapeHtml(a.timestamp ?? "")}">${escapeHtml(a.ageText)} ${badges}${artifactLinks}</td>
+            </tr>${detail}`;
+    })
+    .join("");
+
+  // One block per rule with its own findings list
+  const ruleSections = ruleResults
+    .map((ruleResult) => {
+      const ruleState = ruleStatus(ruleResult);
+      const findingItems = ruleResult.findings
+        .map(
+          (f) => `
+            <li class="finding ${escapeHtml(f.severity)}">
+              <span class="severity">${escapeHtml(f.severity)}</span>
+              ${f.position ? `<span class="position">#${f.position}</span>` : ""}
+              <span class="type">${escapeHtml(f.type)}</span>
+              ${escapeHtml(f.message)}
+            </li>`
+        )
+        .join("");
+      return `
+        <section class="rule-section" id="rule-${viewKey(view)}-${ruleResult.id}">
+          <div class="rule-header">
+            <h3>${escapeHtml(ruleResult.name)}</h3>
+            <span class="pill pill-${ruleState}">${ruleState.toUpperCase()}</span>
+            <span class="rule-counts">${describeFindingCounts(ruleResult.findings) || "no findings"}</span>
+          </div>
+          <p class="rule-desc">${escapeHtml(ruleResult.description)}</p>
+          ${findingItems ? `<ul class="findings">${findingItems}\n          </ul>` : ""}
+        </section>`;
+    })
+    .join("");
+
+  const pages = result.pages ?? [];
+  const pageRows = pages
+    .map(
+      (p) => `
+            <tr><td>${p.page}</td><td>${p.rows}</td><td>${p.durationMs}ms</td><td class="page-url">${escapeHtml(p.url)}</td></tr>`
+    )
+    .join("");
+  const pageTimings = pages.length
+    ? `
+      <details class="page-timings">
+        <summary>${escapeHtml(describePageTimings(pages))}</summary>
+        <table>
+          <thead><tr><th>Page</th><th>Rows</th><th>Load time</th><th>URL</th></tr></thead>
+          <tbody>${pageRows}</tbody>
+        </table>
+      </details>`
+    : "";
+  const pageHealth = renderPageHealth(pages);
+
+  const otherArtifacts = artifacts
+    .filter((a) => a.kind !== "violation")
+    .map((a) => ` <span class="artifacts">${a.page ? `page ${a.page}: ` : ""}${renderArtifactLinks(a, config)}</span>`)
+    .join("");
+  const failureKind = result.errorKind ? ` (${FAILURE_KINDS[result.errorKind]})` : "";
+  const incompleteNote = result.complete
+    ? ""
+    : result.cancelled
+      ? `
+      <div class="incomplete-note">Cancelled after ${articles.length} article(s); the rules below ran on what had been collected.</div>`
+      : result.error && articles.length > 0
+      ? `
+      <div class="incomplete-note">Collection stopped at page ${result.failedPage}${failureKind}: ${escapeHtml(result.error)}. The rules below ran on the ${articles.length} article(s) collected before it.${otherArtifacts}</div>`
+      : result.error
+      ? `
+      <div class="incomplete-note">Could not load this view${failureKind}: ${escapeHtml(result.error)}${otherArtifacts}</div>`
+      : `
+      <div class="incomplete-note">Only ${articles.length} article(s) could be collected, so no rules were run on this view.${otherArtifacts}</div>`;
+
+  return `
+    <section class="view" id="view-${viewKey(view)}">
+      <div class="view-header">
+        <h2>${escapeHtml(view.name)}</h2>
+        <span class="pill pill-${status}">${status.toUpperCase()}</span>
+        <a class="view-url" href="${escapeHtml(view.url)}" target="_blank" rel="noopener">${escapeHtml(view.url)}</a>
+      </div>
+      <div class="view-meta">${articles.length} article(s), ${escapeHtml(ORDERING_DESCRIPTIONS[view.ordering])}</div>
+      <div class="drift-note${hasDrift(drift) ? " drifted" : ""}">${escapeHtml(describeDrift(drift))}</div>${pageTimings}${incompleteNote}
+      <div class="rules">${ruleSections}
+      </div>${pageHealth}
+      <div class="table-tools">
+        <input type="search" class="table-search" placeholder="Search titles" aria-label="Search ${escapeHtml(view.name)} titles">
+        <label><input type="checkbox" class="only-violations"> Violations only</label>
+        <span class="table-count"></span>
+        <span class="violation-nav">
+          <button class="prev-violation" title="Previous violation (k)">↑</button>
+          <button class="next-violation" title="Next violation (j)">↓</button>
+        </span>
+      </div>
+      <table class="articles" id="articles-${viewKey(view)}">
+        <thead>
+          <tr>
+            <th data-type="number" aria-sort="ascending">#</th>
+            <th data-type="number">Rank</th>
+            <th data-type="text">Title</th>
+            <th data-type="text">Domain</th>
+            <th data-type="text">Author</th>
+            <th data-type="number">Points</th>
+            <th data-type="number">Comments</th>
+            <th data-type="text">Timestamp (${escapeHtml(config.timeZone)})</th>
+            <th data-type="text">Age</th>
+          </tr>
+        </thead>
+        <tbody>${articleRows}</tbody>
+      </table>
+    </section>`;
+}
+
+/**
+ * The per-browser comparison for runs across several engines: each
+ * browser's verdict, every view's result in it, and its timings. Views
+ * whose verdict differs between browsers are called out.
+ */
+function renderBrowserComparison(browsers, viewResults, config) {
+  const viewIds = config.views.filter((id) => viewResults.some((v) => v.view.id === id));
+  const viewIn = (engine, id) => viewResults.find((v) => v.view.engine === engine && v.view.id === id);
+
+  const rows = browsers
+    .map((b) => {
+      const views = viewResults.filter((v) => v.view.engine === b.engine);
+      const totals = browserTotals(views);
+      const cells = viewIds
+        .map((id) => {
+          const v = viewIn(b.engine, id);
+          if (!v) return "<td>—</td>";
+          const status = viewStatus(v);
+          const errors = countFindings(v.ruleResults, "error");
+          return `<td><a href="#view-${viewKey(v.view)}"><span class="pill pill-${status}">${status.toUpperCase()}</span></a> ${v.articles.length} article(s), ${errors} violation(s), ${(v.durationMs / 1000).toFixed(1)}s</td>`;
+        })
+        .join("");
+      const trace = b.trace ? ` <a class="artifact" ${artifactHref(b.trace, config)}>trace</a>` : "";
+      const timings = b.error
+        ? `<td colspan="${viewIds.length + 2}" class="browser-error">Could not start: ${escapeHtml(b.error)}</td>`
+        : `${cells}<td>${(b.durationMs / 1000).toFixed(1)}s</td><td>${totals.averagePageMs === null ? "—" : `${totals.averagePageMs}ms`}</td>`;
+      return `
+          <tr data-engine="${b.engine}">
+            <td>${b.engine}${trace}</td>
+            <td><span class="pill pill-${b.status === "error" ? "fail" : b.status}">${b.status.toUpperCase()}</span></td>
+            ${timings}
+          </tr>`;
+    })
+    .join("");
+
+  const differences = viewIds
+    .map((id) => {
+      const verdicts = browsers.map((b) => [b.engine, viewIn(b.engine, id)]).filter(([, v]) => v);
+      if (new Set(verdicts.map(([, v]) => viewStatus(v))).size < 2) return null;
+      const listing = LISTINGS.find((l) => l.id === id);
+      return `${escapeHtml(listing.name)}: ${verdicts.map(([engine, v]) => `${engine} ${viewStatus(v).toUpperCase()}`).join(", ")}`;
+    })
+    .filter(Boolean);
+  const differenceNote = differences.length
+    ? `
+      <div class="browser-diff">Browsers disagree — ${differences.join("; ")}</div>`
+    : "";
+
+  return `
+    <section class="browsers">
+      <h2>Browsers</h2>${differenceNote}
+      <table class="browser-comparison">
+        <thead>
+          <tr>
+            <th>Browser</th>
+            <th>Result</th>
+            ${viewIds.map((id) => `<th>${escapeHtml(LISTINGS.find((l) => l.id === id).name)}</th>`).join("")}
+            <th>Duration</th>
+            <th>Avg page load</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </section>`;
+}
+
+/**
+ * Builds the report page for a run. `viewResults` holds one entry per
+ * validated listing: { view, articles, drift, ruleResults, complete, passed }.
+ * Each view gets its own section with its rules and article table; the
+ * summary cards and verdict cover the whole run. `runInfo` carries what is
+ * known about the run as a whole: its artifacts folder (`dir`), trace file
+ * (`trace`), whether it was `cancelled`, the recorded session it was
+ * recorded to or replayed from (`session`), and for runs across several
+ * engines the per-browser results (`browsers`, see validateInBrowser()).
+ */
+function generateHtmlReport(viewResults, durationMs, config, runInfo = {}) {
+  const allRuleResults = viewResults.flatMap((v) => v.ruleResults);
+  const passed = !runInfo.cancelled && viewResults.every((v) => v.passed);
+  const seconds = (durationMs / 1000).toFixed(1);
+  const errorCount = countFindings(allRuleResults, "error");
+  const warningCount = countFindings(allRuleResults, "warning");
+  const articleCount = viewResults.reduce((n, v) => n + v.articles.length, 0);
+  const driftedCount = viewResults.reduce((n, v) => n + v.drift.duplicates + v.drift.recovered, 0);
+
+  const { session } = runInfo;
+  const sessionSummary = session
+    ? `
+      <span class="session">Session: ${session.mode === "replay" ? `replayed from ${escapeHtml(session.path)}, recorded ${escapeHtml(formatTimestamp(new Date(session.recordedAt), config))}` : `recorded to ${escapeHtml(session.path)}`}</span>`
+    : "";
+
+  // Show the config that was used for this run
+  const configSummary = `
+    <div class="config-summary">
+      <span>URL: ${escapeHtml(config.url)}</span>
+      <span>Retries: ${config.maxRetries}</span>
+      <span>Timeout: ${config.navigationTimeoutMs}ms</span>
+      <span>Browser: ${escapeHtml(config.browsers.join(", "))}${config.device ? ` as ${escapeHtml(config.device)}` : ""}</span>
+      <span>Sort tolerance: ${config.sortToleranceMs}ms, ties ${config.sortTies === "strict" ? "flagged" : "allowed"}</span>
+      <span>Rules: ${config.rules.join(", ")}</span>
+      <span class="time-zone">Times: ${escapeHtml(config.timeZone)}, ${escapeHtml(config.locale)}</span>${sessionSummary}
+    </div>`;
+
+  const savedArtifacts = viewResults.some((v) => v.artifacts?.length) && runInfo.dir;
+  const artifactsNote =
+    savedArtifacts || runInfo.trace
+      ? `
+    <div class="artifacts-note">
+      ${savedArtifacts ? `Failure artifacts: <a ${artifactHref(runInfo.dir, config)} target="_blank">${escapeHtml(runInfo.dir)}</a>` : ""}
+      ${runInfo.trace ? `Trace: <a class="artifact" ${artifactHref(runInfo.trace, config)}>${escapeHtml(path.basename(runInfo.trace))}</a> <code>npx playwright show-trace ${escapeHtml(runInfo.trace)}</code>` : ""}
+    </div>`
+      : "";
+
+  const viewSections = viewResults.map((v) => renderViewSection(v, config)).join("");
+  const browserComparison =
+    runInfo.browsers?.length > 1 ? renderBrowserComparison(runInfo.browsers, viewResults, config) : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>HN Sort Validation Report</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f5f5f5; color: #333; padding: 2rem; }
+  .container { max-width: 1200px; margin: 0 auto; }
+  .header { display: flex; align-items: center; justify-content: space-between; margin-bottom: 1.5rem; flex-wrap: wrap; gap: .75rem; }
+  h1 { font-size: 1.5rem; }
+  #rerun-btn { background: #ff6600; color: #fff; border: none; padding: .55rem 1.25rem; border-radius: 8px; font-size: .85rem; font-weight: 600; cursor: pointer; transition: background .15s; }
+  #rerun-btn:hover { background: #e55b00; }
+  .header-actions { display: flex; gap: .5rem; }
+  #history-btn { background: #fff; color: #ff6600; border: 1px solid #ff6600; padding: .55rem 1.25rem; border-radius: 8px; font-size: .85rem; font-weight: 600; cursor: pointer; }
+  #history-btn:hover { background: #fff7f0; }
+  #compare-btn { background: #fff; color: #666; border: 1px solid #ccc; padding: .55rem 1.25rem; border-radius: 8px; font-size: .85rem; font-weight: 600; cursor: pointer; }
+  #compare-btn:hover { background: #f5f5f5; }
+  #compare-status { font-size: .8rem; color: #888; align-self: center; }
+  .summary { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem; }
+  .card { background: #fff; border-radius: 8px; padding: 1rem 1.25rem; flex: 1; min-width: 140px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .card .label { font-size: .75rem; text-transform: uppercase; letter-spacing: .05em; color: #888; margin-bottom: .25rem; }
+  .card .value { font-size: 1.25rem; font-weight: 600; }
+  .status-pass { color: #16a34a; }
+  .status-fail { color: #dc2626; }
+  .config-summary { display: flex; gap: 1.5rem; flex-wrap: wrap; font-size: .75rem; color: #999; margin-bottom: .75rem; }
+  .drift-note { font-size: .8rem; color: #888; margin-bottom: 1rem; }
+  .drift-note.drifted { color: #b45309; }
+  table { width: 100%; border-collapse: collapse; background: #fff; border-radius: 8px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  th { background: #ff6600; color: #fff; text-align: left; padding: .625rem .75rem; font-size: .8rem; text-transform: uppercase; letter-spacing: .03em; }
+  th[data-type] { cursor: pointer; user-select: none; white-space: nowrap; }
+  th[aria-sort="ascending"]::after { content: " ▲"; font-size: .6rem; }
+  th[aria-sort="descending"]::after { content: " ▼"; font-size: .6rem; }
+  td a { color: inherit; }
+  td { padding: .5rem .75rem; border-bottom: 1px solid #eee; font-size: .85rem; }
+  tr:last-child td { border-bottom: none; }
+  tr.violation { background: #fef2f2; }
+  tr.warning { background: #fffbeb; }
+  .badge { background: #dc2626; color: #fff; font-size: .65rem; padding: .15rem .4rem; border-radius: 4px; font-weight: 600; margin-left: .5rem; }
+  .badge.warn { background: #d97706; }
+  .rules { display: flex; flex-direction: column; gap: .75rem; margin-bottom: 1.5rem; }
+  .rule-section { background: #fff; border-radius: 8px; padding: .875rem 1.25rem; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .rule-header { display: flex; align-items: center; gap: .75rem; }
+  .rule-header h3 { font-size: 1rem; }
+  .pill { font-size: .65rem; font-weight: 700; padding: .15rem .5rem; border-radius: 999px; color: #fff; }
+  .pill-pass { background: #16a34a; }
+  .pill-warn { background: #d97706; }
+  .pill-fail { background: #dc2626; }
+  .pill-incomplete { background: #9ca3af; }
+  .view { margin-bottom: 2.5rem; }
+  .view-header { display: flex; align-items: center; gap: .75rem; margin-bottom: .25rem; flex-wrap: wrap; }
+  .view-header h2 { font-size: 1.2rem; }
+  .view-url { font-size: .75rem; color: #999; margin-left: auto; word-break: break-all; }
+  .view-meta { font-size: .8rem; color: #888; margin-bottom: .25rem; }
+  .page-timings { font-size: .8rem; color: #888; margin-bottom: 1rem; }
+  .page-timings summary { cursor: pointer; }
+  .page-timings table { margin-top: .5rem; box-shadow: none; }
+  .page-timings th { background: #f0f0f0; color: #666; padding: .35rem .6rem; font-size: .7rem; }
+  .page-timings td { padding: .3rem .6rem; font-size: .75rem; }
+  .page-timings .page-url { word-break: break-all; color: #999; }
+  .incomplete-note { font-size: .85rem; color: #dc2626; margin-bottom: 1rem; }
+  .page-health { margin-bottom: 1.5rem; }
+  .page-health h3 { font-size: 1rem; margin-bottom: .25rem; }
+  .page-health .audit-summary { font-size: .8rem; color: #888; margin-bottom: .5rem; }
+  .page-health table { box-shadow: none; }
+  .page-health th { background: #f0f0f0; color: #666; padding: .35rem .6rem; font-size: .7rem; }
+  .page-health td { padding: .3rem .6rem; font-size: .75rem; }
+  .page-health td.bad { color: #dc2626; font-weight: 600; }
+  .page-health td.warn { color: #b45309; font-weight: 600; }
+  .audit-problems { font-size: .75rem; color: #555; margin: .5rem 0 0 1.25rem; word-break: break-all; }
+  .audit-page { color: #999; margin-right: .35rem; }
+  .browsers { margin-bottom: 2.5rem; }
+  .browsers h2 { font-size: 1.2rem; margin-bottom: .5rem; }
+  .browser-comparison td { vertical-align: middle; }
+  .browser-comparison td a { text-decoration: none; }
+  .browser-error { color: #dc2626; }
+  .browser-diff { font-size: .85rem; color: #b45309; margin-bottom: .75rem; }
+  .cancelled-note { background: #fffbeb; border: 1px solid #fcd34d; color: #92400e; border-radius: 8px; padding: .6rem 1rem; font-size: .85rem; margin-bottom: 1rem; }
+  .artifacts { font-size: .7rem; color: #888; margin-left: .5rem; white-space: nowrap; }
+  a.artifact { color: #2563eb; margin-left: .35rem; }
+  .artifacts-note { font-size: .8rem; color: #666; margin-bottom: 1rem; display: flex; gap: 1.5rem; flex-wrap: wrap; }
+  .artifacts-note code { font-size: .75rem; background: #eee; padding: .1rem .3rem; border-radius: 4px; }
+  .rule-counts { font-size: .75rem; color: #888; margin-left: auto; }
+  .rule-desc { font-size: .8rem; color: #888; margin-top: .25rem; }
+  .findings { list-style: none; margin-top: .5rem; font-size: .8rem; max-height: 240px; overflow-y: auto; }
+  .finding { padding: .3rem 0; border-top: 1px solid #f0f0f0; }
+  .finding .severity { display: inline-block; min-width: 4.5rem; font-size: .65rem; font-weight: 700; text-transform: uppercase; }
+  .finding.error .severity { color: #dc2626; }
+  .finding.warning .severity { color: #d97706; }
+  .finding.info .severity { color: #888; }
+  .finding .position { font-weight: 600; margin-right: .25rem; }
+  .finding .type { font-family: ui-monospace, monospace; font-size: .75rem; color: #666; margin-right: .25rem; }
+  .table-tools { display: flex; align-items: center; gap: 1rem; flex-wrap: wrap; margin-bottom: .5rem; font-size: .8rem; color: #666; }
+  .table-search { padding: .4rem .6rem; border: 1px solid #ddd; border-radius: 6px; font-size: .85rem; min-width: 240px; }
+  .table-count { color: #999; }
+  .violation-nav { margin-left: auto; display: flex; gap: .25rem; }
+  .violation-nav button { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: .2rem .6rem; cursor: pointer; }
+  .shortcuts { font-size: .75rem; color: #999; margin-bottom: 1rem; }
+  .shortcuts kbd { font-family: ui-monospace, monospace; background: #eee; border-radius: 3px; padding: 0 .3rem; }
+  tr.current td { box-shadow: inset 0 2px 0 #2563eb, inset 0 -2px 0 #2563eb; }
+  tr.current td:first-child { box-shadow: inset 2px 2px 0 #2563eb, inset 0 -2px 0 #2563eb; }
+  button.expand { border: none; background: none; cursor: pointer; color: #888; margin-left: .35rem; font-size: .7rem; }
+  button.expand::before { content: "▸"; }
+  button.expand[aria-expanded="true"]::before { content: "▾"; }
+  tr.finding-detail td { background: #fafafa; padding: .75rem 1rem; }
+  .detail-finding { font-size: .8rem; margin-bottom: .5rem; }
+  .detail-finding .type { font-family: ui-monospace, monospace; font-size: .75rem; color: #666; margin-right: .25rem; }
+  .pair { display: flex; align-items: stretch; gap: .75rem; margin-bottom: .75rem; }
+  .pair-article { flex: 1; background: #fff; border: 1px solid #eee; border-radius: 6px; padding: .5rem .75rem; }
+  .pair-position { font-weight: 600; font-size: .75rem; color: #888; }
+  .pair-time { font-size: .75rem; color: #666; font-family: ui-monospace, monospace; }
+  .pair-delta { align-self: center; font-size: .8rem; font-weight: 600; color: #dc2626; white-space: nowrap; }
+  .footer { margin-top: 1.5rem; font-size: .75rem; color: #aaa; text-align: center; }
+  td .utc { font-size: .7rem; color: #999; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Hacker News Sort Validation Report</h1>
+      <div class="header-actions">
+        <span id="compare-status"></span>
+        ${config.historyDir ? `<button id="compare-btn" onclick="compareWithPrevious()">Compare with Previous</button>` : ""}
+        ${config.historyDir ? `<button id="history-btn" onclick="window.open('/history/', '_blank')">History</button>` : ""}
+        <button id="rerun-btn" onclick="location.href = '/'">Run Again</button>
+      </div>
+    </div>
+    <div class="summary">
+      <div class="card">
+        <div class="label">Result</div>
+        <div class="value ${passed ? "status-pass" : "status-fail"}">${passed ? "PASS" : "FAIL"}</div>
+      </div>
+      <div class="card">
+        <div class="label">Articles Checked</div>
+        <div class="value">${articleCount}</div>
+      </div>
+      <div class="card">
+        <div class="label">Violations</div>
+        <div class="value ${errorCount > 0 ? "status-fail" : ""}">${errorCount}</div>
+      </div>
+      <div class="card">
+        <div class="label">Warnings</div>
+        <div class="value">${warningCount}</div>
+      </div>
+      <div class="card">
+        <div class="label">Drifted Items</div>
+        <div class="value">${driftedCount}</div>
+      </div>
+      <div class="card">
+        <div class="label">Duration</div>
+        <div class="value">${seconds}s</div>
+      </div>
+    </div>
+    ${configSummary}${artifactsNote}
+    <div class="shortcuts"><kbd>j</kbd> / <kbd>k</kbd> next / previous violation · <kbd>o</kbd> expand it · <kbd>/</kbd> search titles · <kbd>Esc</kbd> clear search</div>${
+      runInfo.cancelled
+        ? `
+    <div class="cancelled-note">Run cancelled — ${viewResults.length} of ${config.views.length * config.browsers.length} view(s) were started, so these results are partial.</div>`
+        : ""
+    }${browserComparison}
+    ${viewSections}
+    <div class="footer">Generated on ${escapeHtml(formatTimestamp(Date.now(), config))}</div>
+  </div>
+  <script>
+    // The buttons only work when the dashboard serves this report as a run's
+    // page, not when it is opened from disk or from the history page
+    const runApi = /^\\/runs\\/[^/]+$/.test(location.pathname) ? "/api" + location.pathname : null;
+    // file:// links are dead in a page served over HTTP; the dashboard serves the artifacts
+    if (/^https?:$/.test(location.protocol)) {
+      document.querySelectorAll("a[data-served]").forEach((a) => (a.href = a.dataset.served));
+    }
+    document.querySelectorAll(".header-actions button").forEach((btn) => {
+      if (!runApi) btn.hidden = true;
+    });
+
+    // recordRun() only writes a comparison when there was an earlier run
+    async function compareWithPrevious() {
+      const run = await (await fetch(runApi)).json();
+      document.getElementById("compare-status").textContent = run.compareUrl ? "" : "No earlier run in the history to compare with.";
+      if (run.compareUrl) window.open(run.compareUrl, "_blank");
+    }
+
+    // Click a column header to sort that view's table by it; click again to reverse
+    document.querySelectorAll("table.articles th[data-type]").forEach((th) => {
+      const table = th.closest("table");
+      th.addEventListener("click", () => {
+        const dir = th.getAttribute("aria-sort") === "ascending" ? "descending" : "ascending";
+        table.querySelectorAll("th").forEach((h) => h.removeAttribute("aria-sort"));
+        th.setAttribute("aria-sort", dir);
+
+        const numeric = th.dataset.type === "number";
+        const valueOf = (row) => {
+          const cell = row.cells[th.cellIndex];
+          return cell.dataset.sort ?? cell.textContent.trim();
+        };
+        const rows = articleRows(table).sort((a, b) => {
+          const x = valueOf(a);
+          const y = valueOf(b);
+          // Blank cells (e.g. job ads have no points) always sort last
+          if (x === "" || y === "") return (x === "") - (y === "");
+          const cmp = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+          return dir === "ascending" ? cmp : -cmp;
+        });
+        // Each detail row travels with the article row above it
+        table.tBodies[0].append(...rows.flatMap((row) => [row, detailOf(row)].filter(Boolean)));
+      });
+    });
+
+    function articleRows(table) {
+      return Array.from(table.tBodies[0].rows).filter((row) => !row.classList.contains("finding-detail"));
+    }
+
+    function detailOf(row) {
+      const next = row.nextElementSibling;
+      return next && next.classList.contains("finding-detail") ? next : null;
+    }
+
+    function isExpanded(row) {
+      return row.querySelector("button.expand")?.getAttribute("aria-expanded") === "true";
+    }
+
+    function setExpanded(row, expanded) {
+      const detail = detailOf(row);
+      if (!detail) return;
+      detail.hidden = !expanded || row.hidden;
+      row.querySelector("button.expand").setAttribute("aria-expanded", String(expanded));
+    }
+
+    document.querySelectorAll("button.expand").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const row = btn.closest("tr");
+        setExpanded(row, !isExpanded(row));
+      });
+    });
+
+    // Search and the violations-only switch hide rows; the count says how many are left
+    function applyFilters(view) {
+      const query = view.querySelector(".table-search").value.trim().toLowerCase();
+      const onlyViolations = view.querySelector(".only-violations").checked;
+      const rows = articleRows(view.querySelector("table.articles"));
+      let shown = 0;
+      rows.forEach((row) => {
+        row.hidden = (query !== "" && !row.dataset.title.includes(query)) || (onlyViolations && !row.classList.contains("violation"));
+        if (!row.hidden) shown++;
+        setExpanded(row, isExpanded(row));
+      });
+      view.querySelector(".table-count").textContent = shown === rows.length ? rows.length + " article(s)" : "Showing " + shown + " of " + rows.length;
+    }
+
+    document.querySelectorAll("section.view").forEach((view) => {
+      view.querySelector(".table-search").addEventListener("input", () => applyFilters(view));
+      view.querySelector(".only-violations").addEventListener("change", () => applyFilters(view));
+      view.querySelector(".prev-violation").addEventListener("click", () => moveToViolation(-1));
+      view.querySelector(".next-violation").addEventListener("click", () => moveToViolation(1));
+      applyFilters(view);
+    });
+
+    // j/k walk the visible violations of every view in page order
+    let current = null;
+    function moveToViolation(step) {
+      const rows = Array.from(document.querySelectorAll("table.articles tr.violation")).filter((row) => !row.hidden);
+      if (rows.length === 0) return;
+      const index = rows.indexOf(current);
+      const next = index === -1 ? (step > 0 ? rows[0] : rows[rows.length - 1]) : rows[(index + step + rows.length) % rows.length];
+      current?.classList.remove("current");
+      current = next;
+      current.classList.add("current");
+      current.scrollIntoView({ block: "center" });
+    }
+
+    document.addEventListener("keydown", (event) => {
+      const typing = event.target.matches("input, textarea, select");
+      if (event.key === "Escape" && event.target.matches(".table-search")) {
+        event.target.value = "";
+        event.target.blur();
+        applyFilters(event.target.closest("section.view"));
+        return;
+      }
+      if (typing || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.key === "j") moveToViolation(1);
+      else if (event.key === "k") moveToViolation(-1);
+      else if (event.key === "o" && current) setExpanded(current, !isExpanded(current));
+      else if (event.key === "/") {
+        event.preventDefault();
+        (current?.closest("section.view") ?? document).querySelector(".table-search")?.focus();
+      }
+    });
+  </script>
+</body>
+</html>`;
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// ── Result exports ─────────────────────────────────────────────────────────────
+// Machine-readable outputs for CI dashboards. Each takes the run summary
+// built by runValidation(): { config, startedAt, finishedAt, durationMs,
+// views, passed, cancelled, trace }, where `views` holds one { view,
+// articles, drift, ruleResults, complete, cancelled, passed, durationMs,
+// error, artifacts } entry per validated listing.
+
+// Bump when the JSON document changes shape in a way consumers would notice
+const RESULT_SCHEMA_VERSION = 2;
+
+/** Findings embed whole articles; exports refer to them by id instead. */
+function serializeFinding(f) {
+  return {
+    rule: f.rule,
+    type: f.type,
+    severity: f.severity,
+    position: f.position ?? null,
+    message: f.message,
+    articleId: f.article?.id ?? null,
+    nextArticleId: f.nextArticle?.id ?? null,
+  };
+}
+
+function viewStatus(viewResult) {
+  if (!viewResult.complete) return "incomplete";
+  return viewResult.passed ? "pass" : "fail";
+}
+
+function buildResultDocument(run) {
+  const allRuleResults = run.views.flatMap((v) => v.ruleResults);
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    passed: run.passed,
+    config: run.config,
+    timings: {
+      startedAt: new Date(run.startedAt).toISOString(),
+      finishedAt: new Date(run.finishedAt).toISOString(),
+      durationMs: run.durationMs,
+    },
+    cancelled: run.cancelled ?? false,
+    trace: run.trace ?? null,
+    browsers: run.browsers ?? [],
+    session: run.session ?? null,
+    summary: {
+      views: run.views.length,
+      articles: run.views.reduce((n, v) => n + v.articles.length, 0),
+      errors: countFindings(allRuleResults, "error"),
+      warnings: countFindings(allRuleResults, "warning"),
+      info: countFindings(allRuleResults, "info"),
+    },
+    views: run.views.map((v) => ({
+      ...v.view,
+      status: viewStatus(v),
+      cancelled: v.cancelled ?? false,
+      error: v.error ?? null,
+      errorKind: v.errorKind ?? null,
+      failedPage: v.failedPage ?? null,
+      durationMs: v.durationMs,
+      drift: v.drift,
+      pages: v.pages ?? [],
+      artifacts: v.artifacts ?? [],
+      rules: v.ruleResults.map((r) => ({
+        id: r.id,
+        name: r.name,
+        status: ruleStatus(r),
+        durationMs: r.durationMs,
+        findings: r.findings.map(serializeFinding),
+      })),
+      articles: v.articles,
+    })),
+  };
+}
+
+function escapeXml(str) {
+  return escapeHtml(String(str)).replace(/'/g, "&apos;");
+}
+
+/**
+ * One testsuite per view and one testcase per rule. Rules with errors
+ * become <failure>s; warnings and info findings go to <system-out>. A view
+ * that stopped short gets a failing "Collect articles" testcase instead.
+ */
+function generateJunitXml(run) {
+  const seconds = (ms) => (ms / 1000).toFixed(3);
+  const timestamp = new Date(run.startedAt).toISOString();
+  const properties = [
+    "url",
+    "targetArticles",
+    "maxRetries",
+    "retryDelayMs",
+    "retryMaxDelayMs",
+    "retryJitterPercent",
+    "navigationTimeoutMs",
+    "sortToleranceMs",
+    "sortTies",
+  ]
+    .map((key) => `      <property name="${key}" value="${escapeXml(run.config[key])}"/>`)
+    .join("\n");
+  const line = (f) => `${f.position ? `#${f.position} ` : ""}[${f.severity}] ${f.type}: ${f.message}`;
+
+  let totalTests = 0;
+  let totalFailures = 0;
+  const suites = run.views.map((v) => {
+    const testcases = v.ruleResults.map((r) => {
+      const errors = r.findings.filter((f) => f.severity === "error");
+      const others = r.findings.filter((f) => f.severity !== "error");
+      const failure = errors.length
+        ? `\n      <failure message="${escapeXml(describeFindingCounts(errors))}" type="${escapeXml(errors[0].type)}">${escapeXml(errors.map(line).join("\n"))}</failure>`
+        : "";
+      const output = others.length ? `\n      <system-out>${escapeXml(others.map(line).join("\n"))}</system-out>` : "";
+      const body = failure + output;
+      return `    <testcase classname="hn-validator.${viewKey(v.view)}.${r.id}" name="${escapeXml(r.name)}" time="${seconds(r.durationMs)}"${
+        body ? `>${body}\n    </testcase>` : "/>"
+      }`;
+    });
+    if (!v.complete) {
+      const collected = `${v.articles.length}/${run.config.targetArticles} articles`;
+      const message = v.error ?? (v.cancelled ? `Cancelled after ${collected}` : `Only collected ${collected}`);
+      const type = v.error ? v.errorKind ?? "navigation" : v.cancelled ? "cancelled" : "incomplete";
+      testcases.unshift(
+        `    <testcase classname="hn-validator.${viewKey(v.view)}.collect" name="Collect articles" time="${seconds(v.durationMs)}">
+      <failure message="${escapeXml(message)}" type="${type}"/>
+    </testcase>`
+      );
+    }
+
+    const failures = v.ruleResults.filter((r) => ruleStatus(r) === "fail").length + (v.complete ? 0 : 1);
+    totalTests += testcases.length;
+    totalFailures += failures;
+    return `  <testsuite name="${escapeXml(viewKey(v.view))}" tests="${testcases.length}" failures="${failures}" errors="0" skipped="0" time="${seconds(v.durationMs)}" timestamp="${timestamp}" hostname="${escapeXml(v.view.url)}">
+    <properties>
+${properties}
+    </properties>
+${testcases.join("\n")}
+  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="HN Sort Validator" tests="${totalTests}" failures="${totalFailures}" errors="0" time="${seconds(run.durationMs)}">
+${suites.join("\n")}
+</testsuites>
+`;
+}
+
+const CSV_COLUMNS = ["view", "position", "id", "rank", "title", "url", "domain", "author", "points", "comments", "timestamp", "ageText", "findings"];
+
+function csvCell(value) {
+  const str = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** The article tables of every view, one row per article, with the finding types that hit it. */
+function generateCsv(run) {
+  const rows = run.views.flatMap((v) => {
+    const typesByPosition = new Map();
+    for (const f of v.ruleResults.flatMap((r) => r.findings)) {
+      if (!f.position) continue;
+      typesByPosition.set(f.position, [...(typesByPosition.get(f.position) ?? []), f.type]);
+    }
+
+    return v.articles.map((a, i) => {
+      const row = { ...a, view: viewKey(v.view), position: i + 1, findings: (typesByPosition.get(i + 1) ?? []).join(";") };
+      return CSV_COLUMNS.map((col) => csvCell(row[col])).join(",");
+    });
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/** Writes whichever exports have a path configured. */
+function writeExports(run) {
+  const exports = [
+    ["JSON result", run.config.jsonPath, () => JSON.stringify(buildResultDocument(run), null, 2) + "\n"],
+    ["JUnit XML", run.config.junitPath, () => generateJunitXml(run)],
+    ["CSV", run.config.csvPath, () => generateCsv(run)],
+  ];
+
+  for (const [label, filePath, render] of exports) {
+    if (!filePath) continue;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, render());
+    log(`${label} saved to ${fmt.cyan(filePath)}`);
+  }
+}
+
+module.exports = {
+  printReport,
+  printVerdict,
+  printBrowserComparison,
+  generateHtmlReport,
+  escapeHtml,
+  RESULT_SCHEMA_VERSION,
+  viewStatus,
+  buildResultDocument,
+  generateJunitXml,
+  generateCsv,
+  writeExports,
+};
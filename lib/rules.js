@@ -0,0 +1,507 @@
+const { formatDelta, formatTimestamp, parseAgeText, parseTimestamp } = require("./time");
+const { API_RULE } = require("./collect");
+
+// ── Validation ─────────────────────────────────────────────────────────────────
+
+const TIE_RULES = ["allow", "strict"];
+
+/**
+ * Walks the article list pairwise and classifies every pair that is not
+ * strictly newest-first. Returns { type, position, article, nextArticle,
+ * deltaMs } entries where `type` is one of:
+ *   - "out-of-order":     the article is older than the next by more than
+ *                         `toleranceMs`
+ *   - "within-tolerance": older than the next, but only by up to `toleranceMs`
+ *   - "tie":              same timestamp as the next (only with ties: "strict")
+ *   - "unparseable-timestamp": the article's timestamp could not be read;
+ *                         it is reported once and skipped, and the articles on
+ *                         either side of it are compared with each other
+ * `deltaMs` is how much newer the next article is (null for unparseable ones).
+ */
+function validateSortOrder(articles, { toleranceMs = 0, ties = "allow" } = {}) {
+  const violations = [];
+  let previous = null;
+
+  articles.forEach((article, i) => {
+    const time = parseTimestamp(article.timestamp);
+    if (!time) {
+      violations.push({ type: "unparseable-timestamp", position: i + 1, article, nextArticle: null, deltaMs: null });
+      return;
+    }
+
+    if (previous) {
+      const deltaMs = time.getTime() - previous.time;
+      let type = null;
+      if (deltaMs > toleranceMs) type = "out-of-order";
+      else if (deltaMs > 0) type = "within-tolerance";
+      else if (deltaMs === 0 && ties === "strict") type = "tie";
+      if (type) {
+        violations.push({ type, position: previous.position, article: previous.article, nextArticle: article, deltaMs });
+      }
+    }
+    previous = { time: time.getTime(), position: i + 1, article };
+  });
+
+  return violations;
+}
+
+// ── Validation rules ───────────────────────────────────────────────────────────
+// Each rule receives the scraped article list and returns findings:
+//   { type, severity, position, message, article?, nextArticle?, badge? }
+// `position` is the 1-based row in the article list (or null for list-wide
+// findings). Any "error" finding fails the run; warnings and info are reported
+// but do not change the verdict. Rules that only make sense for some listings
+// name the orderings they apply to in `orderings`. A finding's own `badge`
+// replaces the rule's badge on its article row.
+
+const SEVERITIES = ["error", "warning", "info"];
+
+const VALIDATION_RULES = [];
+
+function registerRule(rule) {
+  if (VALIDATION_RULES.some((r) => r.id === rule.id)) {
+    throw new Error(`Validation rule "${rule.id}" is already registered.`);
+  }
+  VALIDATION_RULES.push(rule);
+}
+
+// How each kind of sort-order finding is reported
+const SORT_FINDINGS = {
+  "out-of-order": {
+    severity: "error",
+    message: (v, config) =>
+      `"${v.article.title}" (${formatTimestamp(v.article.timestamp, config)}) is ${formatDelta(v.deltaMs, config)} older than the next article (${formatTimestamp(v.nextArticle.timestamp, config)}).`,
+  },
+  "within-tolerance": {
+    severity: "info",
+    message: (v, config) =>
+      `"${v.article.title}" (${formatTimestamp(v.article.timestamp, config)}) is ${formatDelta(v.deltaMs, config)} older than the next article (${formatTimestamp(v.nextArticle.timestamp, config)}), within the tolerance.`,
+  },
+  tie: {
+    severity: "error",
+    badge: "TIE",
+    message: (v, config) =>
+      `"${v.article.title}" has the same timestamp as the next article (${formatTimestamp(v.article.timestamp, config)}).`,
+  },
+  "unparseable-timestamp": {
+    severity: "error",
+    badge: "BAD TIMESTAMP",
+    message: (v) => `"${v.article.title}" has a timestamp that cannot be read (${JSON.stringify(v.article.timestamp)}).`,
+  },
+};
+
+registerRule({
+  id: "sort-order",
+  name: "Sort order",
+  description: "Each article is at least as new as the one after it, within the configured tolerance.",
+  badge: "OUT OF ORDER",
+  orderings: ["timestamp-desc"],
+  check: (articles, context) =>
+    validateSortOrder(articles, {
+      toleranceMs: context.config?.sortToleranceMs ?? 0,
+      ties: context.config?.sortTies ?? "allow",
+    }).map((v) => {
+      const kind = SORT_FINDINGS[v.type];
+      return {
+        type: v.type,
+        severity: kind.severity,
+        ...(kind.badge && { badge: kind.badge }),
+        position: v.position,
+        message: kind.message(v, context.config),
+        article: v.article,
+        ...(v.nextArticle && { nextArticle: v.nextArticle }),
+      };
+    }),
+});
+
+registerRule({
+  id: "unique-ids",
+  name: "Unique ids",
+  description: "Every article has an HN item id and no id appears twice.",
+  badge: "DUPLICATE",
+  check: (articles) => {
+    const findings = [];
+    const firstSeen = new Map();
+    articles.forEach((article, i) => {
+      if (!article.id) {
+        findings.push({
+          type: "missing-id",
+          severity: "warning",
+          position: i + 1,
+          message: `"${article.title}" has no item id.`,
+          article,
+        });
+      } else if (firstSeen.has(article.id)) {
+        findings.push({
+          type: "duplicate-id",
+          severity: "error",
+          position: i + 1,
+          message: `Item ${article.id} already appeared at #${firstSeen.get(article.id)}.`,
+          article,
+        });
+      } else {
+        firstSeen.set(article.id, i + 1);
+      }
+    });
+    return findings;
+  },
+});
+
+registerRule({
+  id: "rank-continuity",
+  name: "Rank continuity",
+  description: "HN's rank numbers run 1..N with no gaps or repeats.",
+  badge: "RANK GAP",
+  check: (articles) => {
+    const findings = [];
+    let previous = 0;
+    articles.forEach((article, i) => {
+      if (!Number.isInteger(article.rank)) {
+        findings.push({
+          type: "missing-rank",
+          severity: "warning",
+          position: i + 1,
+          message: `"${article.title}" has no rank number.`,
+          article,
+        });
+        return;
+      }
+      if (article.rank !== previous + 1) {
+        // Drift reconciliation drops duplicates, which skips their ranks,
+        // so a jump is worth flagging but does not fail the run on its own.
+        findings.push({
+          type: article.rank > previous + 1 ? "rank-gap" : "rank-repeat",
+          severity: "warning",
+          position: i + 1,
+          message: `Rank jumps from ${previous} to ${article.rank}.`,
+          article,
+        });
+      }
+      previous = article.rank;
+    });
+    return findings;
+  },
+});
+
+registerRule({
+  id: "non-empty-titles",
+  name: "Non-empty titles",
+  description: "Every article has a title link with text.",
+  badge: "NO TITLE",
+  check: (articles) =>
+    articles.flatMap((article, i) =>
+      !article.title || article.title === "(untitled)"
+        ? [
+            {
+              type: "empty-title",
+              severity: "error",
+              position: i + 1,
+              message: `Item ${article.id ?? "?"} has no title.`,
+              article,
+            },
+          ]
+        : []
+    ),
+});
+
+// Allow for clock skew between this machine and HN's servers
+const FUTURE_TOLERANCE_MS = 60 * 1000;
+
+registerRule({
+  id: "no-future-timestamps",
+  name: "No future timestamps",
+  description: "No article is timestamped after the time of the run.",
+  badge: "FUTURE",
+  check: (articles, context) =>
+    articles.flatMap((article, i) => {
+      const time = parseTimestamp(article.timestamp);
+      if (!time || time.getTime() <= context.now + FUTURE_TOLERANCE_MS) return [];
+      return [
+        {
+          type: "future-timestamp",
+          severity: "error",
+          position: i + 1,
+          message: `"${article.title}" is timestamped ${formatTimestamp(article.timestamp, context.config)}, after the run started.`,
+          article,
+        },
+      ];
+    }),
+});
+
+// Pages are scraped a few seconds (or retries) apart, so allow some slack
+const AGE_TOLERANCE_SECONDS = 5 * 60;
+
+registerRule({
+  id: "age-consistency",
+  name: "Age text consistency",
+  description: "Relative age text (\"5 minutes ago\") agrees with the span.age timestamp.",
+  badge: "AGE MISMATCH",
+  check: (articles, context) => {
+    // Timestamp + age gives the moment each row was rendered. Those should all
+    // agree, so compare each one to the median across the list.
+    const implied = articles.map((article) => {
+      const time = parseTimestamp(article.timestamp);
+      const age = parseAgeText(article.ageText ?? "");
+      return time && age ? { renderedAt: time.getTime() / 1000 + age.seconds, unit: age.unit } : null;
+    });
+
+    const known = implied.filter(Boolean).map((x) => x.renderedAt).sort((a, b) => a - b);
+    if (known.length === 0) return [];
+    const median = known[Math.floor(known.length / 2)];
+
+    return articles.flatMap((article, i) => {
+      if (!implied[i]) {
+        return [
+          {
+            type: "unparseable-age",
+            severity: "info",
+            position: i + 1,
+            message: `Could not compare "${article.ageText}" with ${formatTimestamp(article.timestamp, context.config)}.`,
+            article,
+          },
+        ];
+      }
+      const offBy = Math.abs(implied[i].renderedAt - median);
+      if (offBy <= implied[i].unit + AGE_TOLERANCE_SECONDS) return [];
+      return [
+        {
+          type: "age-mismatch",
+          severity: "warning",
+          position: i + 1,
+          message: `"${article.ageText}" does not match ${formatTimestamp(article.timestamp, context.config)} (off by ~${Math.round(offBy / 60)} min).`,
+          article,
+        },
+      ];
+    });
+  },
+});
+
+registerRule({
+  id: "rank-order",
+  name: "Rank order",
+  description: "Rank numbers increase down a ranked listing such as /news.",
+  badge: "RANK ORDER",
+  orderings: ["rank", "date-bounded"],
+  check: (articles) => {
+    const findings = [];
+    let previous = null;
+    articles.forEach((article, i) => {
+      if (!Number.isInteger(article.rank)) return;
+      if (previous && article.rank <= previous.rank) {
+        findings.push({
+          type: "rank-out-of-order",
+          severity: "error",
+          position: i + 1,
+          message: `"${article.title}" is ranked ${article.rank}, after "${previous.title}" at ${previous.rank}.`,
+          article,
+        });
+      }
+      previous = article;
+    });
+    return findings;
+  },
+});
+
+registerRule({
+  id: "within-day",
+  name: "Within day",
+  description: "Every story on a past front page was submitted on that day (UTC).",
+  badge: "WRONG DAY",
+  orderings: ["date-bounded"],
+  check: (articles, context) =>
+    articles.flatMap((article, i) => {
+      const time = parseTimestamp(article.timestamp);
+      if (!time || time.toISOString().slice(0, 10) === context.view.day) return [];
+      return [
+        {
+          type: "outside-day",
+          severity: "error",
+          position: i + 1,
+          message: `"${article.title}" was submitted ${formatTimestamp(article.timestamp, context.config)}, outside ${context.view.day}.`,
+          article,
+        },
+      ];
+    }),
+});
+
+/** `item.time` (unix seconds) in the form span.age titles use. */
+function apiTimestamp(item) {
+  return new Date(item.time * 1000).toISOString().slice(0, 19);
+}
+
+registerRule({
+  id: API_RULE,
+  name: "API cross-check",
+  description: "Titles, times and order agree with the HN API's items (--api-base-url) for the same ids.",
+  badge: "API MISMATCH",
+  check: (articles, context) => {
+    // Page events during collection run the rules before there is API data
+    if (!context.api) return [];
+    const { baseUrl, items, errors } = context.api;
+    const findings = [];
+
+    if (errors.length > 0) {
+      findings.push({
+        type: "api-unavailable",
+        severity: "warning",
+        position: null,
+        message: `Could not fetch ${errors.length} of ${errors.length + items.size} item(s) from ${baseUrl}: ${errors[0].message}.`,
+      });
+    }
+
+    articles.forEach((article, i) => {
+      if (!items.has(article.id)) return;
+      const item = items.get(article.id);
+      if (!item || item.deleted) {
+        findings.push({
+          type: "api-missing",
+          severity: "warning",
+          position: i + 1,
+          message: `Item ${article.id} ("${article.title}") is ${item ? "deleted" : "missing"} in the API.`,
+          article,
+        });
+        return;
+      }
+      if (typeof item.title === "string" && item.title.trim() !== article.title) {
+        // Titles can be edited after posting, so this alone does not fail the run
+        findings.push({
+          type: "api-title-mismatch",
+          severity: "warning",
+          position: i + 1,
+          message: `The page shows "${article.title}" but the API has "${item.title}".`,
+          article,
+        });
+      }
+      const time = parseTimestamp(article.timestamp);
+      if (time && Number.isInteger(item.time) && Math.floor(time.getTime() / 1000) !== item.time) {
+        findings.push({
+          type: "api-time-mismatch",
+          severity: "error",
+          position: i + 1,
+          message: `"${article.title}" shows ${formatTimestamp(article.timestamp, context.config)} but the API has ${formatTimestamp(apiTimestamp(item), context.config)}.`,
+          article,
+        });
+      }
+    });
+
+    // Compare the out-of-order pairs by page times with those by API times
+    if ((context.view?.ordering ?? "timestamp-desc") === "timestamp-desc") {
+      const options = { toleranceMs: context.config?.sortToleranceMs ?? 0 };
+      const outOfOrder = (list) =>
+        new Set(validateSortOrder(list, options).filter((v) => v.type === "out-of-order").map((v) => v.position));
+      const byPage = outOfOrder(articles);
+      const byApi = outOfOrder(
+        articles.map((a) => {
+          const item = items.get(a.id);
+          return Number.isInteger(item?.time) ? { ...a, timestamp: apiTimestamp(item) } : a;
+        })
+      );
+      for (const position of new Set([...byPage, ...byApi])) {
+        if (byPage.has(position) === byApi.has(position)) continue;
+        const [article, nextArticle] = [articles[position - 1], articles[position]];
+        findings.push(
+          byApi.has(position)
+            ? {
+                type: "api-order-mismatch",
+                severity: "error",
+                position,
+                message: `By the API's times "${article.title}" is older than the next article, but the page shows them in order.`,
+                article,
+                nextArticle,
+              }
+            : {
+                type: "api-order-mismatch",
+                severity: "warning",
+                position,
+                message: `"${article.title}" is out of order on the page, but the API's times put it in order — a rendering problem.`,
+                article,
+                nextArticle,
+              }
+        );
+      }
+    }
+
+    return findings.sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+  },
+});
+
+/**
+ * Runs the selected rules (by id, in registry order) over the article list.
+ * Rules that do not apply to `context.view`'s ordering are skipped; without a
+ * view the list is treated as /newest. `context.config`, when given, carries
+ * rule settings such as the sort tolerance and the time zone and locale
+ * findings are written in, and `context.api` the HN API
+ * items for the api-consistency rule (see fetchApiItems()).
+ * Returns one { id, name, description, badge, findings, durationMs } entry per rule.
+ */
+function runRules(articles, ruleIds, context = { now: Date.now() }) {
+  const ordering = context.view?.ordering ?? "timestamp-desc";
+  const applies = (rule) => !rule.orderings || rule.orderings.includes(ordering);
+
+  return VALIDATION_RULES.filter((rule) => ruleIds.includes(rule.id) && applies(rule)).map((rule) => {
+    const start = Date.now();
+    const findings = rule.check(articles, context).map((f) => ({ rule: rule.id, ...f }));
+    return {
+      id: rule.id,
+      name: rule.name,
+      description: rule.description,
+      badge: rule.badge,
+      findings,
+      durationMs: Date.now() - start,
+    };
+  });
+}
+
+function countFindings(ruleResults, severity) {
+  return ruleResults.reduce((n, r) => n + r.findings.filter((f) => f.severity === severity).length, 0);
+}
+
+/** A run passes when no selected rule produced an "error" finding. */
+function rulesPassed(ruleResults) {
+  return countFindings(ruleResults, "error") === 0;
+}
+
+/** "fail" if a rule has errors, "warn" if it only has lesser findings, else "pass". */
+function ruleStatus(ruleResult) {
+  if (ruleResult.findings.some((f) => f.severity === "error")) return "fail";
+  return ruleResult.findings.length > 0 ? "warn" : "pass";
+}
+
+/**
+ * Summarizes how much /newest moved while we paginated. "Drifted" items are
+ * the duplicates we dropped plus the skipped items we recovered.
+ */
+function describeDrift(drift) {
+  if (!hasDrift(drift)) {
+    return "No page drift — every article is distinct and consecutive.";
+  }
+
+  let text =
+    `${drift.duplicates + drift.recovered} item(s) drifted across page boundaries ` +
+    `(${drift.duplicates} duplicate(s) dropped, ${drift.recovered} skipped item(s) recovered).`;
+  if (drift.unresolvedGaps > 0) {
+    text += ` ${drift.unresolvedGaps} gap(s) could not be reconciled.`;
+  }
+  return text;
+}
+
+function hasDrift(drift) {
+  return drift.duplicates + drift.recovered + drift.unresolvedGaps > 0;
+}
+
+const NO_DRIFT = { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 };
+
+module.exports = {
+  TIE_RULES,
+  validateSortOrder,
+  SEVERITIES,
+  VALIDATION_RULES,
+  registerRule,
+  runRules,
+  countFindings,
+  rulesPassed,
+  ruleStatus,
+  describeDrift,
+  hasDrift,
+  NO_DRIFT,
+};
@@ -0,0 +1,101 @@
+const { DEFAULT_CONFIG } = require("./defaults");
+
+// ── Time formatting ────────────────────────────────────────────────────────────
+// HN timestamps are UTC. People read them in config.timeZone and
+// config.locale, with the UTC time kept alongside whenever the zone is not
+// UTC so that readers in different zones can still compare notes. Result
+// exports keep the raw timestamps.
+
+const TIME_ZONES = ["UTC", ...Intl.supportedValuesOf("timeZone")];
+// Suggested in the settings UI; any locale the runtime supports is accepted
+const SUGGESTED_LOCALES = ["en-US", "en-GB", "de-DE", "fr-FR", "es-ES", "pt-BR", "ja-JP", "zh-CN", "hi-IN"];
+
+/** `date` in the configured zone and locale, e.g. "Feb 11, 2026, 5:17:00 PM GMT+1". */
+function formatLocalTime(date, { timeZone = DEFAULT_CONFIG.timeZone, locale = DEFAULT_CONFIG.locale } = {}) {
+  return new Intl.DateTimeFormat(locale, { timeZone, dateStyle: "medium", timeStyle: "long" }).format(date);
+}
+
+/** `date` as "2026-02-11 16:17:00 UTC". */
+function formatUtcTime(date) {
+  return `${date.toISOString().slice(0, 19).replace("T", " ")} UTC`;
+}
+
+/**
+ * A moment for people to read: `value` is a Date, epoch ms or HN timestamp.
+ * Outside UTC the UTC time follows in brackets, e.g. "Feb 11, 2026,
+ * 5:17:00 PM GMT+1 (2026-02-11 16:17:00 UTC)". HN timestamps that cannot be
+ * read are returned as they are.
+ */
+function formatTimestamp(value, config = DEFAULT_CONFIG) {
+  const date = typeof value === "string" ? parseTimestamp(value) : new Date(value);
+  if (!date || Number.isNaN(date.getTime())) return value ?? "";
+  const local = formatLocalTime(date, config);
+  return (config.timeZone ?? DEFAULT_CONFIG.timeZone) === "UTC" ? local : `${local} (${formatUtcTime(date)})`;
+}
+
+/**
+ * A time difference such as "3m 12s" in the configured locale ("3 Min.
+ * 12 Sek." in de-DE). Under a minute it keeps tenths of a second.
+ */
+function formatDelta(ms, { locale = DEFAULT_CONFIG.locale } = {}) {
+  const unit = (n, name, digits = 0) =>
+    new Intl.NumberFormat(locale, { style: "unit", unit: name, unitDisplay: "narrow", maximumFractionDigits: digits }).format(n);
+  if (ms < 60 * 1000) return unit(ms / 1000, "second", 1);
+  const seconds = Math.round(ms / 1000);
+  return [
+    [Math.floor(seconds / 3600), "hour"],
+    [Math.floor(seconds / 60) % 60, "minute"],
+    [seconds % 60, "second"],
+  ]
+    .filter(([n]) => n > 0)
+    .map(([n, name]) => unit(n, name))
+    .join(" ");
+}
+
+// ── Reading timestamps ─────────────────────────────────────────────────────────
+
+// "2026-02-11T16:17:00", optionally followed by the same moment as a unix
+// epoch ("2026-02-11T16:17:00 1770826620"), as some pages now render it
+const HN_TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\s+(\d+))?$/;
+
+/**
+ * Reads an HN `span.age` title. The timestamp is UTC but carries no zone
+ * marker, so it is pinned to UTC rather than the machine's local time.
+ * When the title also carries an epoch, the two must name the same second.
+ * Returns null for anything else, including impossible dates like Feb 30.
+ */
+function parseTimestamp(timestamp) {
+  const match = timestamp?.trim().match(HN_TIMESTAMP_PATTERN);
+  if (!match) return null;
+  const date = new Date(`${match[1]}Z`);
+  // Date rolls 02-30 over into March; the round trip catches that
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 19) !== match[1]) return null;
+  if (match[2] !== undefined && Number(match[2]) * 1000 !== date.getTime()) return null;
+  return date;
+}
+
+const AGE_UNITS_SECONDS = { second: 1, minute: 60, hour: 3600, day: 86400, month: 2592000, year: 31536000 };
+
+/**
+ * Converts HN's relative age ("5 minutes ago") into { seconds, unit } where
+ * `unit` is the text's granularity in seconds. Returns null if unrecognized.
+ */
+function parseAgeText(ageText) {
+  const text = ageText.trim().toLowerCase();
+  if (text === "just now") return { seconds: 0, unit: 60 };
+  const match = text.match(/^(\d+)\s+(second|minute|hour|day|month|year)s?\s+ago$/);
+  if (!match) return null;
+  const unit = AGE_UNITS_SECONDS[match[2]];
+  return { seconds: Number(match[1]) * unit, unit };
+}
+
+module.exports = {
+  TIME_ZONES,
+  SUGGESTED_LOCALES,
+  formatLocalTime,
+  formatUtcTime,
+  formatTimestamp,
+  formatDelta,
+  parseTimestamp,
+  parseAgeText,
+};
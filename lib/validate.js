@@ -0,0 +1,446 @@
+const { EventEmitter } = require("events");
+const path = require("path");
+const fs = require("fs");
+const { setTimeout: sleep } = require("timers/promises");
+const { fmt, log, withOutput } = require("./log");
+const { DEFAULT_CONFIG } = require("./defaults");
+const { resolveView, viewKey } = require("./listings");
+const { artifactsRunDir, captureFailingPages, capturePage, TRACE_FILE, writeCapture } = require("./artifacts");
+const { applySession, browserLauncher, contextOptionsFor, openSession } = require("./browsers");
+const {
+  API_RULE,
+  collectArticles,
+  describeAudit,
+  describePageTimings,
+  fetchApiItems,
+  gotoWithRetry,
+  startPageAudit,
+} = require("./collect");
+const { countFindings, NO_DRIFT, rulesPassed, runRules } = require("./rules");
+const { ConfigError, validateConfig } = require("./config");
+const {
+  buildResultDocument,
+  generateHtmlReport,
+  printBrowserComparison,
+  printReport,
+  printVerdict,
+  viewStatus,
+  writeExports,
+} = require("./reports");
+const { recordRun } = require("./history");
+const { sendAlert } = require("./alerts");
+
+// ── Validation runs ────────────────────────────────────────────────────────────
+
+/**
+ * Scrapes and checks one view in its own tab. A view that runs out of pages
+ * before reaching the target is marked incomplete and its rules are not run.
+ * A view that cannot be loaded at all is reported as incomplete with the
+ * error rather than aborting the run. With `run.runDir` set, the pages
+ * behind a failure are saved there (see captureFailingPages()); with
+ * `run.session` the rules use its clock (see openSession()). A view
+ * cancelled through hooks.signal keeps its partial articles and still has
+ * its rules run on them.
+ */
+async function validateView(context, view, config, run = {}, hooks = {}) {
+  const startTime = Date.now();
+  const runDir = run.runDir ?? null;
+  const now = run.session ? run.session.viewClock(view, startTime) : startTime;
+  const page = await context.newPage();
+  const announce = (event) => hooks.onProgress?.({ ...event, view: viewKey(view) });
+
+  // Page events carry the articles so far; the progress view only needs
+  // how many violations they already hold
+  const viewHooks = {
+    signal: hooks.signal,
+    onProgress: ({ articles: soFar, ...event }) => {
+      if (soFar) event.errors = countFindings(runRules(soFar, config.rules, { now, view, config }), "error");
+      announce(event);
+    },
+  };
+
+  try {
+    page.setDefaultTimeout(config.navigationTimeoutMs);
+    if (config.audit) startPageAudit(page);
+    announce({ type: "view-start", name: view.name, url: view.url });
+
+    let collected;
+    try {
+      log(`Navigating to ${fmt.cyan(view.url)}`);
+      await gotoWithRetry(page, view.url, config, viewHooks);
+      await page.waitForSelector("span.age");
+      collected = await collectArticles(page, config, viewHooks);
+    } catch (err) {
+      log(fmt.red(`ERROR: ${view.name}: ${err.message}`));
+      const artifacts = [];
+      const capture = runDir ? err.capture ?? (await capturePage(page)) : null;
+      if (capture) {
+        const files = writeCapture(runDir, `${viewKey(view)}-navigation-failure`, capture);
+        artifacts.push({ kind: "navigation", page: null, url: capture.url, positions: [], ...files });
+        log(`Failure artifacts saved to ${fmt.cyan(runDir)}`);
+      }
+      announce({ type: "view-done", status: "incomplete", collected: 0, errors: 0 });
+      return {
+        view,
+        articles: [],
+        drift: NO_DRIFT,
+        pages: [],
+        ruleResults: [],
+        complete: false,
+        passed: false,
+        durationMs: Date.now() - startTime,
+        error: err.message,
+        errorKind: err.kind ?? null,
+        artifacts,
+      };
+    }
+
+    const { articles, drift, pages, snapshots, cancelled, failure } = collected;
+    const durationMs = Date.now() - startTime;
+    log(fmt.dim(`${config.fetchMode === "parallel" ? "Parallel" : "Serial"} fetch: ${describePageTimings(pages)}`));
+    if (config.audit) log(fmt.dim(`Page audit: ${describeAudit(pages)}`));
+
+    let api = null;
+    if (config.rules.includes(API_RULE) && !cancelled && articles.length > 0) {
+      log(`Cross-checking ${articles.length} item(s) against ${fmt.cyan(config.apiBaseUrl)}`);
+      api = await fetchApiItems(config, articles.map((a) => a.id), run.session);
+    }
+    const ruleContext = { now, view, config, api };
+
+    let result;
+    if (cancelled) {
+      const ruleResults = runRules(articles, config.rules, ruleContext);
+      if (articles.length > 0) printReport(articles, ruleResults, durationMs, drift, view, config);
+      result = { view, articles, drift, pages, ruleResults, complete: false, cancelled: true, passed: false, durationMs };
+    } else if (failure) {
+      // Collection gave up part way; report the rules on what it got
+      const ruleResults = runRules(articles, config.rules, ruleContext);
+      if (articles.length > 0) printReport(articles, ruleResults, durationMs, drift, view, config);
+      result = {
+        view,
+        articles,
+        drift,
+        pages,
+        ruleResults,
+        complete: false,
+        passed: false,
+        durationMs,
+        error: failure.message,
+        errorKind: failure.kind,
+        failedPage: failure.page,
+      };
+    } else if (articles.length < config.targetArticles) {
+      log(
+        fmt.red(
+          `ERROR: Only collected ${articles.length}/${config.targetArticles} articles from ${view.name}.`
+        )
+      );
+      result = { view, articles, drift, pages, ruleResults: [], complete: false, passed: false, durationMs };
+    } else {
+      const ruleResults = runRules(articles, config.rules, ruleContext);
+      printReport(articles, ruleResults, durationMs, drift, view, config);
+      result = { view, articles, drift, pages, ruleResults, complete: true, passed: rulesPassed(ruleResults), durationMs };
+    }
+
+    // A cancelled view failed no one but the user, so it gets no artifacts
+    result.artifacts =
+      runDir && !result.passed && !cancelled ? await captureFailingPages(context, result, snapshots, runDir) : [];
+    if (runDir && failure) {
+      // Serial collection leaves the tab on the page that failed
+      const capture = failure.capture ?? (await capturePage(page));
+      if (capture) {
+        const files = writeCapture(runDir, `${viewKey(view)}-page-${failure.page}-failure`, capture);
+        result.artifacts.push({ kind: "navigation", page: failure.page, url: failure.url, positions: [], ...files });
+      }
+    }
+    if (result.artifacts.length) log(`Failure artifacts saved to ${fmt.cyan(runDir)}`);
+    announce({
+      type: "view-done",
+      status: viewStatus(result),
+      collected: articles.length,
+      errors: countFindings(result.ruleResults, "error"),
+    });
+    return result;
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Validates every configured view in one browser engine, in a fresh context
+ * with the configured device profile. An engine that cannot be launched is
+ * reported with the error instead of views. Returns { engine, device, views,
+ * status, passed, durationMs, error, trace }, where status is pass, fail,
+ * incomplete or error.
+ */
+async function validateInBrowser(openBrowser, engine, config, run, hooks = {}) {
+  const startTime = Date.now();
+  const tag = config.browsers.length > 1 ? engine : null;
+  const views = [];
+
+  let context;
+  try {
+    const browser = await openBrowser(engine);
+    context = await browser.newContext(contextOptionsFor(engine, config.device));
+    await run.session?.attach(context, engine);
+  } catch (err) {
+    log(fmt.red(`ERROR: Could not start ${engine}: ${err.message}`));
+    for (const id of config.views) {
+      hooks.onProgress?.({ type: "view-done", view: viewKey(resolveView(id, config, run.startTime, tag)), status: "incomplete" });
+    }
+    return {
+      engine,
+      device: config.device,
+      views,
+      status: "error",
+      passed: false,
+      durationMs: Date.now() - startTime,
+      error: err.message,
+      trace: null,
+    };
+  }
+
+  try {
+    if (config.trace) await context.tracing.start({ screenshots: true, snapshots: true });
+
+    for (const id of config.views) {
+      if (hooks.signal?.aborted) break;
+      views.push(await validateView(context, resolveView(id, config, run.startTime, tag), config, run, hooks));
+    }
+    const passed = !hooks.signal?.aborted && views.every((v) => v.passed);
+    const complete = !hooks.signal?.aborted && views.every((v) => v.complete);
+
+    // A trace is only worth its size when there is a failure to look into
+    let trace = null;
+    if (config.trace) {
+      if (!passed) {
+        trace = path.join(run.runDir ?? path.dirname(config.reportPath), tag ? `${engine}-${TRACE_FILE}` : TRACE_FILE);
+        await context.tracing.stop({ path: trace });
+        log(`Trace saved to ${fmt.cyan(trace)} — open it with npx playwright show-trace`);
+      } else {
+        await context.tracing.stop();
+      }
+    }
+
+    const status = !complete ? "incomplete" : passed ? "pass" : "fail";
+    return { engine, device: config.device, views, status, passed, durationMs: Date.now() - startTime, error: null, trace };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Runs one full validation cycle: scrape and validate every configured
+ * view in every configured browser, then report. `openBrowser(engine)`
+ * resolves to the Playwright browser for an engine (see browserLauncher()).
+ * Each view uses a separate page so the settings page stays available in
+ * history. `hooks` ({ onProgress, signal }) follow the run as it goes and
+ * can cancel it; views not started by then are skipped and the report
+ * covers what was collected. With config.session set the run is recorded
+ * or replayed (see openSession()).
+ */
+async function runValidation(openBrowser, runConfig, hooks = {}) {
+  const startTime = Date.now();
+  const config = applySession(runConfig);
+  const session = openSession(config, startTime);
+  const runDir = artifactsRunDir(config, startTime);
+  const browsers = [];
+  hooks.onProgress?.({ type: "run-start", views: config.views, browsers: config.browsers, target: config.targetArticles });
+
+  // Views are resolved against the session's clock when there is one
+  const run = { startTime: session?.startedAt ?? startTime, runDir, session };
+  for (const engine of config.browsers) {
+    if (hooks.signal?.aborted) break;
+    browsers.push(await validateInBrowser(openBrowser, engine, config, run, hooks));
+  }
+  const views = browsers.flatMap((b) => b.views);
+  session?.save();
+  const sessionInfo = session && { mode: session.mode, path: session.path, recordedAt: session.recordedAt };
+
+  const cancelled = Boolean(hooks.signal?.aborted);
+  const plannedViews = config.views.length * config.browsers.length;
+  if (cancelled) log(fmt.yellow(`Run cancelled — reporting ${views.length}/${plannedViews} view(s).`));
+  const durationMs = Date.now() - startTime;
+  const passed = !cancelled && browsers.every((b) => b.passed);
+  if (views.length > 1) printVerdict(views);
+  if (browsers.length > 1) printBrowserComparison(browsers);
+  const trace = browsers.find((b) => b.trace)?.trace ?? null;
+  // The views are already in the run; each browser keeps its verdict and timings
+  const browserSummaries = browsers.map(({ views: _views, ...b }) => b);
+
+  // The HTML is also what the dashboard and history show, so it is built even when not saved
+  const html = generateHtmlReport(views, durationMs, config, {
+    dir: runDir,
+    trace,
+    cancelled,
+    browsers: browserSummaries,
+    session: sessionInfo,
+  });
+  if (config.reportPath) {
+    fs.mkdirSync(path.dirname(config.reportPath), { recursive: true });
+    fs.writeFileSync(config.reportPath, html);
+    log(`HTML report saved to ${fmt.cyan(config.reportPath)}`);
+  }
+
+  const summary = {
+    config,
+    startedAt: startTime,
+    finishedAt: Date.now(),
+    durationMs,
+    views,
+    browsers: browserSummaries,
+    session: sessionInfo,
+    passed,
+    cancelled,
+    trace,
+  };
+  writeExports(summary);
+  const historyEntry = config.historyDir ? recordRun(summary, html) : null;
+
+  const success = !cancelled && browsers.every((b) => !b.error) && views.every((v) => v.complete);
+  hooks.onProgress?.({ type: "run-done", success, passed, cancelled, durationMs, reportPath: config.reportPath || null });
+  return { success, passed, cancelled, views, durationMs, html, historyEntry, summary };
+}
+
+/**
+ * The programmatic entry point: starts one validation run without the
+ * settings UI and returns it as an EventEmitter. `options` holds any config
+ * fields to change from DEFAULT_CONFIG, checked the same way as the
+ * settings form (a ConfigError names the first bad field), plus:
+ *   - headless:    launch browsers without a window (default true)
+ *   - onProgress:  called with each progress event, as a "progress" listener
+ *   - onLog:       called with each line the run logs, as a "log" listener
+ *   - signal:      an AbortSignal that cancels the run; what was collected
+ *                  is still validated and reported
+ *   - openBrowser: reuse browsers from the caller (see browserLauncher())
+ *                  instead of launching and closing them here
+ * Each progress event is emitted as "progress" and under its own type, from
+ * "run-start" through "view-start", "page", "retry" and "view-done" to
+ * "run-done". Messages and the console report come as "log" events, one
+ * line each as the CLI prints it; nothing goes to the console. The run
+ * starts once the caller's code has run, so listeners added right after
+ * this call hear "run-start". `cancel()` does what an aborted signal does,
+ * and `done` resolves to runValidation()'s result plus `document`, the same
+ * result document the JSON export holds (see buildResultDocument()).
+ * Reports, exports, history and artifacts are only written where the config
+ * gives them a path; the defaults give none.
+ */
+function startValidation(options = {}) {
+  const { headless = true, onProgress, onLog, signal, openBrowser, ...settings } = options;
+  const run = new EventEmitter();
+  const controller = new AbortController();
+  // The caller's signal may outlive this run (watch mode reuses one), so its
+  // listener goes once the run is done
+  const cancel = () => controller.abort();
+  if (signal?.aborted) cancel();
+  signal?.addEventListener("abort", cancel, { once: true });
+  if (onProgress) run.on("progress", onProgress);
+  if (onLog) run.on("log", onLog);
+
+  const hooks = {
+    onProgress: (event) => {
+      run.emit("progress", event);
+      run.emit(event.type, event);
+    },
+    signal: controller.signal,
+  };
+
+  const start = async () => {
+    const { config, errors } = validateConfig({ ...DEFAULT_CONFIG, ...settings }, (option) => option.key);
+    if (errors.length > 0) {
+      throw new ConfigError(errors[0].key, errors.map((e) => e.message).join(" "));
+    }
+
+    const launcher = openBrowser ? null : browserLauncher({ headless });
+    try {
+      const result = await runValidation(openBrowser ?? launcher.openBrowser, config, hooks);
+      return { ...result, document: buildResultDocument(result.summary) };
+    } finally {
+      await launcher?.closeAll();
+    }
+  };
+
+  run.cancel = cancel;
+  run.done = Promise.resolve()
+    .then(() => withOutput((line) => run.emit("log", line), start))
+    .finally(() => signal?.removeEventListener("abort", cancel));
+  return run;
+}
+
+/** One validation run (see startValidation()), resolving to its result. */
+function validate(options = {}) {
+  return startValidation(options).done;
+}
+
+/**
+ * Watch mode: calls runOnce() (one runValidation()) every
+ * config.watchIntervalMs until config.watchRuns runs have been made, or
+ * forever with 0, or until hooks.signal aborts. A run that is not a clean
+ * pass counts as a failure, and so does one that throws: its error is
+ * logged and alerted, and watching goes on. Alerts go out when the verdict
+ * changes, and also when the very first run fails. What watch mode logs
+ * goes to hooks.onLog(line), if given. Returns { runs, consecutiveFailures,
+ * alerts }.
+ */
+function watch(config, runOnce, hooks = {}) {
+  return withOutput(hooks.onLog ?? (() => {}), () => watchLoop(config, runOnce, hooks));
+}
+
+async function watchLoop(config, runOnce, hooks) {
+  let runs = 0;
+  let consecutiveFailures = 0;
+  let previousStatus = null;
+  const alerts = [];
+
+  while (!hooks.signal?.aborted) {
+    let result = null;
+    let error = null;
+    try {
+      result = await runOnce();
+    } catch (err) {
+      if (hooks.signal?.aborted) break;
+      error = err.message;
+      log(fmt.red(`ERROR: Watch run ${runs + 1} failed: ${error}`));
+    }
+    if (result?.cancelled) break;
+    runs++;
+
+    const status = result?.passed ? "pass" : "fail";
+    consecutiveFailures = status === "fail" ? consecutiveFailures + 1 : 0;
+    const streak = consecutiveFailures > 1 ? ` (${consecutiveFailures} failures in a row)` : "";
+    log(fmt.bold(`Watch run ${runs}: ${status === "pass" ? fmt.green("PASS") : fmt.red("FAIL")}${streak}`));
+
+    if (status !== (previousStatus ?? "pass")) {
+      const alert = {
+        event: status === "fail" ? "failing" : "recovered",
+        status,
+        previousStatus,
+        consecutiveFailures,
+        run: runs,
+        at: new Date().toISOString(),
+        reportPath: config.reportPath,
+        error,
+        result: result ? buildResultDocument(result.summary) : null,
+      };
+      log(`Verdict changed to ${status.toUpperCase()} — sending alerts.`);
+      alerts.push({ alert, deliveries: await sendAlert(config, alert) });
+    }
+    previousStatus = status;
+
+    if (config.watchRuns && runs >= config.watchRuns) break;
+    log(fmt.dim(`Next run at ${new Date(Date.now() + config.watchIntervalMs).toLocaleTimeString()}.`));
+    try {
+      await sleep(config.watchIntervalMs, undefined, { signal: hooks.signal });
+    } catch {
+      break;
+    }
+  }
+
+  return { runs, consecutiveFailures, alerts };
+}
+
+module.exports = {
+  startValidation,
+  validate,
+  watch,
+};
@@ -0,0 +1,154 @@
+const { test, expect } = require("@playwright/test");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { parseCliArgs } = require("../index");
+const {
+  DEFAULT_CONFIG,
+  buildResultDocument,
+  generateHtmlReport,
+  generateJunitXml,
+  resolveView,
+  rulesPassed,
+  runRules,
+  validateConfig,
+} = require("../lib");
+const { BASE_TIME, generateArticles, swapAdjacent } = require("./fixtures/hn-server");
+
+const RUN_DIR = path.resolve("artifacts", "2026-02-11T16-17-00-000Z");
+
+/** A /newest view with violations at #10 and #40, the second saved as page 2. */
+function failedView() {
+  const articles = swapAdjacent(swapAdjacent(generateArticles(60), 9), 39).map((a, i) => ({ ...a, rank: i + 1 }));
+  const ruleResults = runRules(articles, ["sort-order"], { now: BASE_TIME });
+  return {
+    view: resolveView("newest", DEFAULT_CONFIG),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    ruleResults,
+    complete: true,
+    passed: rulesPassed(ruleResults),
+    durationMs: 900,
+    artifacts: [
+      {
+        kind: "violation",
+        page: 2,
+        url: "https://news.ycombinator.com/newest?next=38999970&n=31",
+        positions: [40],
+        screenshot: path.join(RUN_DIR, "newest-page-2.png"),
+        html: path.join(RUN_DIR, "newest-page-2.html"),
+      },
+    ],
+  };
+}
+
+/** A /news view whose first page never loaded. */
+function unreachableView() {
+  return {
+    view: resolveView("news", DEFAULT_CONFIG),
+    articles: [],
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    pages: [],
+    ruleResults: [],
+    complete: false,
+    passed: false,
+    durationMs: 3000,
+    error: "Loading https://news.ycombinator.com/news failed after 3 attempts",
+    artifacts: [
+      {
+        kind: "navigation",
+        page: null,
+        url: "https://news.ycombinator.com/news",
+        positions: [],
+        screenshot: path.join(RUN_DIR, "news-navigation-failure.png"),
+        html: path.join(RUN_DIR, "news-navigation-failure.html"),
+      },
+    ],
+  };
+}
+
+test.describe("failure artifacts in the HTML report", () => {
+  test("links a violation row to the page it was scraped from", async ({ page }) => {
+    await page.setContent(generateHtmlReport([failedView()], 900, DEFAULT_CONFIG, { dir: RUN_DIR }));
+
+    const links = page.locator("#articles-newest tr.violation a.artifact");
+    // Only #40 has a saved page; #10 is in the table without links
+    await expect(page.locator("#articles-newest tr.violation")).toHaveCount(2);
+    await expect(links).toHaveText(["screenshot", "html"]);
+    await expect(links.first()).toHaveAttribute("href", pathToFileURL(path.join(RUN_DIR, "newest-page-2.png")).href);
+    await expect(page.locator("#articles-newest tr.violation .artifacts")).toContainText("page 2");
+    await expect(page.locator(".artifacts-note")).toContainText(RUN_DIR);
+  });
+
+  test("shows a navigation failure with its screenshot and HTML", async ({ page }) => {
+    await page.setContent(generateHtmlReport([unreachableView()], 3000, DEFAULT_CONFIG, { dir: RUN_DIR }));
+
+    await expect(page.locator("#view-news .view-header .pill")).toHaveText("INCOMPLETE");
+    await expect(page.locator("#view-news .incomplete-note")).toContainText("failed after 3 attempts");
+    await expect(page.locator("#view-news .incomplete-note a.artifact")).toHaveText(["screenshot", "html"]);
+  });
+
+  test("points at the trace when one was kept", async ({ page }) => {
+    const trace = path.join(RUN_DIR, "trace.zip");
+
+    await page.setContent(generateHtmlReport([failedView()], 900, DEFAULT_CONFIG, { dir: RUN_DIR, trace }));
+
+    await expect(page.locator(".artifacts-note")).toContainText(`npx playwright show-trace ${trace}`);
+  });
+
+  test("carry the dashboard path of files under the artifacts folder", () => {
+    const runId = path.basename(RUN_DIR);
+    const trace = path.resolve("trace.zip");
+    const config = { ...DEFAULT_CONFIG, artifactsDir: path.dirname(RUN_DIR) };
+
+    const html = generateHtmlReport([failedView()], 900, config, { dir: RUN_DIR, trace });
+
+    expect(html).toContain(`data-served="/artifacts/${runId}/newest-page-2.png"`);
+    expect(html).toContain(`href="${pathToFileURL(RUN_DIR).href}" data-served="/artifacts/${runId}"`);
+    // Outside the artifacts folder there is nothing the dashboard would serve
+    expect(html).toContain(`href="${pathToFileURL(trace).href}">trace.zip`);
+  });
+});
+
+test.describe("failure artifacts in exports", () => {
+  test("records each view's error and artifacts", () => {
+    const run = {
+      config: DEFAULT_CONFIG,
+      startedAt: BASE_TIME,
+      finishedAt: BASE_TIME + 3000,
+      durationMs: 3000,
+      views: [failedView(), unreachableView()],
+      passed: false,
+      trace: path.join(RUN_DIR, "trace.zip"),
+    };
+
+    const doc = buildResultDocument(run);
+    const xml = generateJunitXml(run);
+
+    expect(doc.trace).toBe(run.trace);
+    expect(doc.views[0]).toMatchObject({ error: null, artifacts: [{ kind: "violation", page: 2, positions: [40] }] });
+    expect(doc.views[1]).toMatchObject({ status: "incomplete", error: expect.stringContaining("failed after 3 attempts") });
+    expect(xml).toContain('<failure message="Loading https://news.ycombinator.com/news failed after 3 attempts" type="navigation"/>');
+  });
+});
+
+test.describe("--artifacts-dir and --trace", () => {
+  test("save artifacts by default and traces only on request", () => {
+    expect(parseCliArgs([], {}).config).toMatchObject({ artifactsDir: path.resolve(__dirname, "..", "artifacts"), trace: false });
+    expect(parseCliArgs(["--artifacts-dir="], {}).config.artifactsDir).toBe("");
+    expect(parseCliArgs([], { HN_ARTIFACTS_DIR: "out" }).config.artifactsDir).toBe(path.resolve("out"));
+  });
+
+  test("a trace needs somewhere to go", () => {
+    const { errors } = validateConfig({ ...DEFAULT_CONFIG, trace: true });
+
+    expect(errors).toEqual([{ key: "trace", message: "Trace needs an artifacts directory or report path to save the trace in." }]);
+  });
+
+  test("--trace takes no value", () => {
+    const { config } = parseCliArgs(["--trace", "--headless"], {});
+
+    expect(config.trace).toBe(true);
+    expect(parseCliArgs(["--trace=false"], {}).config.trace).toBe(false);
+    expect(parseCliArgs([], { HN_TRACE: "1" }).config.trace).toBe(true);
+  });
+});
@@ -0,0 +1,134 @@
+const { test, expect } = require("@playwright/test");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, generateHtmlReport, resolveView, validate } = require("../lib");
+const { generateArticles, startFixtureServer } = require("./fixtures/hn-server");
+
+let server;
+
+test.afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+/** An audited run that keeps its report in the test's output folder. */
+function runOptions(browser, overrides = {}) {
+  return {
+    reportPath: test.info().outputPath("report.html"),
+    historyDir: "",
+    artifactsDir: "",
+    audit: true,
+    targetArticles: 60,
+    navigationTimeoutMs: 3000,
+    openBrowser: () => browser,
+    ...overrides,
+  };
+}
+
+/** What auditPage() returns for a page with nothing wrong. */
+function healthyAudit(overrides = {}) {
+  return {
+    status: 200,
+    timing: { responseMs: 12, domReadyMs: 40, loadMs: 55 },
+    consoleErrors: [],
+    failedRequests: [],
+    issues: [],
+    ...overrides,
+  };
+}
+
+test.describe("page audit", () => {
+  for (const fetchMode of ["serial", "parallel"]) {
+    test(`finds what is wrong with each page (${fetchMode})`, async ({ browser }) => {
+      server = await startFixtureServer("unhealthy");
+
+      const result = await validate(runOptions(browser, { url: server.url, fetchMode }));
+
+      const [page1, page2] = result.views[0].pages.map((p) => p.audit);
+      expect(page1).toMatchObject({
+        status: 200,
+        timing: { responseMs: expect.any(Number), domReadyMs: expect.any(Number) },
+        consoleErrors: ["Widget failed to load"],
+        failedRequests: [{ url: expect.stringContaining("/missing.png"), status: 404 }],
+      });
+      expect(page1.issues.map((i) => [i.type, i.count])).toEqual([
+        ["broken-title-link", 1],
+        ["link-without-text", 1],
+        ["image-without-alt", 1],
+      ]);
+      // Each page only gets what it caused itself
+      expect(page2.consoleErrors).toEqual(["Widget failed to load"]);
+      expect(page2.failedRequests).toHaveLength(1);
+      expect(page2.issues.map((i) => i.type)).toEqual(["link-without-text", "image-without-alt"]);
+      expect(result.passed).toBe(true);
+    });
+  }
+
+  test("is left out unless asked for", async ({ browser }) => {
+    server = await startFixtureServer("unhealthy");
+
+    const result = await validate(runOptions(browser, { url: server.url, audit: false }));
+
+    expect(result.views[0].pages.map((p) => p.audit)).toEqual([undefined, undefined]);
+  });
+});
+
+test.describe("page health report", () => {
+  const view = (pages) => ({
+    view: resolveView("newest", DEFAULT_CONFIG),
+    articles: generateArticles(60),
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    pages,
+    ruleResults: [],
+    complete: true,
+    passed: true,
+    durationMs: 900,
+  });
+
+  test("summarises each audited page and lists the problems", async ({ page }) => {
+    const pages = [
+      { page: 1, url: "https://news.ycombinator.com/newest", rows: 30, durationMs: 400, audit: healthyAudit() },
+      {
+        page: 2,
+        url: "https://news.ycombinator.com/newest?n=31",
+        rows: 30,
+        durationMs: 500,
+        audit: healthyAudit({
+          consoleErrors: ["Widget failed to load"],
+          failedRequests: [{ url: "https://news.ycombinator.com/missing.png", status: 404 }],
+          issues: [{ type: "image-without-alt", count: 2, samples: ['<img src="missing.png">'] }],
+        }),
+      },
+    ];
+
+    await page.setContent(generateHtmlReport([view(pages)], 900, DEFAULT_CONFIG));
+
+    await expect(page.locator(".page-health .audit-summary")).toHaveText(
+      "2 page(s) audited: 1 console error(s), 1 failed request(s), 2 link or accessibility issue(s)."
+    );
+    const rows = page.locator(".page-health tbody tr");
+    await expect(rows.nth(0).locator("td")).toHaveText(["1", "200", "12ms / 40ms / 55ms", "0", "0", "0", "0"]);
+    await expect(rows.nth(1).locator("td.bad")).toHaveText(["1", "1"]);
+    await expect(rows.nth(1).locator("td.warn")).toHaveText("2");
+    await expect(page.locator(".audit-problems li")).toHaveText([
+      "page 2 Console error: Widget failed to load",
+      "page 2 Failed request (HTTP 404): https://news.ycombinator.com/missing.png",
+      'page 2 Image without alt text (2): <img src="missing.png">',
+    ]);
+  });
+
+  test("is not shown without an audit", async ({ page }) => {
+    const pages = [{ page: 1, url: "https://news.ycombinator.com/newest", rows: 30, durationMs: 400 }];
+
+    await page.setContent(generateHtmlReport([view(pages)], 900, DEFAULT_CONFIG));
+
+    await expect(page.locator(".page-health")).toHaveCount(0);
+  });
+});
+
+test.describe("--audit", () => {
+  test("is off by default and turned on by flag or env", () => {
+    expect(parseCliArgs([], {}).config.audit).toBe(false);
+    expect(parseCliArgs(["--audit"], {}).config.audit).toBe(true);
+    expect(parseCliArgs([], { HN_AUDIT: "1" }).config.audit).toBe(true);
+  });
+});
@@ -0,0 +1,169 @@
+const { test, expect } = require("@playwright/test");
+const { devices } = require("playwright");
+const { parseCliArgs } = require("../index");
+const {
+  DEFAULT_CONFIG,
+  buildResultDocument,
+  compareRuns,
+  contextOptionsFor,
+  generateHtmlReport,
+  generateJunitXml,
+  generateProgressHtml,
+  resolveView,
+  rulesPassed,
+  runRules,
+} = require("../lib");
+const { BASE_TIME, generateArticles, swapAdjacent } = require("./fixtures/hn-server");
+
+const CONFIG = { ...DEFAULT_CONFIG, browsers: ["chromium", "firefox"], device: "Pixel 5" };
+
+/** /newest as validated in `engine`, with a swapped pair at #10 when it fails. */
+function engineView(engine, passed) {
+  const sorted = generateArticles(30);
+  const articles = passed ? sorted : swapAdjacent(sorted, 9).map((a, i) => ({ ...a, rank: i + 1 }));
+  const ruleResults = runRules(articles, ["sort-order"], { now: BASE_TIME });
+  return {
+    view: resolveView("newest", CONFIG, BASE_TIME, engine),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    pages: [{ page: 1, url: "https://news.ycombinator.com/newest", rows: 30, durationMs: engine === "chromium" ? 400 : 900 }],
+    ruleResults,
+    complete: true,
+    passed: rulesPassed(ruleResults),
+    durationMs: engine === "chromium" ? 500 : 1000,
+  };
+}
+
+/** Chromium passes, Firefox finds a violation and WebKit never starts. */
+function crossBrowserRun() {
+  const views = [engineView("chromium", true), engineView("firefox", false)];
+  const browsers = [
+    { engine: "chromium", device: "Pixel 5", status: "pass", passed: true, durationMs: 600, error: null, trace: null },
+    { engine: "firefox", device: "Pixel 5", status: "fail", passed: false, durationMs: 1100, error: null, trace: null },
+    { engine: "webkit", device: "Pixel 5", status: "error", passed: false, durationMs: 5, error: "Executable doesn't exist", trace: null },
+  ];
+  const config = { ...CONFIG, browsers: browsers.map((b) => b.engine) };
+  return { config, startedAt: BASE_TIME, finishedAt: BASE_TIME + 1800, durationMs: 1800, views, browsers, passed: false };
+}
+
+test.describe("--browsers and --device", () => {
+  test("default to Chromium in a desktop window", () => {
+    expect(parseCliArgs([], {}).config).toMatchObject({ browsers: ["chromium"], device: "" });
+  });
+
+  test("take engines and a Playwright device name from flags or env", () => {
+    expect(parseCliArgs(["--browsers", "firefox,webkit", "--device", "iPhone 12"], {}).config).toMatchObject({
+      browsers: ["firefox", "webkit"],
+      device: "iPhone 12",
+    });
+    expect(parseCliArgs([], { HN_BROWSERS: "webkit", HN_DEVICE: "Pixel 5" }).config).toMatchObject({
+      browsers: ["webkit"],
+      device: "Pixel 5",
+    });
+  });
+
+  test("reject unknown engines and devices", () => {
+    expect(() => parseCliArgs(["--browsers=chromium,opera"], {})).toThrow(/unknown browser\(s\): opera/);
+    expect(() => parseCliArgs(["--device", "Nokia 3310"], {})).toThrow(/--device must be one of .* in all\) \(got "Nokia 3310"\)/);
+  });
+});
+
+test.describe("contextOptionsFor", () => {
+  test("applies the device profile", () => {
+    const { defaultBrowserType, ...pixel } = devices["Pixel 5"];
+
+    expect(contextOptionsFor("chromium", "Pixel 5")).toEqual(pixel);
+    expect(contextOptionsFor("webkit", "")).toEqual({});
+  });
+
+  test("leaves out isMobile in Firefox", () => {
+    const options = contextOptionsFor("firefox", "iPhone 12");
+
+    expect(options).not.toHaveProperty("isMobile");
+    expect(options).toMatchObject({ viewport: devices["iPhone 12"].viewport, hasTouch: true });
+  });
+});
+
+test.describe("cross-browser report", () => {
+  test("compares results and timings per browser", async ({ page }) => {
+    const run = crossBrowserRun();
+
+    await page.setContent(generateHtmlReport(run.views, run.durationMs, run.config, { browsers: run.browsers }));
+
+    const rows = page.locator(".browser-comparison tbody tr");
+    await expect(rows).toHaveCount(3);
+    await expect(rows.nth(0)).toContainText("chromium");
+    await expect(rows.nth(0)).toContainText("30 article(s), 0 violation(s), 0.5s");
+    await expect(rows.nth(1)).toContainText("30 article(s), 1 violation(s), 1.0s");
+    await expect(rows.nth(1).locator("td").last()).toHaveText("900ms");
+    await expect(rows.nth(2)).toContainText("Could not start: Executable doesn't exist");
+    await expect(page.locator(".browser-diff")).toHaveText("Browsers disagree — New: chromium PASS, firefox FAIL");
+    await expect(page.locator(".config-summary")).toContainText("Browser: chromium, firefox, webkit as Pixel 5");
+  });
+
+  test("gives each browser its own view section", async ({ page }) => {
+    const run = crossBrowserRun();
+
+    await page.setContent(generateHtmlReport(run.views, run.durationMs, run.config, { browsers: run.browsers }));
+
+    await expect(page.locator("#view-newest-chromium h2")).toHaveText("New · chromium");
+    await expect(page.locator("#view-newest-firefox tr.violation")).toHaveCount(1);
+    await expect(page.locator("#view-newest-chromium tr.violation")).toHaveCount(0);
+  });
+
+  test("shows no comparison for a single browser", async ({ page }) => {
+    const view = engineView(null, true);
+
+    await page.setContent(generateHtmlReport([view], 500, DEFAULT_CONFIG, { browsers: [{ engine: "chromium" }] }));
+
+    await expect(page.locator(".browsers")).toHaveCount(0);
+    await expect(page.locator("#view-newest")).toHaveCount(1);
+  });
+
+  test("progress page has a row per view and browser", async ({ page }) => {
+    await page.setContent(generateProgressHtml(CONFIG));
+
+    await page.evaluate(() =>
+      window.__progress({ type: "page", view: "newest-firefox", page: 1, collected: 30, target: 100, errors: 0 })
+    );
+
+    await expect(page.locator(".view-name")).toHaveText(["New · chromium", "New · firefox"]);
+    await expect(page.locator("#progress-newest-firefox .view-detail")).toHaveText("30/100 articles · page 1 · 0 violation(s)");
+    await expect(page.locator("#progress-newest-chromium .view-state")).toHaveText("Waiting");
+  });
+});
+
+test.describe("cross-browser exports", () => {
+  test("record each browser and tag its views", () => {
+    const run = crossBrowserRun();
+
+    const doc = buildResultDocument(run);
+    const xml = generateJunitXml(run);
+
+    expect(doc.browsers.map((b) => [b.engine, b.status])).toEqual([
+      ["chromium", "pass"],
+      ["firefox", "fail"],
+      ["webkit", "error"],
+    ]);
+    expect(doc.views.map((v) => [v.id, v.engine, v.status])).toEqual([
+      ["newest", "chromium", "pass"],
+      ["newest", "firefox", "fail"],
+    ]);
+    expect(xml).toContain('<testsuite name="newest-firefox"');
+    expect(xml).toContain('classname="hn-validator.newest-chromium.sort-order"');
+  });
+
+  test("are compared within the same browser", () => {
+    const before = buildResultDocument(crossBrowserRun());
+    const fixed = crossBrowserRun();
+    fixed.views[1] = engineView("firefox", true);
+
+    const { views, summary } = compareRuns(before, buildResultDocument(fixed));
+
+    expect(views.map((v) => [v.id, v.name, v.presence])).toEqual([
+      ["newest-chromium", "New · chromium", "both"],
+      ["newest-firefox", "New · firefox", "both"],
+    ]);
+    expect(summary).toMatchObject({ newViolations: 0, resolvedViolations: 1 });
+  });
+});
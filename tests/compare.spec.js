@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const { parseCompareArgs } = require("../index");
+const {
+  DEFAULT_CONFIG,
+  buildResultDocument,
+  compareRuns,
+  generateCompareHtml,
+  readResultDocument,
+  resolveView,
+  rulesPassed,
+  runRules,
+} = require("../lib");
+const { BASE_TIME, generateArticles, swapAdjacent } = require("./fixtures/hn-server");
+
+/** The result document of a /newest run over `articles`, `minutes` after the fixture base time. */
+function resultDocument(articles, { minutes = 0, durationMs = 3000, pageMs = 1000 } = {}) {
+  const config = { ...DEFAULT_CONFIG, targetArticles: articles.length };
+  const ruleResults = runRules(articles, ["sort-order"]);
+  const view = {
+    view: resolveView("newest", config),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    pages: [{ page: 1, url: config.url, rows: articles.length, durationMs: pageMs }],
+    ruleResults,
+    complete: true,
+    passed: rulesPassed(ruleResults),
+    durationMs,
+  };
+  const startedAt = BASE_TIME + minutes * 60 * 1000;
+  return buildResultDocument({ config, startedAt, finishedAt: startedAt + durationMs, durationMs, views: [view], passed: view.passed });
+}
+
+/**
+ * Before: 30 stories with 10/11 swapped. After: two new posts on top, that
+ * swap fixed, stories 24/25 swapped instead and story 20 moved up to #6.
+ */
+function twoRuns() {
+  const before = swapAdjacent(generateArticles(30), 9);
+  let after = [
+    ...generateArticles(2, { firstId: 39000010, startTime: BASE_TIME + 2 * 60 * 1000, titlePrefix: "New story" }),
+    ...generateArticles(28),
+  ];
+  after = swapAdjacent(after, 24);
+  after.splice(5, 0, ...after.splice(21, 1));
+  return [resultDocument(before), resultDocument(after, { minutes: 5, durationMs: 2500, pageMs: 800 })];
+}
+
+test.describe("compareRuns", () => {
+  test("lists added and removed articles", () => {
+    const { views, summary } = compareRuns(...twoRuns());
+
+    expect(views[0].articles.added.map((e) => [e.position, e.article.title])).toEqual([
+      [1, "New story 1"],
+      [2, "New story 2"],
+    ]);
+    expect(views[0].articles.removed.map((e) => e.article.title)).toEqual(["Fixture story 29", "Fixture story 30"]);
+    expect(summary).toMatchObject({ added: 2, removed: 2 });
+  });
+
+  test("counts an article as moved only when it changed places with others", () => {
+    const { views } = compareRuns(...twoRuns());
+
+    // Everything else shifted down two places for the new posts, which is not a move
+    expect(views[0].articles.moved.map((e) => [e.article.title, e.from, e.to])).toEqual([
+      ["Fixture story 20", 20, 6],
+      ["Fixture story 10", 11, 13],
+      ["Fixture story 24", 24, 25],
+    ]);
+  });
+
+  test("separates new violations from resolved ones", () => {
+    const { views, summary } = compareRuns(...twoRuns());
+
+    expect(views[0].violations.new.map((f) => f.articleId)).toEqual(["38999981", "38999977"]);
+    expect(views[0].violations.resolved.map((f) => f.message)).toEqual([
+      expect.stringContaining('"Fixture story 11"'),
+    ]);
+    expect(summary).toMatchObject({ newViolations: 2, resolvedViolations: 1 });
+  });
+
+  test("does not report a violation that only moved down the page as new", () => {
+    const before = resultDocument(swapAdjacent(generateArticles(30), 9));
+    const after = resultDocument(swapAdjacent(generateArticles(32, { startTime: BASE_TIME + 2 * 60 * 1000, firstId: 39000002 }), 11));
+
+    expect(compareRuns(before, after).summary).toMatchObject({ newViolations: 0, resolvedViolations: 0 });
+  });
+
+  test("pairs up timings", () => {
+    const { views, summary } = compareRuns(...twoRuns());
+
+    expect(views[0].timing).toEqual({ durationMs: [3000, 2500], averagePageMs: [1000, 800] });
+    expect(summary.durationDeltaMs).toBe(-500);
+  });
+
+  test("compares a view only one run has against an empty list", () => {
+    const [before, after] = twoRuns();
+    const withJobs = { ...after, views: [...after.views, { ...after.views[0], id: "jobs", name: "Jobs" }] };
+
+    const jobs = compareRuns(before, withJobs).views.find((v) => v.id === "jobs");
+
+    expect(jobs).toMatchObject({ presence: "added", status: [null, "fail"] });
+    expect(jobs.articles.added).toHaveLength(30);
+  });
+});
+
+test.describe("compare command", () => {
+  test("reads result documents and rejects anything else", () => {
+    const [before] = twoRuns();
+    const good = test.info().outputPath("before.json");
+    const old = test.info().outputPath("old.json");
+    fs.writeFileSync(good, JSON.stringify(before));
+    fs.writeFileSync(old, JSON.stringify({ ...before, schemaVersion: 1 }));
+
+    expect(readResultDocument(good).views[0].id).toBe("newest");
+    expect(() => readResultDocument(old)).toThrow(/is not a version 2 result document \(schemaVersion is 1\)/);
+    expect(() => readResultDocument(test.info().outputPath("missing.json"))).toThrow(/Could not read run results/);
+  });
+
+  test("takes two files and an output path", () => {
+    expect(parseCompareArgs(["a.json", "b.json", "--output=diff.html"])).toEqual({
+      help: false,
+      before: path.resolve("a.json"),
+      after: path.resolve("b.json"),
+      output: path.resolve("diff.html"),
+    });
+    expect(parseCompareArgs(["a.json", "b.json"]).output).toBe(path.join(__dirname, "..", "compare.html"));
+    expect(() => parseCompareArgs(["a.json"])).toThrow(/takes two result files \(got 1\)/);
+    expect(() => parseCompareArgs(["a.json", "b.json", "--views=news"])).toThrow(/Unknown compare option/);
+  });
+});
+
+test.describe("generateCompareHtml", () => {
+  test("shows both runs, the changed articles and violations per view", async ({ page }) => {
+    await page.setContent(generateCompareHtml(compareRuns(...twoRuns())));
+
+    await expect(page.locator(".card", { hasText: "New Violations" }).locator(".value")).toHaveText("2");
+    await expect(page.locator(".card", { hasText: "Duration Change" }).locator(".value")).toHaveText("-0.5s");
+    await expect(page.locator("#compare-newest .view-header .pill")).toHaveText(["FAIL", "FAIL"]);
+    await expect(page.locator("#compare-newest .added li")).toHaveText(["#1 New story 1", "#2 New story 2"]);
+    await expect(page.locator("#compare-newest .moved li").first()).toHaveText("#20 → #6 Fixture story 20");
+    await expect(page.locator("#compare-newest .resolved-violations .finding")).toHaveCount(1);
+    await expect(page.locator("#compare-newest .timings tr", { hasText: "Average page load" })).toContainText("-200ms");
+  });
+
+  test("shows times in the configured zone with UTC alongside", () => {
+    const config = { ...DEFAULT_CONFIG, timeZone: "Asia/Kolkata", locale: "en-GB" };
+
+    const html = generateCompareHtml(compareRuns(...twoRuns()), config);
+
+    expect(html).toContain("11 Feb 2026, 21:47:00 GMT+5:30 (2026-02-11 16:17:00 UTC)");
+    expect(html).toContain("11 Feb 2026, 21:52:00 GMT+5:30 (2026-02-11 16:22:00 UTC)");
+    expect(html).toMatch(/Generated on .+ GMT\+5:30 \(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} UTC\)/);
+  });
+});
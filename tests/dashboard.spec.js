@@ -0,0 +1,239 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, recordRun, startDashboard } = require("../lib");
+const { BASE_TIME } = require("./fixtures/hn-server");
+
+let dashboard;
+
+test.afterEach(async () => {
+  await dashboard?.close();
+  dashboard = undefined;
+});
+
+/**
+ * A dashboard whose runs report the events they are given and then wait
+ * for finish(result), or for Cancel.
+ */
+async function startScriptedDashboard(events = [{ type: "run-start" }]) {
+  const runs = [];
+  const runOnce = (config, hooks) => {
+    for (const event of events) hooks.onProgress(event);
+    return new Promise((resolve) => {
+      const result = (overrides) => ({
+        success: true,
+        passed: true,
+        cancelled: false,
+        html: "<h1>Report</h1>",
+        document: { passed: true, config },
+        historyEntry: null,
+        ...overrides,
+      });
+      runs.push({ config, finish: (overrides) => resolve(result(overrides)) });
+      hooks.signal.addEventListener("abort", () => resolve(result({ success: false, passed: false, cancelled: true })));
+    });
+  };
+  const config = {
+    ...DEFAULT_CONFIG,
+    historyDir: test.info().outputPath("history"),
+    artifactsDir: test.info().outputPath("artifacts"),
+  };
+  dashboard = await startDashboard(config, runOnce, { port: 0, profilesPath: test.info().outputPath("profiles.json") });
+  return { config, runs };
+}
+
+function api(pathname, init = {}) {
+  return fetch(new URL(pathname, dashboard.url), init);
+}
+
+function post(pathname, body, headers = {}) {
+  return api(pathname, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) });
+}
+
+/** A raw GET, since fetch() will not send a Host header of our choosing. */
+function getWithHost(pathname, host) {
+  return new Promise((resolve, reject) => {
+    const { port } = new URL(dashboard.url);
+    http.get({ host: "127.0.0.1", port, path: pathname, headers: { Host: host } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on("error", reject);
+  });
+}
+
+test.describe("dashboard runs", () => {
+  test("start from valid settings and answer with their result", async () => {
+    const { runs } = await startScriptedDashboard();
+
+    const started = await post("/api/runs", { ...DEFAULT_CONFIG, targetArticles: "45" });
+    expect(started.status).toBe(202);
+    expect(await started.json()).toEqual({ id: "1", url: "/runs/1" });
+    expect(runs[0].config).toEqual({ ...DEFAULT_CONFIG, targetArticles: 45 });
+    expect((await api("/api/runs/1/result")).status).toBe(409);
+
+    runs[0].finish({ passed: false });
+    await dashboard.runs[0].done;
+
+    expect(await (await api("/api/runs/1")).json()).toMatchObject({ id: "1", state: "done", passed: false });
+    expect(await (await api("/api/runs/1/result")).json()).toEqual({ passed: true, config: runs[0].config });
+    expect(await (await api("/api/runs")).json()).toEqual([expect.objectContaining({ id: "1", state: "done" })]);
+  });
+
+  test("are refused with the form's errors when the settings are invalid", async () => {
+    await startScriptedDashboard();
+
+    const response = await post("/api/runs", { ...DEFAULT_CONFIG, targetArticles: 0 });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      errors: [{ key: "targetArticles", message: "Target Articles must be between 1 and 500 (got 0)." }],
+    });
+    expect(dashboard.runs).toEqual([]);
+  });
+
+  test("go one at a time", async () => {
+    await startScriptedDashboard();
+    await post("/api/runs", DEFAULT_CONFIG);
+
+    const second = await post("/api/runs", DEFAULT_CONFIG);
+
+    expect(second.status).toBe(409);
+    expect(await second.json()).toEqual({ error: "A run is already in progress.", url: "/runs/1" });
+  });
+
+  test("can be cancelled while they are going", async () => {
+    await startScriptedDashboard();
+    await post("/api/runs", DEFAULT_CONFIG);
+
+    expect((await post("/api/runs/1/cancel", {})).status).toBe(202);
+    await dashboard.runs[0].done;
+
+    expect(await (await api("/api/runs/1")).json()).toMatchObject({ state: "cancelled", cancelled: true });
+    expect((await post("/api/runs/1/cancel", {})).status).toBe(409);
+  });
+});
+
+test.describe("dashboard progress", () => {
+  const events = [
+    { type: "run-start" },
+    { type: "page", view: "newest", page: 1, collected: 30, target: 60, errors: 0 },
+  ];
+
+  test("can be polled from where the last poll stopped", async () => {
+    await startScriptedDashboard(events);
+    await post("/api/runs", DEFAULT_CONFIG);
+
+    expect(await (await api("/api/runs/1/events")).json()).toEqual({ state: "running", events, next: 2 });
+    expect(await (await api("/api/runs/1/events?after=1")).json()).toEqual({ state: "running", events: [events[1]], next: 2 });
+  });
+
+  test("streams every event and ends with the run", async () => {
+    const { runs } = await startScriptedDashboard(events);
+    await post("/api/runs", DEFAULT_CONFIG);
+
+    const stream = await api("/api/runs/1/events", { headers: { Accept: "text/event-stream" } });
+    expect(stream.headers.get("content-type")).toBe("text/event-stream");
+    runs[0].finish();
+
+    expect(await stream.text()).toBe(
+      [
+        `id: 1\ndata: ${JSON.stringify(events[0])}\n\n`,
+        `id: 2\ndata: ${JSON.stringify(events[1])}\n\n`,
+        "event: end\ndata: {}\n\n",
+      ].join("")
+    );
+  });
+
+  test("resumes a stream after the last event seen", async () => {
+    const { runs } = await startScriptedDashboard(events);
+    await post("/api/runs", DEFAULT_CONFIG);
+    runs[0].finish();
+    await dashboard.runs[0].done;
+
+    const stream = await api("/api/runs/1/events", { headers: { Accept: "text/event-stream", "Last-Event-ID": "1" } });
+
+    expect(await stream.text()).toBe(`id: 2\ndata: ${JSON.stringify(events[1])}\n\nevent: end\ndata: {}\n\n`);
+  });
+});
+
+test.describe("dashboard pages", () => {
+  test("serve the settings, then the run's progress, then its report", async () => {
+    const { runs } = await startScriptedDashboard();
+
+    expect(await (await api("/")).text()).toContain("<title>HN Validator — Settings</title>");
+    await post("/api/runs", DEFAULT_CONFIG);
+    expect(await (await api("/runs/1")).text()).toContain('id="cancel-btn"');
+
+    runs[0].finish();
+    await dashboard.runs[0].done;
+
+    expect(await (await api("/runs/1")).text()).toBe("<h1>Report</h1>");
+    expect((await api("/runs/2")).status).toBe(404);
+  });
+
+  test("still serve the settings when the profiles file is broken", async () => {
+    fs.writeFileSync(test.info().outputPath("profiles.json"), "{ not json");
+    await startScriptedDashboard();
+
+    const response = await api("/");
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toMatch(/<p class="profile-error">Could not read the saved profiles: .*profiles\.json is not valid JSON/);
+  });
+
+  test("list past reports and serve them from the history", async () => {
+    const { config } = await startScriptedDashboard();
+    const html = "<h1>Earlier report</h1>";
+    const entry = recordRun(
+      { config, startedAt: BASE_TIME, finishedAt: BASE_TIME + 1000, durationMs: 1000, views: [], passed: true },
+      html
+    );
+
+    const reports = await (await api("/api/reports")).json();
+
+    expect(reports).toEqual([expect.objectContaining({ status: "pass", reportUrl: `/history/${entry.reportFile}` })]);
+    expect(await (await api(reports[0].reportUrl)).text()).toBe(html);
+    expect((await api("/history/")).status).toBe(200);
+    expect((await api("/history/..%2fprofiles.json")).status).toBe(404);
+  });
+
+  test("serve the artifacts folder that reports link to", async () => {
+    const { config } = await startScriptedDashboard();
+    const runDir = path.join(config.artifactsDir, "2026-02-11T16-17-00-000Z");
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, "newest-page-2.html"), "<p>page 2</p>");
+
+    const file = await api("/artifacts/2026-02-11T16-17-00-000Z/newest-page-2.html");
+    const listing = await api("/artifacts/2026-02-11T16-17-00-000Z");
+
+    expect(file.headers.get("content-type")).toBe("text/html; charset=utf-8");
+    expect(await file.text()).toBe("<p>page 2</p>");
+    expect(await listing.text()).toContain('<a href="/artifacts/2026-02-11T16-17-00-000Z/newest-page-2.html">newest-page-2.html</a>');
+    expect((await api("/artifacts/..%2fprofiles.json")).status).toBe(404);
+  });
+});
+
+test.describe("dashboard access", () => {
+  test("is refused to other hosts and to posts from other sites", async () => {
+    await startScriptedDashboard();
+    const { port } = new URL(dashboard.url);
+
+    expect(await getWithHost("/api/runs", `localhost:${port}`)).toBe(200);
+    expect(await getWithHost("/api/runs", `attacker.example:${port}`)).toBe(403);
+    expect((await post("/api/runs", DEFAULT_CONFIG, { Origin: "http://attacker.example" })).status).toBe(403);
+    const form = await api("/api/runs", { method: "POST", headers: { "Content-Type": "text/plain" }, body: "{}" });
+    expect(form.status).toBe(403);
+    expect(dashboard.runs).toEqual([]);
+  });
+});
+
+test.describe("--port", () => {
+  test("defaults to 4780 and is taken from flag or env", () => {
+    expect(parseCliArgs([], {}).port).toBe(4780);
+    expect(parseCliArgs(["--port", "0"], {}).port).toBe(0);
+    expect(parseCliArgs([], { HN_PORT: "8080" }).port).toBe(8080);
+    expect(() => parseCliArgs(["--port=http"], {})).toThrow('--port must be between 0 and 65535 (got "http").');
+  });
+});
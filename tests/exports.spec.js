@@ -0,0 +1,163 @@
+const { test, expect } = require("@playwright/test");
+const { parseCliArgs } = require("../index");
+const {
+  DEFAULT_CONFIG,
+  RESULT_SCHEMA_VERSION,
+  buildResultDocument,
+  generateCsv,
+  generateJunitXml,
+  resolveView,
+  rulesPassed,
+  runRules,
+} = require("../lib");
+const { BASE_TIME, generateArticles, swapAdjacent } = require("./fixtures/hn-server");
+
+/** A finished /newest run with one sort violation and three rank warnings. */
+function sampleRun() {
+  const articles = swapAdjacent(generateArticles(5).map((a, i) => ({ ...a, rank: i + 1 })), 1);
+  const ruleResults = runRules(articles, ["sort-order", "unique-ids", "rank-continuity"], { now: BASE_TIME });
+  const view = {
+    view: resolveView("newest", DEFAULT_CONFIG),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    ruleResults,
+    complete: true,
+    passed: rulesPassed(ruleResults),
+    durationMs: 1400,
+  };
+  return {
+    config: DEFAULT_CONFIG,
+    startedAt: BASE_TIME,
+    finishedAt: BASE_TIME + 1500,
+    durationMs: 1500,
+    views: [view],
+    passed: view.passed,
+  };
+}
+
+/** Adds a /news view that stopped short after two articles. */
+function withIncompleteView(run) {
+  const articles = generateArticles(2, { titlePrefix: "Front story" });
+  const news = {
+    view: resolveView("news", run.config),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    ruleResults: [],
+    complete: false,
+    passed: false,
+    durationMs: 100,
+  };
+  return { ...run, views: [...run.views, news], passed: false };
+}
+
+test.describe("buildResultDocument", () => {
+  test("records config, timings, summary and findings under a schema version", () => {
+    const doc = buildResultDocument(sampleRun());
+
+    expect(doc.schemaVersion).toBe(RESULT_SCHEMA_VERSION);
+    expect(doc.passed).toBe(false);
+    expect(doc.config.url).toBe(DEFAULT_CONFIG.url);
+    expect(doc.timings).toMatchObject({ startedAt: "2026-02-11T16:17:00.000Z", durationMs: 1500 });
+    expect(doc.summary).toEqual({ views: 1, articles: 5, errors: 1, warnings: 3, info: 0 });
+
+    const [view] = doc.views;
+    expect(view).toMatchObject({ id: "newest", url: DEFAULT_CONFIG.url, status: "fail", durationMs: 1400 });
+    expect(view.rules.map((r) => r.status)).toEqual(["fail", "pass", "warn"]);
+    expect(view.rules[0].findings[0]).toMatchObject({
+      type: "out-of-order",
+      position: 2,
+      articleId: "38999998",
+      nextArticleId: "38999999",
+    });
+    expect(view.articles).toHaveLength(5);
+  });
+
+  test("marks views that stopped short as incomplete", () => {
+    const doc = buildResultDocument(withIncompleteView(sampleRun()));
+
+    expect(doc.views.map((v) => [v.id, v.status])).toEqual([
+      ["newest", "fail"],
+      ["news", "incomplete"],
+    ]);
+    expect(doc.summary.articles).toBe(7);
+  });
+
+  test("survives a JSON round trip", () => {
+    const doc = buildResultDocument(sampleRun());
+
+    expect(JSON.parse(JSON.stringify(doc))).toEqual(doc);
+  });
+});
+
+test.describe("generateJunitXml", () => {
+  test("writes one testcase per rule and fails only rules with errors", () => {
+    const xml = generateJunitXml(sampleRun());
+
+    expect(xml).toContain('<testsuites name="HN Sort Validator" tests="3" failures="1" errors="0" time="1.500">');
+    expect(xml).toContain('<testsuite name="newest" tests="3" failures="1"');
+    expect(xml.match(/<testcase /g)).toHaveLength(3);
+    expect(xml.match(/<failure /g)).toHaveLength(1);
+    expect(xml).toMatch(/<testcase classname="hn-validator.newest.sort-order"[^>]*>\s*<failure message="1 error\(s\)" type="out-of-order">/);
+    expect(xml).toMatch(/<testcase classname="hn-validator.newest.unique-ids"[^>]*\/>/);
+    expect(xml).toContain("<system-out>#2 [warning] rank-gap: Rank jumps from 1 to 3.");
+  });
+
+  test("writes a testsuite per view and fails an incomplete one", () => {
+    const xml = generateJunitXml(withIncompleteView(sampleRun()));
+
+    expect(xml).toContain('<testsuites name="HN Sort Validator" tests="4" failures="2"');
+    expect(xml).toContain('<testsuite name="news" tests="1" failures="1"');
+    expect(xml).toContain('<failure message="Only collected 2/100 articles" type="incomplete"/>');
+  });
+
+  test("escapes titles in failure messages", () => {
+    const run = sampleRun();
+    const [view] = run.views;
+    view.articles[1] = { ...view.articles[1], title: 'A <b> & "quoted" title' };
+    view.ruleResults = runRules(view.articles, ["sort-order"]);
+
+    expect(generateJunitXml(run)).toContain("&quot;A &lt;b&gt; &amp; &quot;quoted&quot; title&quot;");
+  });
+});
+
+test.describe("generateCsv", () => {
+  test("writes the article table with the finding types per row", () => {
+    const lines = generateCsv(sampleRun()).trimEnd().split("\r\n");
+
+    expect(lines[0]).toBe("view,position,id,rank,title,url,domain,author,points,comments,timestamp,ageText,findings");
+    expect(lines).toHaveLength(6);
+    expect(lines[2]).toMatch(/^newest,2,38999998,3,Fixture story 3,.*,out-of-order;rank-gap$/);
+    expect(lines[1].endsWith(",")).toBe(true);
+  });
+
+  test("lists every view's articles", () => {
+    const lines = generateCsv(withIncompleteView(sampleRun())).trimEnd().split("\r\n");
+
+    expect(lines.map((l) => l.split(",")[0])).toEqual(["view", "newest", "newest", "newest", "newest", "newest", "news", "news"]);
+  });
+
+  test("quotes fields with commas, quotes and newlines and leaves nulls empty", () => {
+    const run = sampleRun();
+    const [view] = run.views;
+    view.articles[0] = { ...view.articles[0], title: 'Say "hi", world', domain: null, points: null };
+
+    const row = generateCsv(run).split("\r\n")[1];
+
+    expect(row).toContain(',"Say ""hi"", world",');
+    expect(row).toMatch(/^newest,1,39000000,1,"Say ""hi"", world",https:\/\/example0\.com\/post\/1,,user0,,0,/);
+  });
+});
+
+test.describe("export paths", () => {
+  test("are off by default and set by flag or environment", () => {
+    expect(parseCliArgs([], {}).config).toMatchObject({ jsonPath: "", junitPath: "", csvPath: "" });
+
+    const { config } = parseCliArgs(["--json-path", "out/result.json", "--csv-path", "out/articles.csv"], {
+      HN_JUNIT_PATH: "out/junit.xml",
+    });
+
+    expect(config.jsonPath).toMatch(/out[\\/]result\.json$/);
+    expect(config.junitPath).toMatch(/out[\\/]junit\.xml$/);
+    expect(config.csvPath).toMatch(/out[\\/]articles\.csv$/);
+  });
+});
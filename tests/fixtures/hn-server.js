@@ -0,0 +1,392 @@
+const http = require("http");
+const path = require("path");
+const fs = require("fs");
+
+// ── Offline Hacker News stand-in ───────────────────────────────────────────────
+// Serves HN-shaped /newest pages (tr.athing rows, span.age[title] timestamps,
+// a.morelink pagination) so the validator can be exercised deterministically
+// without touching the live site. Other listings (/news, /front...) can be
+// served alongside for multi-view runs, and /v0/item/<id>.json stands in for
+// HN's Firebase API with the same stories.
+
+const BASE_TIME = Date.UTC(2026, 1, 11, 16, 17, 0);
+const RECORDED_DIR = path.join(__dirname, "recorded");
+
+/**
+ * Builds a newest-first list of fake articles. Each article is one minute
+ * older than the one before it unless `stepSeconds` says otherwise.
+ */
+function generateArticles(
+  count,
+  { stepSeconds = 60, firstId = 39000000, startTime = BASE_TIME, titlePrefix = "Fixture story" } = {}
+) {
+  const articles = [];
+  for (let i = 0; i < count; i++) {
+    const time = new Date(startTime - i * stepSeconds * 1000);
+    const minutes = Math.max(0, Math.round((BASE_TIME - time.getTime()) / 60000));
+    articles.push({
+      id: String(firstId - i),
+      title: `${titlePrefix} ${i + 1}`,
+      url: `https://example${i % 7}.com/post/${i + 1}`,
+      domain: `example${i % 7}.com`,
+      author: `user${i % 11}`,
+      points: (i * 7) % 50 + 1,
+      comments: (i * 3) % 20,
+      timestamp: time.toISOString().slice(0, 19),
+      ageText: minutes === 0 ? "just now" : `${minutes} minute${minutes === 1 ? "" : "s"} ago`,
+    });
+  }
+  return articles;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderArticleRows(article, rank) {
+  const ageTitle = article.timestamp === null ? "" : ` title="${escapeHtml(article.timestamp)}"`;
+  // Self posts (Ask HN, Launch HN...) have no site domain next to the title
+  const sitebit = article.domain
+    ? `<span class="sitebit comhead"> (<a href="from?site=${escapeHtml(article.domain)}"><span class="sitestr">${escapeHtml(article.domain)}</span></a>)</span>`
+    : "";
+  // Job ads carry no score, submitter or comments link
+  const byline =
+    article.author === null
+      ? ""
+      : `<span class="score" id="score_${article.id}">${article.points} point${article.points === 1 ? "" : "s"}</span> by <a href="user?id=${escapeHtml(article.author)}" class="hnuser">${escapeHtml(article.author)}</a>`;
+  const discussion =
+    article.comments === null
+      ? ""
+      : ` | <a href="hide?id=${article.id}&amp;goto=newest">hide</a> | <a href="item?id=${article.id}">${article.comments === 0 ? "discuss" : `${article.comments}&nbsp;comment${article.comments === 1 ? "" : "s"}`}</a>`;
+  return `
+      <tr class="athing submission" id="${article.id}">
+        <td align="right" valign="top" class="title"><span class="rank">${rank}.</span></td>
+        <td valign="top" class="votelinks"><center><a id="up_${article.id}" href="vote?id=${article.id}&amp;how=up"><div class="votearrow" title="upvote"></div></a></center></td>
+        <td class="title"><span class="titleline"><a href="${escapeHtml(article.url)}">${escapeHtml(article.title)}</a>${sitebit}</span></td>
+      </tr>
+      <tr>
+        <td colspan="2"></td>
+        <td class="subtext"><span class="subline">
+          ${byline}
+          <span class="age"${ageTitle}><a href="item?id=${article.id}">${escapeHtml(article.ageText)}</a></span> <span id="unv_${article.id}"></span>${discussion}
+        </span></td>
+      </tr>
+      <tr class="spacer" style="height:5px"></tr>`;
+}
+
+/**
+ * Renders one /newest page. `startRank` is the 1-based rank of the first
+ * row; `moreHref` is omitted on the last page so no "More" link is shown.
+ */
+function renderNewestPage(articles, { startRank = 1, moreHref = null } = {}) {
+  const rows = articles.map((a, i) => renderArticleRows(a, startRank + i)).join("");
+  const more = moreHref
+    ? `
+      <tr class="morespace" style="height:10px"></tr>
+      <tr><td colspan="2"></td><td class="title"><a href="${escapeHtml(moreHref)}" class="morelink" rel="next">More</a></td></tr>`
+    : "";
+
+  return `<html lang="en" op="newest"><head><meta name="referrer" content="origin"><title>New Links | Hacker News</title></head>
+<body><center><table id="hnmain" border="0" cellpadding="0" cellspacing="0" width="85%" bgcolor="#f6f6ef">
+  <tr><td bgcolor="#ff6600"><span class="pagetop"><b class="hnname"><a href="news">Hacker News</a></b></span></td></tr>
+  <tr id="bigbox"><td>
+    <table border="0" cellpadding="0" cellspacing="0" class="itemlist">${rows}${more}
+    </table>
+  </td></tr>
+</table></center></body></html>`;
+}
+
+/**
+ * The Firebase API's view of a generated article. Timestamps in the
+ * "<ISO> <unix epoch>" form are read by their ISO part.
+ */
+function toApiItem(article) {
+  const item = {
+    by: article.author ?? undefined,
+    descendants: article.comments ?? undefined,
+    id: Number(article.id),
+    score: article.points ?? undefined,
+    title: article.title,
+    type: article.author === null ? "job" : "story",
+    url: article.url ?? undefined,
+  };
+  if (article.timestamp) item.time = Date.parse(`${article.timestamp.split(" ")[0]}Z`) / 1000;
+  return item;
+}
+
+// ── Scenarios ──────────────────────────────────────────────────────────────────
+
+/** Swaps two adjacent articles so the pair at `index`/`index + 1` is out of order. */
+function swapAdjacent(articles, index) {
+  const copy = articles.slice();
+  [copy[index], copy[index + 1]] = [copy[index + 1], copy[index]];
+  return copy;
+}
+
+const SCENARIOS = {
+  // 120 correctly ordered articles across four pages
+  sorted: () => ({ articles: generateArticles(120) }),
+
+  // Two swapped pairs: one mid-page (positions 10/11), one across the
+  // page 1 -> page 2 boundary (positions 30/31)
+  "out-of-order": () => ({ articles: swapAdjacent(swapAdjacent(generateArticles(120), 9), 29) }),
+
+  // Rows 5 and 41 render a span.age with no title attribute
+  "missing-timestamps": () => ({
+    articles: generateArticles(120).map((a, i) => (i === 4 || i === 40 ? { ...a, timestamp: null } : a)),
+  }),
+
+  // Three stories are posted after page 1 is served, pushing the bottom
+  // three rows of page 1 onto the top of page 2
+  "drift-new-posts": () => ({ articles: generateArticles(120), drift: { afterRequests: 1, insert: 3 } }),
+
+  // Two page-1 stories are removed after page 1 is served, pulling the top
+  // two rows of page 2 up onto page 1 where they would be skipped
+  "drift-removed-posts": () => ({ articles: generateArticles(120), drift: { afterRequests: 1, remove: 2 } }),
+
+  // Timestamps in the newer "<ISO> <unix epoch>" title form, with positions
+  // 20/21 sharing a second
+  "epoch-timestamps": () => ({
+    articles: generateArticles(120).map((a, i) => {
+      const timestamp = i === 20 ? generateArticles(20)[19].timestamp : a.timestamp;
+      return { ...a, timestamp: `${timestamp} ${Date.parse(`${timestamp}Z`) / 1000}` };
+    }),
+  }),
+
+  // A listing with no rows and no "More" link
+  empty: () => ({ articles: [] }),
+
+  // Runs out of pages before reaching 100 articles
+  short: () => ({ articles: generateArticles(45) }),
+
+  // Every page after the first takes 1.5s to respond
+  slow: () => ({ articles: generateArticles(120), delayMs: 1500 }),
+
+  // Every request for a later page has its connection dropped
+  dropped: () => ({ articles: generateArticles(120), dropCount: Infinity }),
+
+  // The first two later-page requests get HN's "too quickly" 503 page
+  "rate-limited": () => ({ articles: generateArticles(120), rateLimitCount: 2 }),
+
+  // The page and the API disagree: row 12 renders a timestamp an hour too
+  // old (so it also looks out of order), the API has an edited title for
+  // row 5, and row 40 is unknown to the API
+  "api-mismatch": () => {
+    const articles = generateArticles(120);
+    const [fifth, twelfth, fortieth] = [articles[4], articles[11], articles[39]];
+    const hourOlder = new Date(Date.parse(`${twelfth.timestamp}Z`) - 60 * 60 * 1000).toISOString().slice(0, 19);
+    return {
+      articles: articles.map((a) => (a === twelfth ? { ...a, timestamp: hourOlder } : a)),
+      apiItems: {
+        [fifth.id]: { title: `${fifth.title} (edited)` },
+        [twelfth.id]: { time: toApiItem(twelfth).time },
+        [fortieth.id]: null,
+      },
+    };
+  },
+
+  // Row 3's title link goes nowhere, and every page logs a console error,
+  // loads a missing image without alt text and has an empty link
+  unhealthy: () => ({
+    articles: generateArticles(120).map((a, i) => (i === 2 ? { ...a, url: "#" } : a)),
+    inject: `<script>console.error("Widget failed to load")</script><img src="missing.png"><a href="vote"></a>`,
+  }),
+
+  // Pages 1 and 2 load, then every request from rank 61 on is dropped
+  "fails-mid-run": () => ({ articles: generateArticles(120), dropFromRank: 61 }),
+
+  // Static pages checked in under recorded/newest, in HN's markup and
+  // trimmed to five rows each (includes self posts with no domain)
+  recorded: () => ({ recordedDir: path.join(RECORDED_DIR, "newest") }),
+
+  // /newest plus a ranked /news (scores, not timestamps, decide the order)
+  // and a /front for the day before BASE_TIME
+  "multi-view": () => ({
+    articles: generateArticles(120),
+    listings: {
+      news: swapAdjacent(generateArticles(60, { firstId: 38000000, stepSeconds: 900, titlePrefix: "Front story" }), 4),
+      front: generateArticles(60, {
+        firstId: 37000000,
+        stepSeconds: 600,
+        startTime: BASE_TIME - 17 * 60 * 60 * 1000,
+        titlePrefix: "Yesterday story",
+      }),
+    },
+  }),
+};
+
+// ── Server ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Starts the stand-in server on a random local port. Accepts either a
+ * scenario name or an options object:
+ *   - articles:    generated articles to paginate
+ *   - recordedDir: directory of captured pages named by start rank (1.html, 31.html...)
+ *   - perPage:     rows per generated page (default 30, like HN)
+ *   - delayMs:     delay before answering any page after the first
+ *   - dropCount:   number of later-page requests whose socket is destroyed
+ *   - dropFromRank: every request for a page starting at or after this rank is dropped
+ *   - rateLimitCount: number of later-page requests answered with HN's rate-limit page
+ *   - drift:       { afterRequests, insert, remove, listing } — once that many pages
+ *                  have been served, post `insert` new stories at the top of
+ *                  `listing` (default "newest") and delete its first `remove`
+ *                  stories, like a listing moving mid-scrape
+ *   - listings:    { news: articles, front: articles, ... } — other listings,
+ *                  paginated with HN's ?p= links instead of /newest's next=
+ *   - apiItems:    { [id]: fields | null } — API items that differ from the
+ *                  page: fields override the item, null makes it unknown
+ *   - inject:      extra markup added to the end of every listing page's body
+ * Resolves to { url, apiUrl, requests, close() } where `url` points at
+ * /newest, `apiUrl` is the API base URL and `requests` lists every listing
+ * path + query served so far (API requests are not listed).
+ */
+async function startFixtureServer(scenarioOrOptions = "sorted") {
+  const options =
+    typeof scenarioOrOptions === "string" ? SCENARIOS[scenarioOrOptions]() : scenarioOrOptions;
+  const { recordedDir = null, perPage = 30, delayMs = 0, drift = null } = options;
+  let articles = options.articles ?? [];
+  const listings = options.listings ?? {};
+  let dropsLeft = options.dropCount ?? 0;
+  let rateLimitsLeft = options.rateLimitCount ?? 0;
+  const requests = [];
+
+  const applyDrift = () => {
+    const listed = drift.listing && drift.listing !== "newest" ? listings[drift.listing] : articles;
+    const posted = generateArticles(drift.insert ?? 0, {
+      firstId: Number(listed[0]?.id ?? 39000000) + 1000,
+      startTime: BASE_TIME + 10 * 60 * 1000,
+      titlePrefix: "Late story",
+    });
+    const moved = [...posted, ...listed.slice(drift.remove ?? 0)];
+    if (listed === articles) articles = moved;
+    else listings[drift.listing] = moved;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const reqUrl = new URL(req.url, "http://localhost");
+    const listing = reqUrl.pathname.slice(1);
+
+    // Firebase answers unknown items with a JSON null
+    const apiMatch = reqUrl.pathname.match(/^\/v0\/item\/(\d+)\.json$/);
+    if (apiMatch) {
+      const id = apiMatch[1];
+      const article = [articles, ...Object.values(listings)].flat().find((a) => a.id === id);
+      const override = options.apiItems?.[id];
+      const item = !article || override === null ? null : { ...toApiItem(article), ...override };
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(item));
+      return;
+    }
+
+    if (listing !== "newest" && !listings[listing]) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Unknown.");
+      return;
+    }
+    if (drift && requests.length === drift.afterRequests) applyDrift();
+    requests.push(reqUrl.pathname + reqUrl.search);
+
+    const pageNum = parseInt(reqUrl.searchParams.get("p") ?? "1", 10);
+    let startRank = (pageNum - 1) * perPage + 1;
+    if (listing === "newest") {
+      // Like HN, /newest pages by its next= cursor; n= without it is the first page again
+      startRank = reqUrl.searchParams.has("next") ? parseInt(reqUrl.searchParams.get("n") ?? "1", 10) : 1;
+    }
+    const isFirstPage = startRank === 1;
+
+    if (!isFirstPage && dropsLeft > 0) {
+      dropsLeft--;
+      req.socket.destroy();
+      return;
+    }
+    if (startRank >= (options.dropFromRank ?? Infinity)) {
+      req.socket.destroy();
+      return;
+    }
+
+    // What HN serves to clients that request pages too fast
+    if (!isFirstPage && rateLimitsLeft > 0) {
+      rateLimitsLeft--;
+      res.writeHead(503, { "Content-Type": "text/html; charset=utf-8" });
+      res.end("<html><body>Sorry, we're not able to serve your requests this quickly.</body></html>");
+      return;
+    }
+
+    if (!isFirstPage && delayMs > 0) {
+      await new Promise((r) => setTimeout(r, delayMs));
+    }
+
+    let html;
+    if (recordedDir) {
+      const file = path.join(recordedDir, `${startRank}.html`);
+      if (!fs.existsSync(file)) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("No such page.");
+        return;
+      }
+      html = fs.readFileSync(file, "utf8");
+    } else if (listing === "newest") {
+      const pageArticles = articles.slice(startRank - 1, startRank - 1 + perPage);
+      const nextRank = startRank + perPage;
+      const moreHref =
+        nextRank <= articles.length
+          ? `newest?next=${articles[nextRank - 1].id}&n=${nextRank}`
+          : null;
+      html = renderNewestPage(pageArticles, { startRank, moreHref });
+    } else {
+      const listed = listings[listing];
+      const pageArticles = listed.slice(startRank - 1, startRank - 1 + perPage);
+      const more = new URLSearchParams(reqUrl.search);
+      more.set("p", pageNum + 1);
+      const moreHref = startRank - 1 + perPage < listed.length ? `${listing}?${more}` : null;
+      html = renderNewestPage(pageArticles, { startRank, moreHref });
+    }
+
+    if (options.inject) html = html.replace("</body>", `${options.inject}</body>`);
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(html);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/newest`,
+    apiUrl: `http://127.0.0.1:${port}/v0`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(resolve);
+      }),
+  };
+}
+
+module.exports = {
+  BASE_TIME,
+  SCENARIOS,
+  generateArticles,
+  renderNewestPage,
+  startFixtureServer,
+  toApiItem,
+  swapAdjacent,
+};
+
+// Allow running standalone for manual testing:
+//   node tests/fixtures/hn-server.js out-of-order
+//   node index.js --url <printed url>
+if (require.main === module) {
+  const scenario = process.argv[2] ?? "sorted";
+  if (!SCENARIOS[scenario]) {
+    console.error(`Unknown scenario "${scenario}". Available: ${Object.keys(SCENARIOS).join(", ")}`);
+    process.exitCode = 2;
+  } else {
+    startFixtureServer(scenario).then((server) => {
+      console.log(`Serving "${scenario}" at ${server.url}, API at ${server.apiUrl} (Ctrl+C to stop)`);
+    });
+  }
+}
@@ -0,0 +1,61 @@
+const http = require("http");
+
+// ── Local webhook receiver ─────────────────────────────────────────────────────
+// Accepts POSTs on any path and keeps their parsed JSON bodies, so watch-mode
+// alerts can be checked without a real chat or paging service.
+
+/**
+ * Starts the receiver on a free port. Every request is answered with
+ * `status` (default 204) so a failing endpoint can be simulated too.
+ */
+async function startWebhookReceiver({ status = 204 } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      let json = null;
+      try {
+        json = JSON.parse(body);
+      } catch {
+        // Kept as raw text below
+      }
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body, json });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/alerts`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(resolve);
+      }),
+  };
+}
+
+module.exports = { startWebhookReceiver };
+
+// Allow running standalone to watch alerts arrive:
+//   node tests/fixtures/webhook-receiver.js
+//   node index.js --watch --alert-webhook-url <printed url>
+if (require.main === module) {
+  startWebhookReceiver().then((receiver) => {
+    console.log(`Receiving webhooks at ${receiver.url} (Ctrl+C to stop)`);
+    let seen = 0;
+    setInterval(() => {
+      for (const req of receiver.requests.slice(seen)) {
+        console.log(`${req.method} ${req.path} ${req.json ? `${req.json.event} (run ${req.json.run})` : req.body}`);
+      }
+      seen = receiver.requests.length;
+    }, 500);
+  });
+}
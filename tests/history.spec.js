@@ -0,0 +1,142 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, generateHistoryHtml, readHistory, recordRun, resolveView, rulesPassed, runRules } = require("../lib");
+const { BASE_TIME, generateArticles, swapAdjacent } = require("./fixtures/hn-server");
+
+let historyDir;
+
+test.beforeEach(() => {
+  historyDir = fs.mkdtempSync(path.join(os.tmpdir(), "hn-history-"));
+});
+
+test.afterEach(() => {
+  fs.rmSync(historyDir, { recursive: true, force: true });
+});
+
+/**
+ * A finished /newest run starting `minutes` after the fixture base time.
+ * `count` below 30 leaves the view incomplete.
+ */
+function completedRun(minutes, { swaps = [], count = 30 } = {}) {
+  const config = { ...DEFAULT_CONFIG, historyDir, targetArticles: 30 };
+  let articles = generateArticles(count);
+  for (const i of swaps) articles = swapAdjacent(articles, i);
+  const complete = count >= config.targetArticles;
+  const ruleResults = complete ? runRules(articles, ["sort-order"]) : [];
+  const view = {
+    view: resolveView("newest", config),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    ruleResults,
+    complete,
+    passed: complete && rulesPassed(ruleResults),
+    durationMs: 2400,
+  };
+  return {
+    config,
+    startedAt: BASE_TIME + minutes * 60 * 1000,
+    finishedAt: BASE_TIME + minutes * 60 * 1000 + 2500,
+    durationMs: 2500,
+    views: [view],
+    passed: view.passed,
+  };
+}
+
+test.describe("recordRun", () => {
+  test("appends one line per run and keeps a copy of each report", () => {
+    recordRun(completedRun(0), "<html>first</html>");
+    recordRun(completedRun(5, { swaps: [3, 9] }), "<html>second</html>");
+
+    const entries = readHistory(historyDir);
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+      id: "2026-02-11T16-17-00-000Z",
+      status: "pass",
+      errors: 0,
+      articles: 30,
+      views: ["newest"],
+    });
+    expect(entries[1]).toMatchObject({ status: "fail", errors: 2, durationMs: 2500 });
+    expect(fs.readFileSync(path.join(historyDir, entries[1].reportFile), "utf8")).toBe("<html>second</html>");
+    expect(fs.existsSync(path.join(historyDir, "index.html"))).toBe(true);
+  });
+
+  test("keeps each run's results and compares it with the one before", () => {
+    const first = recordRun(completedRun(0), "<html></html>");
+    const second = recordRun(completedRun(5, { swaps: [3] }), "<html></html>");
+
+    expect(first).toMatchObject({ resultFile: "results/2026-02-11T16-17-00-000Z.json", compareFile: null });
+    expect(second.compareFile).toBe("compare/2026-02-11T16-22-00-000Z.html");
+    const html = fs.readFileSync(path.join(historyDir, second.compareFile), "utf8");
+    expect(html).toContain("Fixture story 5");
+    expect(JSON.parse(fs.readFileSync(path.join(historyDir, second.resultFile), "utf8"))).toMatchObject({ passed: false });
+  });
+
+  test("records runs that stopped short as incomplete", () => {
+    const entry = recordRun(completedRun(0, { count: 12 }), "<html></html>");
+
+    expect(entry).toMatchObject({ status: "incomplete", articles: 12, targetArticles: 30 });
+  });
+
+  test("skips lines that fail to parse", () => {
+    recordRun(completedRun(0), "<html></html>");
+    fs.appendFileSync(path.join(historyDir, "runs.jsonl"), '{"id": "cut short\n');
+    recordRun(completedRun(1), "<html></html>");
+
+    expect(readHistory(historyDir)).toHaveLength(2);
+  });
+
+  test("reads an empty history from a missing directory", () => {
+    expect(readHistory(path.join(historyDir, "nope"))).toEqual([]);
+  });
+});
+
+test.describe("generateHistoryHtml", () => {
+  test("lists runs newest first with links to their reports", async ({ page }) => {
+    recordRun(completedRun(0), "<html></html>");
+    recordRun(completedRun(5, { swaps: [3] }), "<html></html>");
+
+    await page.setContent(generateHistoryHtml(readHistory(historyDir)));
+
+    await expect(page.locator("#runs tbody tr")).toHaveCount(2);
+    await expect(page.locator("#runs tbody tr .pill")).toHaveText(["FAIL", "PASS"]);
+    await expect(page.locator("#runs tbody tr").first().locator("a", { hasText: "Open report" })).toHaveAttribute(
+      "href",
+      "reports/2026-02-11T16-22-00-000Z.html"
+    );
+    await expect(page.locator("#runs tbody tr a", { hasText: "vs previous" })).toHaveAttribute(
+      "href",
+      "compare/2026-02-11T16-22-00-000Z.html"
+    );
+    await expect(page.locator(".card", { hasText: "Pass Rate" }).locator(".value")).toHaveText("50%");
+    await expect(page.locator(".trend rect")).toHaveCount(2);
+  });
+
+  test("shows start times in the configured zone with UTC alongside", () => {
+    recordRun(completedRun(0), "<html></html>");
+    const config = { ...DEFAULT_CONFIG, timeZone: "Asia/Kolkata", locale: "en-GB" };
+
+    const html = generateHistoryHtml(readHistory(historyDir), config);
+
+    expect(html).toContain("<td>11 Feb 2026, 21:47:00 GMT+5:30 (2026-02-11 16:17:00 UTC)</td>");
+  });
+
+  test("renders an empty history", () => {
+    const html = generateHistoryHtml([]);
+
+    expect(html).toContain("No runs recorded yet.");
+    expect(html).toContain("never");
+  });
+});
+
+test.describe("--history-dir", () => {
+  test("defaults to ./history and can be disabled", () => {
+    expect(parseCliArgs([], {}).config.historyDir).toBe(path.resolve(__dirname, "..", "history"));
+    expect(parseCliArgs(["--history-dir="], {}).config.historyDir).toBe("");
+    expect(parseCliArgs([], { HN_HISTORY_DIR: "runs" }).config.historyDir).toBe(path.resolve("runs"));
+  });
+});
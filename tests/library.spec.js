@@ -0,0 +1,105 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const { ConfigError, RESULT_SCHEMA_VERSION, startValidation, validate } = require("../lib");
+const { startFixtureServer } = require("./fixtures/hn-server");
+
+let server;
+
+test.afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+/** Options for a quick run that writes its report and history into the test's output folder. */
+function runOptions(overrides = {}) {
+  return {
+    reportPath: test.info().outputPath("report.html"),
+    historyDir: test.info().outputPath("history"),
+    artifactsDir: "",
+    maxRetries: 1,
+    navigationTimeoutMs: 3000,
+    ...overrides,
+  };
+}
+
+test.describe("validate", () => {
+  test("runs a validation and reports its progress", async ({ browser }) => {
+    server = await startFixtureServer("sorted");
+    const events = [];
+
+    const result = await validate(
+      runOptions({ url: server.url, targetArticles: 60, openBrowser: () => browser, onProgress: (e) => events.push(e) })
+    );
+
+    expect(result).toMatchObject({ success: true, passed: true, cancelled: false });
+    expect(result.document).toMatchObject({
+      schemaVersion: RESULT_SCHEMA_VERSION,
+      passed: true,
+      views: [{ id: "newest", status: "pass", articles: expect.any(Array) }],
+    });
+    expect(events.map((e) => e.type)).toEqual(["run-start", "view-start", "page", "page", "view-done", "run-done"]);
+    expect(events.at(-1)).toMatchObject({ passed: true, reportPath: runOptions().reportPath });
+    expect(fs.existsSync(runOptions().reportPath)).toBe(true);
+  });
+
+  test("reports a run cancelled before it started as partial", async () => {
+    const result = await validate(runOptions({ signal: AbortSignal.abort() }));
+
+    expect(result).toMatchObject({ success: false, passed: false, cancelled: true, views: [] });
+    expect(result.document).toMatchObject({ cancelled: true, views: [] });
+  });
+
+  test("logs to its listeners instead of the console", async () => {
+    const lines = [];
+    const printed = [];
+    const original = console.log;
+    console.log = (...args) => printed.push(args.join(" "));
+    try {
+      await validate(runOptions({ signal: AbortSignal.abort(), onLog: (line) => lines.push(line) }));
+    } finally {
+      console.log = original;
+    }
+
+    expect(lines.some((line) => line.includes("Run cancelled"))).toBe(true);
+    expect(lines.some((line) => line.includes("HTML report saved to"))).toBe(true);
+    expect(printed).toEqual([]);
+  });
+
+  test("rejects options the settings form would reject", async () => {
+    const attempt = validate({ targetArticles: 0, pageSize: 30 });
+
+    await expect(attempt).rejects.toThrow(ConfigError);
+    await expect(attempt).rejects.toThrow(
+      'targetArticles must be between 1 and 500 (got 0). Unknown setting "pageSize".'
+    );
+  });
+});
+
+test.describe("startValidation", () => {
+  test("emits each progress event under its type and as progress", async ({ browser }) => {
+    server = await startFixtureServer("sorted");
+    const events = [];
+    const pages = [];
+
+    const run = startValidation(runOptions({ url: server.url, targetArticles: 60, openBrowser: () => browser }));
+    run.on("progress", (e) => events.push(e.type));
+    run.on("page", (e) => pages.push(e.page));
+    const result = await run.done;
+
+    expect(result).toMatchObject({ success: true, passed: true });
+    expect(events).toEqual(["run-start", "view-start", "page", "page", "view-done", "run-done"]);
+    expect(pages).toEqual([1, 2]);
+  });
+
+  test("can be cancelled through the run it returns", async () => {
+    const run = startValidation(runOptions());
+    const events = [];
+    run.on("progress", (e) => events.push(e.type));
+    run.cancel();
+
+    const result = await run.done;
+
+    expect(result).toMatchObject({ success: false, cancelled: true, views: [] });
+    expect(events).toEqual(["run-start", "run-done"]);
+  });
+});
@@ -0,0 +1,119 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const path = require("path");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, readProfiles, startDashboard, writeProfiles } = require("../lib");
+
+const PROFILES = {
+  "quick 30": { targetArticles: 30 },
+  "deep 500": { targetArticles: 500, fetchMode: "parallel", concurrency: 6 },
+  "ask view": { views: ["ask"], rules: ["rank-order", "unique-ids"] },
+};
+
+let dashboard;
+
+test.afterEach(async () => {
+  await dashboard?.close();
+  dashboard = undefined;
+});
+
+/** Writes PROFILES to a fresh file in the test's output folder. */
+function profilesFile() {
+  const file = test.info().outputPath("profiles.json");
+  writeProfiles(file, PROFILES);
+  return file;
+}
+
+test.describe("profiles file", () => {
+  test("round-trips profiles through disk", () => {
+    const file = profilesFile();
+
+    expect(readProfiles(file)).toEqual({ version: 1, profiles: PROFILES });
+  });
+
+  test("has no profiles before the first save", () => {
+    expect(readProfiles(test.info().outputPath("missing.json")).profiles).toEqual({});
+  });
+
+  test("rejects settings that would fail as flags", () => {
+    const file = test.info().outputPath("profiles.json");
+
+    expect(() => writeProfiles(file, { big: { targetArticles: 9999 } })).toThrow(
+      /Profile "big" targetArticles must be between 1 and 500/
+    );
+    expect(() => writeProfiles(file, { typo: { targetArticle: 30 } })).toThrow(/unknown setting "targetArticle"/);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test("refuses a file that is not JSON", () => {
+    const file = test.info().outputPath("profiles.json");
+    fs.writeFileSync(file, "{ not json");
+
+    expect(() => readProfiles(file)).toThrow(/is not valid JSON/);
+  });
+});
+
+test.describe("--profile", () => {
+  test("starts from the named profile", () => {
+    const file = profilesFile();
+
+    const options = parseCliArgs(["--profile", "deep 500", "--profiles-file", file], {});
+
+    expect(options.config).toEqual({ ...parseCliArgs([], {}).config, ...PROFILES["deep 500"] });
+    expect(options).toMatchObject({ profile: "deep 500", profilesPath: file });
+  });
+
+  test("lets the environment and flags override single fields", () => {
+    const file = profilesFile();
+    const env = { HN_PROFILE: "deep 500", HN_PROFILES_FILE: file, HN_CONCURRENCY: "2" };
+
+    const { config } = parseCliArgs(["--target-articles=50"], env);
+
+    expect(config).toMatchObject({ targetArticles: 50, fetchMode: "parallel", concurrency: 2 });
+  });
+
+  test("names the saved profiles when asked for an unknown one", () => {
+    const file = profilesFile();
+
+    expect(() => parseCliArgs([`--profiles-file=${file}`, "--profile=deep"], {})).toThrow(
+      /Unknown profile "deep". Saved profiles: quick 30, deep 500, ask view/
+    );
+  });
+
+  test("defaults to profiles.json next to the script", () => {
+    expect(parseCliArgs([], {}).profilesPath).toBe(path.join(__dirname, "..", "profiles.json"));
+  });
+});
+
+test.describe("settings UI profiles", () => {
+  test("loads a profile into the form and saves edits back", async ({ page }) => {
+    const file = profilesFile();
+    dashboard = await startDashboard(DEFAULT_CONFIG, null, { port: 0, profilesPath: file });
+    await page.goto(dashboard.url);
+
+    await page.selectOption("#profile", "ask view");
+    await expect(page.locator('input[name="views"]:checked')).toHaveCount(1);
+    await expect(page.locator('input[name="views"][value="ask"]')).toBeChecked();
+    await expect(page.locator("#profile-name")).toHaveValue("ask view");
+
+    await page.fill("#targetArticles", "60");
+    await page.click("#save-profile-btn");
+
+    await expect(page.locator("#status")).toHaveText('Saved profile "ask view".');
+    expect(readProfiles(file).profiles["ask view"]).toMatchObject({ targetArticles: 60, views: ["ask"] });
+  });
+
+  test("shows why a profile could not be saved", async ({ page }) => {
+    const file = test.info().outputPath("profiles.json");
+    dashboard = await startDashboard(DEFAULT_CONFIG, null, { port: 0, profilesPath: file });
+    await page.goto(dashboard.url);
+
+    await page.fill("#profile-name", "huge");
+    await page.fill("#targetArticles", "9999");
+    await page.click("#save-profile-btn");
+
+    await expect(page.locator("#status")).toHaveText('Profile "huge" targetArticles must be between 1 and 500 (got 9999).');
+    await expect(page.locator("#profile option")).toHaveCount(1);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
@@ -0,0 +1,226 @@
+const { test, expect } = require("@playwright/test");
+const {
+  DEFAULT_CONFIG,
+  buildResultDocument,
+  collectArticles,
+  generateHtmlReport,
+  generateJunitXml,
+  generateProgressHtml,
+  navigateWithRetry,
+  resolveView,
+  runRules,
+  startDashboard,
+} = require("../lib");
+const { BASE_TIME, generateArticles, startFixtureServer } = require("./fixtures/hn-server");
+
+let server;
+let dashboard;
+
+test.afterEach(async () => {
+  await server?.close();
+  server = undefined;
+  await dashboard?.close();
+  dashboard = undefined;
+});
+
+function testConfig(overrides = {}) {
+  return { ...DEFAULT_CONFIG, url: server.url, maxRetries: 2, retryDelayMs: 100, navigationTimeoutMs: 3000, ...overrides };
+}
+
+async function openListing(page, config) {
+  page.setDefaultTimeout(config.navigationTimeoutMs);
+  await page.goto(config.url, { waitUntil: "domcontentloaded" });
+}
+
+/** A /newest view cancelled after 60 of 100 articles. */
+function cancelledRun() {
+  const articles = generateArticles(60);
+  const view = {
+    view: resolveView("newest", DEFAULT_CONFIG),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    ruleResults: runRules(articles, ["sort-order"], { now: BASE_TIME }),
+    complete: false,
+    cancelled: true,
+    passed: false,
+    durationMs: 800,
+  };
+  const config = { ...DEFAULT_CONFIG, views: ["newest", "news"] };
+  return { config, startedAt: BASE_TIME, finishedAt: BASE_TIME + 900, durationMs: 900, views: [view], passed: false, cancelled: true };
+}
+
+/** A /newest view whose third page was still rate-limited after every retry. */
+function failedRun() {
+  const articles = generateArticles(60);
+  const view = {
+    view: resolveView("newest", DEFAULT_CONFIG),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    ruleResults: runRules(articles, ["sort-order"], { now: BASE_TIME }),
+    complete: false,
+    passed: false,
+    error: "Navigation failed after 3 attempts: HTTP 503",
+    errorKind: "rate-limit",
+    failedPage: 3,
+    durationMs: 800,
+  };
+  return { config: DEFAULT_CONFIG, startedAt: BASE_TIME, finishedAt: BASE_TIME + 900, durationMs: 900, views: [view], passed: false };
+}
+
+test.describe("collectArticles progress", () => {
+  test("reports every page with the running article count", async ({ page }) => {
+    server = await startFixtureServer("sorted");
+    const config = testConfig({ targetArticles: 100 });
+    await openListing(page, config);
+    const events = [];
+
+    await collectArticles(page, config, { onProgress: (e) => events.push(e) });
+
+    expect(events.map((e) => [e.type, e.page, e.collected, e.target])).toEqual([
+      ["page", 1, 30, 100],
+      ["page", 2, 60, 100],
+      ["page", 3, 90, 100],
+      ["page", 4, 100, 100],
+    ]);
+    expect(events[1].articles).toHaveLength(60);
+  });
+
+  for (const fetchMode of ["serial", "parallel"]) {
+    test(`stops cleanly when cancelled in ${fetchMode} mode`, async ({ page }) => {
+      // A ?p= listing, which parallel mode pages without falling back to serial
+      server = await startFixtureServer({ articles: [], listings: { news: generateArticles(120) } });
+      const config = testConfig({ url: server.url.replace("/newest", "/news"), targetArticles: 100, fetchMode, concurrency: 1 });
+      await openListing(page, config);
+      const controller = new AbortController();
+
+      const result = await collectArticles(page, config, {
+        signal: controller.signal,
+        onProgress: (e) => e.page === 2 && controller.abort(),
+      });
+
+      expect(result.cancelled).toBe(true);
+      expect(result.articles.map((a) => a.title)).toEqual(generateArticles(60).map((a) => a.title));
+      expect(server.requests).toHaveLength(2);
+    });
+  }
+
+  test("announces retries and stops waiting once cancelled", async ({ page }) => {
+    server = await startFixtureServer("dropped");
+    const config = testConfig({ maxRetries: 3, navigationTimeoutMs: 1000, retryDelayMs: 30000, retryJitterPercent: 0 });
+    await openListing(page, config);
+    const controller = new AbortController();
+    const events = [];
+
+    const started = Date.now();
+    const attempt = navigateWithRetry(page, page.locator("a.morelink"), config, {
+      signal: controller.signal,
+      onProgress: (e) => {
+        events.push(e);
+        controller.abort();
+      },
+    });
+
+    await expect(attempt).rejects.toThrow(/aborted/);
+    expect(Date.now() - started).toBeLessThan(10000);
+    expect(events).toEqual([expect.objectContaining({ type: "retry", attempt: 1, maxRetries: 3, delayMs: 30000 })]);
+  });
+});
+
+test.describe("progress page", () => {
+  test("shows collected articles, the current page and violations per view", async ({ page }) => {
+    await page.setContent(generateProgressHtml({ ...DEFAULT_CONFIG, views: ["newest", "news"] }));
+
+    await page.evaluate(() => {
+      window.__progress({ type: "view-start", view: "newest", url: "https://news.ycombinator.com/newest" });
+      window.__progress({ type: "page", view: "newest", page: 2, collected: 60, target: 100, errors: 1 });
+    });
+
+    await expect(page.locator("#progress-newest .view-detail")).toHaveText("60/100 articles · page 2 · 1 violation(s)");
+    await expect(page.locator("#progress-newest .fill")).toHaveAttribute("style", "width: 60%;");
+    await expect(page.locator("#progress-news .view-state")).toHaveText("Waiting");
+  });
+
+  test("counts down to the next retry", async ({ page }) => {
+    await page.setContent(generateProgressHtml(DEFAULT_CONFIG));
+
+    await page.evaluate(() =>
+      window.__progress({ type: "retry", view: "newest", url: "https://x/newest", attempt: 1, maxRetries: 3, delayMs: 5000, error: "HTTP 503" })
+    );
+
+    await expect(page.locator("#retry")).toContainText("Attempt 1/3 failed for https://x/newest (HTTP 503) — retrying in 5s");
+    await expect(page.locator("#retry")).toContainText("retrying in 4s");
+  });
+
+  test("has nothing to cancel when opened on its own", async ({ page }) => {
+    await page.setContent(generateProgressHtml(DEFAULT_CONFIG));
+
+    await expect(page.locator("#cancel-btn")).toBeHidden();
+  });
+
+  test("follows a dashboard run, cancels it and turns into its report", async ({ page }) => {
+    let signal;
+    let finish;
+    const runOnce = (config, hooks) => {
+      signal = hooks.signal;
+      hooks.onProgress({ type: "page", view: "newest", page: 1, collected: 30, target: 100, errors: 0 });
+      return new Promise((resolve) => (finish = resolve));
+    };
+    dashboard = await startDashboard(DEFAULT_CONFIG, runOnce, { port: 0, profilesPath: test.info().outputPath("profiles.json") });
+    await fetch(new URL("/api/runs", dashboard.url), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(DEFAULT_CONFIG),
+    });
+
+    await page.goto(new URL("/runs/1", dashboard.url).href);
+    await expect(page.locator("#progress-newest .view-detail")).toHaveText("30/100 articles · page 1 · 0 violation(s)");
+    await page.click("#cancel-btn");
+
+    await expect(page.locator("#cancel-btn")).toBeDisabled();
+    await expect(page.locator("#status")).toContainText("Cancelling");
+    await expect.poll(() => signal.aborted).toBe(true);
+
+    finish({ success: false, passed: false, cancelled: true, html: "<h1>Cancelled report</h1>", document: {} });
+    await expect(page.locator("h1")).toHaveText("Cancelled report");
+  });
+});
+
+test.describe("cancelled runs", () => {
+  test("are reported as partial results", async ({ page }) => {
+    const run = cancelledRun();
+
+    await page.setContent(generateHtmlReport(run.views, run.durationMs, run.config, { cancelled: true }));
+
+    await expect(page.locator(".card .value").first()).toHaveText("FAIL");
+    await expect(page.locator(".cancelled-note")).toContainText("1 of 2 view(s) were started");
+    await expect(page.locator("#view-newest .incomplete-note")).toContainText("Cancelled after 60 article(s)");
+    await expect(page.locator("#view-newest .rule-section")).toHaveCount(1);
+  });
+
+  test("are flagged in the exports", () => {
+    const run = cancelledRun();
+
+    expect(buildResultDocument(run)).toMatchObject({ cancelled: true, views: [{ status: "incomplete", cancelled: true }] });
+    expect(generateJunitXml(run)).toContain('<failure message="Cancelled after 60/100 articles" type="cancelled"/>');
+  });
+});
+
+test.describe("runs stopped by a failed page", () => {
+  test("report the rules on what was collected", async ({ page }) => {
+    const run = failedRun();
+
+    await page.setContent(generateHtmlReport(run.views, run.durationMs, run.config));
+
+    await expect(page.locator("#view-newest .incomplete-note")).toContainText(
+      "Collection stopped at page 3 (rate limited by HN): Navigation failed after 3 attempts: HTTP 503. The rules below ran on the 60 article(s) collected before it."
+    );
+    await expect(page.locator("#view-newest .rule-section")).toHaveCount(1);
+  });
+
+  test("record the failure kind and page in the exports", () => {
+    const run = failedRun();
+
+    expect(buildResultDocument(run)).toMatchObject({ views: [{ status: "incomplete", errorKind: "rate-limit", failedPage: 3 }] });
+    expect(generateJunitXml(run)).toContain('type="rate-limit"/>');
+  });
+});
@@ -0,0 +1,296 @@
+const { test, expect } = require("@playwright/test");
+const { DEFAULT_CONFIG, generateHtmlReport, printReport, resolveView, rulesPassed, runRules } = require("../lib");
+const { generateArticles, swapAdjacent } = require("./fixtures/hn-server");
+
+/** Runs `fn` with console.log captured, returning everything it printed. */
+function captureConsole(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    fn();
+  } finally {
+    console.log = original;
+  }
+  return lines.join("\n");
+}
+
+/** One view's results as runValidation() hands them to the report. */
+function viewResult(articles, ruleResults, { view = "newest", drift } = {}) {
+  return {
+    view: resolveView(view, { ...DEFAULT_CONFIG, frontDay: "2026-02-10" }),
+    articles,
+    ruleResults,
+    drift: drift ?? { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    complete: true,
+    passed: rulesPassed(ruleResults),
+    durationMs: 100,
+  };
+}
+
+/** Articles with positions 10/11 and 30/31 swapped, checked for sort order only. */
+function outOfOrderRun() {
+  const articles = swapAdjacent(swapAdjacent(generateArticles(100), 9), 29);
+  return { articles, ruleResults: runRules(articles, ["sort-order"]) };
+}
+
+test.describe("printReport", () => {
+  test("prints a PASS verdict with the timestamp range", () => {
+    const articles = generateArticles(100);
+
+    const output = captureConsole(() => printReport(articles, runRules(articles, ["sort-order"]), 4200));
+
+    expect(output).toContain("PASS: All 100 articles passed 1 validation rule(s).");
+    expect(output).toContain("4.2s");
+    expect(output).toContain("Feb 11, 2026, 4:17:00 PM UTC");
+    expect(output).toContain("Feb 11, 2026, 2:38:00 PM UTC");
+  });
+
+  test("prints times in the configured zone with UTC alongside", () => {
+    const articles = generateArticles(100);
+    const config = { ...DEFAULT_CONFIG, timeZone: "Asia/Kolkata", locale: "en-GB" };
+
+    const output = captureConsole(() => printReport(articles, [], 1000, undefined, null, config));
+
+    expect(output).toContain("11 Feb 2026, 21:47:00 GMT+5:30 (2026-02-11 16:17:00 UTC)");
+  });
+
+  test("states how many items drifted between pages", () => {
+    const drift = { duplicates: 3, gaps: 1, recovered: 2, unresolvedGaps: 0 };
+
+    const output = captureConsole(() => printReport(generateArticles(100), [], 1000, drift));
+
+    expect(output).toContain("5 item(s) drifted across page boundaries");
+    expect(output).toContain("3 duplicate(s) dropped, 2 skipped item(s) recovered");
+  });
+
+  test("lists every violation on FAIL", () => {
+    const { articles, ruleResults } = outOfOrderRun();
+
+    const output = captureConsole(() => printReport(articles, ruleResults, 1000));
+
+    expect(output).toContain("FAIL: 2 error(s) across 1 rule(s).");
+    expect(output).toContain('#10: "Fixture story 11"');
+    expect(output).toContain('#30: "Fixture story 31"');
+  });
+
+  test("prints a block per rule, warnings included", () => {
+    const articles = generateArticles(5).map((a, i) => ({ ...a, rank: i < 3 ? i + 1 : i + 3 }));
+
+    const output = captureConsole(() =>
+      printReport(articles, runRules(articles, ["sort-order", "rank-continuity"]), 1000)
+    );
+
+    expect(output).toContain("PASS: All 5 articles passed 2 validation rule(s).");
+    expect(output).toMatch(/Sort order\s+.*PASS/);
+    expect(output).toMatch(/Rank continuity\s+.*WARN.*1 warning\(s\)/);
+    expect(output).toContain("#4: Rank jumps from 3 to 6.");
+  });
+});
+
+test.describe("generateHtmlReport", () => {
+  test("renders a passing run", async ({ page }) => {
+    const articles = generateArticles(100);
+
+    await page.setContent(generateHtmlReport([viewResult(articles, runRules(articles, ["sort-order"]))], 4200, DEFAULT_CONFIG));
+
+    await expect(page.locator(".card .value").first()).toHaveText("PASS");
+    await expect(page.locator("tbody tr")).toHaveCount(100);
+    await expect(page.locator("tr.violation")).toHaveCount(0);
+  });
+
+  test("highlights violation rows with a badge", async ({ page }) => {
+    const { articles, ruleResults } = outOfOrderRun();
+
+    await page.setContent(generateHtmlReport([viewResult(articles, ruleResults)], 4200, DEFAULT_CONFIG));
+
+    await expect(page.locator(".card .value").first()).toHaveText("FAIL");
+    await expect(page.locator("tr.violation")).toHaveCount(2);
+    await expect(page.locator("tr.violation td:first-child")).toHaveText(["10", "30"]);
+    await expect(page.locator(".badge")).toHaveCount(2);
+  });
+
+  test("badges unreadable timestamps apart from ordering errors", async ({ page }) => {
+    const articles = generateArticles(5);
+    articles[1] = { ...articles[1], timestamp: "2026-02-11T16:16:00 1" };
+    const config = { ...DEFAULT_CONFIG, sortToleranceMs: 2000, sortTies: "strict" };
+
+    const ruleResults = runRules(articles, ["sort-order"], { config });
+    await page.setContent(generateHtmlReport([viewResult(articles, ruleResults)], 100, config));
+
+    await expect(page.locator("tr.violation .badge")).toHaveText("BAD TIMESTAMP");
+    await expect(page.locator("#rule-newest-sort-order .finding .type")).toHaveText("unparseable-timestamp");
+    await expect(page.locator(".config-summary")).toContainText("Sort tolerance: 2000ms, ties flagged");
+  });
+
+  test("renders each rule's findings in its own section", async ({ page }) => {
+    const articles = generateArticles(5).map((a, i) => ({ ...a, rank: i + 1 }));
+    articles[2] = { ...articles[2], title: "" };
+
+    const ruleResults = runRules(articles, ["sort-order", "non-empty-titles"]);
+    await page.setContent(generateHtmlReport([viewResult(articles, ruleResults)], 100, DEFAULT_CONFIG));
+
+    await expect(page.locator(".rule-section")).toHaveCount(2);
+    await expect(page.locator("#rule-newest-sort-order .pill")).toHaveText("PASS");
+    await expect(page.locator("#rule-newest-non-empty-titles .pill")).toHaveText("FAIL");
+    await expect(page.locator("#rule-newest-non-empty-titles .finding")).toHaveCount(1);
+    await expect(page.locator("#rule-newest-non-empty-titles .finding .type")).toHaveText("empty-title");
+    await expect(page.locator("tr.violation .badge")).toHaveText("NO TITLE");
+  });
+
+  test("escapes finding types from custom rules", () => {
+    const articles = generateArticles(5).map((a, i) => ({ ...a, rank: i + 1 }));
+    articles[2] = { ...articles[2], title: "" };
+    const ruleResults = runRules(articles, ["non-empty-titles"]);
+    ruleResults[0].findings[0].type = "<img src=x>";
+
+    const html = generateHtmlReport([viewResult(articles, ruleResults)], 100, DEFAULT_CONFIG);
+
+    expect(html).toContain('<span class="type">&lt;img src=x&gt;</span>');
+    expect(html).not.toContain("<img src=x>");
+  });
+
+  test("shows the drifted item count", async ({ page }) => {
+    const drift = { duplicates: 3, gaps: 0, recovered: 0, unresolvedGaps: 0 };
+
+    await page.setContent(generateHtmlReport([viewResult(generateArticles(100), [], { drift })], 4200, DEFAULT_CONFIG));
+
+    await expect(page.locator(".card", { hasText: "Drifted Items" }).locator(".value")).toHaveText("3");
+    await expect(page.locator(".drift-note")).toContainText("3 item(s) drifted");
+  });
+
+  test("shows the extended article columns and sorts by any of them", async ({ page }) => {
+    const articles = generateArticles(5).map((a, i) => ({ ...a, rank: i + 1 }));
+    articles[2] = { ...articles[2], author: null, points: null, comments: null };
+
+    await page.setContent(generateHtmlReport([viewResult(articles, runRules(articles, ["sort-order"]))], 100, DEFAULT_CONFIG));
+
+    await expect(page.locator("#articles-newest thead th")).toHaveText([
+      "#", "Rank", "Title", "Domain", "Author", "Points", "Comments", "Timestamp (UTC)", "Age",
+    ]);
+    await expect(page.locator("tbody tr").first().locator("td a")).toHaveAttribute("href", articles[0].url);
+
+    const pointsColumn = page.locator("tbody tr td:nth-child(6)");
+    await page.locator("th", { hasText: "Points" }).click();
+    await expect(pointsColumn).toHaveText(["1", "8", "22", "29", ""]);
+    await page.locator("th", { hasText: "Points" }).click();
+    await expect(pointsColumn).toHaveText(["29", "22", "8", "1", ""]);
+    await expect(page.locator("th", { hasText: "Points" })).toHaveAttribute("aria-sort", "descending");
+  });
+
+  test("escapes article titles and the configured URL", async ({ page }) => {
+    const articles = generateArticles(2);
+    articles[0].title = '<img src=x onerror="window.__xss = true">';
+    const config = { ...DEFAULT_CONFIG, url: "https://news.ycombinator.com/newest?<b>x</b>" };
+
+    await page.setContent(generateHtmlReport([viewResult(articles, runRules(articles, ["sort-order"]))], 100, config));
+
+    await expect(page.locator("tbody tr").first().locator("td").nth(2)).toHaveText(articles[0].title);
+    await expect(page.locator(".config-summary")).toContainText("<b>x</b>");
+    expect(await page.evaluate(() => window.__xss)).toBeUndefined();
+  });
+
+  test("gives each view its own section under a combined verdict", async ({ page }) => {
+    const newest = generateArticles(10);
+    const front = generateArticles(10, { startTime: Date.UTC(2026, 1, 10, 12) }).map((a, i) => ({ ...a, rank: i + 1 }));
+    front[3] = { ...front[3], timestamp: "2026-02-09T23:59:00" };
+    const frontView = resolveView("front", { ...DEFAULT_CONFIG, frontDay: "2026-02-10" });
+    const frontRules = runRules(front, ["sort-order", "within-day"], { now: Date.now(), view: frontView });
+    const views = [viewResult(newest, runRules(newest, ["sort-order"])), viewResult(front, frontRules, { view: "front" })];
+
+    await page.setContent(generateHtmlReport(views, 100, DEFAULT_CONFIG));
+
+    await expect(page.locator(".card .value").first()).toHaveText("FAIL");
+    await expect(page.locator("section.view .view-header .pill")).toHaveText(["PASS", "FAIL"]);
+    // sort-order does not apply to the date-bounded front view
+    await expect(page.locator("#view-front .rule-section")).toHaveCount(1);
+    await expect(page.locator("#rule-front-within-day .finding .type")).toHaveText("outside-day");
+    await expect(page.locator("#articles-front tr.violation td:first-child")).toHaveText("4");
+  });
+});
+
+test.describe("report time zone", () => {
+  test("shows times in the configured zone and locale with UTC alongside", async ({ page }) => {
+    const config = { ...DEFAULT_CONFIG, timeZone: "America/New_York", locale: "de-DE" };
+    const articles = swapAdjacent(generateArticles(30), 9);
+    const ruleResults = runRules(articles, ["sort-order"], { config });
+
+    await page.setContent(generateHtmlReport([viewResult(articles, ruleResults)], 100, config));
+
+    await expect(page.locator("#articles-newest thead th").nth(7)).toHaveText("Timestamp (America/New_York)");
+    const firstTime = page.locator("#articles-newest tbody tr").first().locator("td").nth(7);
+    await expect(firstTime).toContainText("11.02.2026, 11:17:00 GMT-5");
+    await expect(firstTime.locator(".utc")).toHaveText("2026-02-11 16:17:00 UTC");
+    await expect(page.locator("#rule-newest-sort-order .finding")).toContainText(
+      "(11.02.2026, 11:07:00 GMT-5 (2026-02-11 16:07:00 UTC)) is 1 Min. older than the next article"
+    );
+    await expect(page.locator(".config-summary .time-zone")).toHaveText("Times: America/New_York, de-DE");
+    await expect(page.locator(".footer")).toContainText(/Generated on .* GMT-[45] \(\d{4}-\d{2}-\d{2} [\d:]{8} UTC\)/);
+
+    await page.locator("tr.violation button.expand").click();
+    await expect(page.locator("tr.finding-detail .pair-delta")).toHaveText("→ 1 Min. newer");
+  });
+});
+
+test.describe("report table controls", () => {
+  /** Two views, each with out-of-order pairs at #10 and #30. */
+  async function openTwoViewReport(page) {
+    const { articles, ruleResults } = outOfOrderRun();
+    const views = [viewResult(articles, ruleResults), viewResult(articles, ruleResults, { view: "jobs" })];
+    await page.setContent(generateHtmlReport(views, 100, DEFAULT_CONFIG));
+  }
+
+  test("filters to violations and searches titles", async ({ page }) => {
+    await openTwoViewReport(page);
+    const newest = page.locator("#view-newest");
+
+    await newest.locator(".only-violations").check();
+    await expect(newest.locator("tbody tr:visible")).toHaveCount(2);
+    await expect(newest.locator(".table-count")).toHaveText("Showing 2 of 100");
+
+    await newest.locator(".only-violations").uncheck();
+    await newest.locator(".table-search").fill("story 10");
+    // Stories 10 and 100
+    await expect(newest.locator(".table-count")).toHaveText("Showing 2 of 100");
+    await expect(page.locator("#view-jobs .table-count")).toHaveText("100 article(s)");
+  });
+
+  test("steps through the violations of every view with j and k", async ({ page }) => {
+    await openTwoViewReport(page);
+    const current = page.locator("tr.current");
+
+    for (const expected of ["newest 10", "newest 30", "jobs 10"]) {
+      await page.keyboard.press("j");
+      const [view, position] = expected.split(" ");
+      await expect(page.locator(`#articles-${view} tr.current td:first-child`)).toHaveText(position);
+    }
+    await page.keyboard.press("k");
+    await expect(page.locator("#articles-newest tr.current td:first-child")).toHaveText("30");
+    await expect(current).toHaveCount(1);
+  });
+
+  test("expands a violation into both articles and the time between them", async ({ page }) => {
+    await openTwoViewReport(page);
+
+    await page.keyboard.press("j");
+    await page.keyboard.press("o");
+
+    const detail = page.locator("#articles-newest tr.finding-detail:visible");
+    await expect(detail).toHaveCount(1);
+    await expect(detail.locator(".pair-position")).toHaveText(["#10", "#11"]);
+    await expect(detail.locator(".pair-title")).toHaveText(["Fixture story 11", "Fixture story 10"]);
+    await expect(detail.locator(".pair-delta")).toHaveText("→ 1m newer");
+  });
+
+  test("keeps expanded details under their row when sorting", async ({ page }) => {
+    await openTwoViewReport(page);
+    const table = page.locator("#articles-newest");
+
+    await table.locator("tr.violation button.expand").first().click();
+    await table.locator("th", { hasText: "#" }).first().click();
+
+    await expect(table.locator("tbody tr").first().locator("td").first()).toHaveText("100");
+    await expect(table.locator("tr.violation").first().locator("xpath=following-sibling::tr[1]")).toHaveClass("finding-detail");
+    await expect(table.locator("tr.finding-detail:visible .pair-position")).toHaveText(["#10", "#11"]);
+  });
+});
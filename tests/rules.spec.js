@@ -0,0 +1,304 @@
+const { test, expect } = require("@playwright/test");
+const { parseCliArgs } = require("../index");
+const {
+  DEFAULT_CONFIG,
+  VALIDATION_RULES,
+  fetchApiItems,
+  formatDelta,
+  formatTimestamp,
+  parseAgeText,
+  parseTimestamp,
+  registerRule,
+  resolveView,
+  rulesPassed,
+  runRules,
+} = require("../lib");
+const { BASE_TIME, SCENARIOS, generateArticles, startFixtureServer, swapAdjacent } = require("./fixtures/hn-server");
+
+/** Generated articles with the rank numbers a scraped page would carry. */
+function rankedArticles(count) {
+  return generateArticles(count).map((a, i) => ({ ...a, rank: i + 1 }));
+}
+
+/**
+ * Runs a single rule with the clock pinned just after the fixture data,
+ * against /newest unless another view is given.
+ */
+function check(ruleId, articles, viewId = "newest") {
+  const view = resolveView(viewId, { ...DEFAULT_CONFIG, frontDay: "2026-02-11" });
+  const [result] = runRules(articles, [ruleId], { now: BASE_TIME + 60 * 1000, view });
+  return result.findings;
+}
+
+test.describe("rule registry", () => {
+  test("ships the built-in rules, all but the API cross-check enabled by default", () => {
+    expect(VALIDATION_RULES.map((r) => r.id)).toEqual([...DEFAULT_CONFIG.rules, "api-consistency"]);
+  });
+
+  test("runs only the selected rules, in registry order", () => {
+    const results = runRules(rankedArticles(5), ["unique-ids", "sort-order"]);
+
+    expect(results.map((r) => r.id)).toEqual(["sort-order", "unique-ids"]);
+  });
+
+  test("rejects a duplicate rule id", () => {
+    expect(() => registerRule({ id: "sort-order", check: () => [] })).toThrow(/already registered/);
+  });
+
+  test("passes a clean list through every rule", () => {
+    const results = runRules(rankedArticles(100), DEFAULT_CONFIG.rules, { now: BASE_TIME });
+
+    expect(results.flatMap((r) => r.findings)).toEqual([]);
+    expect(rulesPassed(results)).toBe(true);
+  });
+
+  test("runs only the rules that apply to the view's ordering", () => {
+    const ids = (viewId) =>
+      runRules(rankedArticles(3), DEFAULT_CONFIG.rules, { now: BASE_TIME, view: resolveView(viewId, DEFAULT_CONFIG) }).map(
+        (r) => r.id
+      );
+
+    expect(ids("newest")).toContain("sort-order");
+    expect(ids("newest")).not.toContain("rank-order");
+    expect(ids("news")).not.toContain("sort-order");
+    expect(ids("news")).toContain("rank-order");
+    expect(ids("front")).toEqual(expect.arrayContaining(["rank-order", "within-day"]));
+  });
+
+  test("fails only on error findings", () => {
+    const articles = rankedArticles(5);
+    articles[2] = { ...articles[2], rank: 9 };
+
+    expect(rulesPassed(runRules(articles, ["rank-continuity"]))).toBe(true);
+    expect(rulesPassed(runRules(swapAdjacent(articles, 0), ["sort-order"]))).toBe(false);
+  });
+});
+
+test.describe("built-in rules", () => {
+  test("sort-order flags out-of-order pairs", () => {
+    const findings = check("sort-order", swapAdjacent(rankedArticles(20), 9));
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({ rule: "sort-order", type: "out-of-order", severity: "error", position: 10 });
+  });
+
+  test("sort-order takes its tolerance and tie rule from the config", () => {
+    const articles = swapAdjacent(generateArticles(5, { stepSeconds: 1 }), 0);
+    articles[3] = { ...articles[3], timestamp: articles[2].timestamp };
+    articles[4] = { ...articles[4], timestamp: "2026-02-11 16:16" };
+    const config = { ...DEFAULT_CONFIG, sortToleranceMs: 1000, sortTies: "strict" };
+
+    const [result] = runRules(articles, ["sort-order"], { now: BASE_TIME, config });
+
+    expect(result.findings.map((f) => [f.type, f.severity, f.position, f.badge])).toEqual([
+      ["within-tolerance", "info", 1, undefined],
+      ["tie", "error", 3, "TIE"],
+      ["unparseable-timestamp", "error", 5, "BAD TIMESTAMP"],
+    ]);
+  });
+
+  test("unique-ids flags repeated and missing ids", () => {
+    const articles = rankedArticles(5);
+    articles[3] = { ...articles[3], id: articles[1].id };
+    articles[4] = { ...articles[4], id: null };
+
+    const findings = check("unique-ids", articles);
+
+    expect(findings.map((f) => [f.type, f.severity, f.position])).toEqual([
+      ["duplicate-id", "error", 4],
+      ["missing-id", "warning", 5],
+    ]);
+    expect(findings[0].message).toContain("already appeared at #2");
+  });
+
+  test("rank-continuity flags jumps, repeats and missing ranks", () => {
+    const articles = rankedArticles(6);
+    articles[2] = { ...articles[2], rank: 5 };
+    articles[3] = { ...articles[3], rank: 5 };
+    articles[4] = { ...articles[4], rank: 6 };
+    articles[5] = { ...articles[5], rank: null };
+
+    const findings = check("rank-continuity", articles);
+
+    expect(findings.map((f) => [f.type, f.position])).toEqual([
+      ["rank-gap", 3],
+      ["rank-repeat", 4],
+      ["missing-rank", 6],
+    ]);
+    expect(findings.every((f) => f.severity === "warning")).toBe(true);
+  });
+
+  test("non-empty-titles flags blank and missing titles", () => {
+    const articles = rankedArticles(4);
+    articles[1] = { ...articles[1], title: "" };
+    articles[2] = { ...articles[2], title: "(untitled)" };
+
+    expect(check("non-empty-titles", articles).map((f) => f.position)).toEqual([2, 3]);
+  });
+
+  test("no-future-timestamps allows a minute of clock skew", () => {
+    const articles = rankedArticles(3);
+    articles[0] = { ...articles[0], timestamp: "2026-02-11T16:18:30" };
+    articles[1] = { ...articles[1], timestamp: "2026-02-11T16:30:00" };
+
+    const findings = check("no-future-timestamps", articles);
+
+    expect(findings.map((f) => [f.type, f.position])).toEqual([["future-timestamp", 2]]);
+  });
+
+  test("rank-order flags ranks that go backwards on a ranked listing", () => {
+    const articles = rankedArticles(5);
+    articles[3] = { ...articles[3], rank: 2 };
+
+    const findings = check("rank-order", articles, "news");
+
+    expect(findings.map((f) => [f.type, f.severity, f.position])).toEqual([["rank-out-of-order", "error", 4]]);
+  });
+
+  test("within-day flags stories submitted outside the front page's day", () => {
+    const articles = rankedArticles(3);
+    articles[2] = { ...articles[2], timestamp: "2026-02-10T23:59:59" };
+
+    const findings = check("within-day", articles, "front");
+
+    expect(findings.map((f) => [f.type, f.position])).toEqual([["outside-day", 3]]);
+    expect(findings[0].message).toContain("outside 2026-02-11");
+  });
+
+  test("age-consistency flags age text that disagrees with the timestamp", () => {
+    const articles = rankedArticles(10);
+    articles[4] = { ...articles[4], ageText: "3 hours ago" };
+    articles[6] = { ...articles[6], ageText: "a while back" };
+
+    const findings = check("age-consistency", articles);
+
+    expect(findings.map((f) => [f.type, f.severity, f.position])).toEqual([
+      ["age-mismatch", "warning", 5],
+      ["unparseable-age", "info", 7],
+    ]);
+  });
+});
+
+test.describe("api-consistency", () => {
+  let server;
+
+  test.afterEach(async () => {
+    await server?.close();
+    server = undefined;
+  });
+
+  /** Runs the API cross-check on the first `count` rows of a scenario, against its stand-in API. */
+  async function crossCheck(scenario, count) {
+    server = await startFixtureServer(scenario);
+    const articles = SCENARIOS[scenario]().articles.slice(0, count).map((a, i) => ({ ...a, rank: i + 1 }));
+    const config = { ...DEFAULT_CONFIG, apiBaseUrl: server.apiUrl };
+    const api = await fetchApiItems(config, articles.map((a) => a.id));
+    const [result] = runRules(articles, ["api-consistency"], { now: BASE_TIME, config, api });
+    return result.findings;
+  }
+
+  test("passes when the page and the API agree", async () => {
+    expect(await crossCheck("sorted", 60)).toEqual([]);
+  });
+
+  test("flags titles, times and order that disagree with the API", async () => {
+    const findings = await crossCheck("api-mismatch", 60);
+
+    expect(findings.map((f) => [f.type, f.severity, f.position])).toEqual([
+      ["api-title-mismatch", "warning", 5],
+      ["api-time-mismatch", "error", 12],
+      ["api-order-mismatch", "warning", 12],
+      ["api-missing", "warning", 40],
+    ]);
+    expect(findings[1].message).toBe(
+      '"Fixture story 12" shows Feb 11, 2026, 3:06:00 PM UTC but the API has Feb 11, 2026, 4:06:00 PM UTC.'
+    );
+    expect(findings[2].message).toContain("a rendering problem");
+  });
+
+  test("fails when only the API's times are out of order", () => {
+    const articles = rankedArticles(3);
+    const time = (a) => Date.parse(`${a.timestamp}Z`) / 1000;
+    const items = new Map(articles.map((a) => [a.id, { id: Number(a.id), title: a.title, time: time(a) }]));
+    items.get(articles[0].id).time = time(articles[2]) - 60;
+
+    const [result] = runRules(articles, ["api-consistency"], {
+      now: BASE_TIME,
+      api: { baseUrl: "http://stub/v0", items, errors: [] },
+    });
+
+    expect(result.findings.filter((f) => f.type === "api-order-mismatch")).toEqual([
+      expect.objectContaining({ severity: "error", position: 1 }),
+    ]);
+  });
+
+  test("reports an unreachable API once and skips the rule without API data", async () => {
+    const config = { ...DEFAULT_CONFIG, apiBaseUrl: "http://127.0.0.1:9/v0", navigationTimeoutMs: 2000 };
+    const articles = rankedArticles(3);
+
+    const api = await fetchApiItems(config, articles.map((a) => a.id));
+    const [result] = runRules(articles, ["api-consistency"], { now: BASE_TIME, config, api });
+
+    expect(result.findings).toEqual([
+      expect.objectContaining({ type: "api-unavailable", severity: "warning", position: null }),
+    ]);
+    expect(result.findings[0].message).toMatch(/^Could not fetch 3 of 3 item\(s\) from http:\/\/127\.0\.0\.1:9\/v0/);
+    expect(check("api-consistency", articles)).toEqual([]);
+  });
+
+  test("takes its endpoint from --api-base-url", () => {
+    expect(parseCliArgs(["--api-base-url", "http://localhost:8080/v0"], {}).config.apiBaseUrl).toBe("http://localhost:8080/v0");
+    expect(parseCliArgs([], { HN_API_BASE_URL: "http://stub/v0" }).config.apiBaseUrl).toBe("http://stub/v0");
+  });
+});
+
+test.describe("rule helpers", () => {
+  test("parseTimestamp reads HN's zone-less timestamps as UTC", () => {
+    expect(parseTimestamp("2026-02-11T16:17:00")?.toISOString()).toBe("2026-02-11T16:17:00.000Z");
+    expect(parseTimestamp("not a date")).toBeNull();
+    expect(parseTimestamp(null)).toBeNull();
+  });
+
+  test("parseTimestamp accepts a trailing epoch only when it agrees", () => {
+    expect(parseTimestamp("2026-02-11T16:17:00 1770826620")?.toISOString()).toBe("2026-02-11T16:17:00.000Z");
+    expect(parseTimestamp("2026-02-11T16:17:00 1770826680")).toBeNull();
+    expect(parseTimestamp("2026-02-30T16:17:00")).toBeNull();
+    expect(parseTimestamp("2026-02-11")).toBeNull();
+  });
+
+  test("formatTimestamp keeps UTC alongside any other zone", () => {
+    expect(formatTimestamp("2026-02-11T16:17:00")).toBe("Feb 11, 2026, 4:17:00 PM UTC");
+    expect(formatTimestamp("2026-02-11T16:17:00", { timeZone: "Europe/Paris", locale: "fr-FR" })).toBe(
+      "11 févr. 2026, 17:17:00 UTC+1 (2026-02-11 16:17:00 UTC)"
+    );
+    expect(formatTimestamp("2026-02-30T16:17:00")).toBe("2026-02-30T16:17:00");
+  });
+
+  test("formatDelta reads like 3m 12s in the configured locale", () => {
+    expect(formatDelta(192000)).toBe("3m 12s");
+    expect(formatDelta(3600000)).toBe("1h");
+    expect(formatDelta(1500)).toBe("1.5s");
+    expect(formatDelta(192000, { locale: "de-DE" })).toBe("3 Min. 12 Sek.");
+  });
+
+  test("parseAgeText understands HN's relative ages", () => {
+    expect(parseAgeText("1 minute ago")).toEqual({ seconds: 60, unit: 60 });
+    expect(parseAgeText("5 hours ago")).toEqual({ seconds: 18000, unit: 3600 });
+    expect(parseAgeText("just now")).toEqual({ seconds: 0, unit: 60 });
+    expect(parseAgeText("yesterday")).toBeNull();
+  });
+});
+
+test.describe("--rules", () => {
+  test("selects rules from the command line or environment", () => {
+    expect(parseCliArgs(["--rules", "sort-order,unique-ids"], {}).config.rules).toEqual([
+      "sort-order",
+      "unique-ids",
+    ]);
+    expect(parseCliArgs([], { HN_RULES: "rank-continuity" }).config.rules).toEqual(["rank-continuity"]);
+  });
+
+  test("rejects unknown rule ids", () => {
+    expect(() => parseCliArgs(["--rules", "sort-order,bogus"], {})).toThrow(/unknown rule\(s\): bogus/);
+  });
+});
@@ -0,0 +1,372 @@
+const { test, expect } = require("@playwright/test");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, collectArticles, navigateWithRetry, pageUrlAfter, retryDelayFor } = require("../lib");
+const { generateArticles, startFixtureServer } = require("./fixtures/hn-server");
+
+let server;
+
+test.afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+/** Short timeouts so failure paths finish in a couple of seconds. */
+function testConfig(overrides = {}) {
+  return {
+    ...DEFAULT_CONFIG,
+    url: server.url,
+    maxRetries: 2,
+    retryDelayMs: 100,
+    navigationTimeoutMs: 3000,
+    ...overrides,
+  };
+}
+
+async function openListing(page, config) {
+  page.setDefaultTimeout(config.navigationTimeoutMs);
+  await page.goto(config.url, { waitUntil: "domcontentloaded" });
+}
+
+test.describe("collectArticles", () => {
+  test("collects exactly the target count across pages, in page order", async ({ page }) => {
+    server = await startFixtureServer("sorted");
+    const config = testConfig({ targetArticles: 100 });
+    await openListing(page, config);
+
+    const { articles } = await collectArticles(page, config);
+
+    const expected = generateArticles(100);
+    expect(articles).toHaveLength(100);
+    expect(articles).toEqual(expected.map((a, i) => ({ ...a, rank: i + 1 })));
+    // 30 per page -> pages starting at ranks 1, 31, 61 and 91
+    expect(server.requests).toEqual([
+      "/newest",
+      "/newest?next=38999970&n=31",
+      "/newest?next=38999940&n=61",
+      "/newest?next=38999910&n=91",
+    ]);
+  });
+
+  test("stops when the listing runs out of pages", async ({ page }) => {
+    server = await startFixtureServer("short");
+    const config = testConfig({ targetArticles: 100 });
+    await openListing(page, config);
+
+    const { articles } = await collectArticles(page, config);
+
+    expect(articles).toHaveLength(45);
+  });
+
+  test("drops rows whose span.age has no timestamp", async ({ page }) => {
+    server = await startFixtureServer("missing-timestamps");
+    const config = testConfig({ targetArticles: 100 });
+    await openListing(page, config);
+
+    const { articles } = await collectArticles(page, config);
+    const titles = articles.map((a) => a.title);
+
+    expect(articles).toHaveLength(100);
+    expect(articles.every((a) => a.timestamp !== null)).toBe(true);
+    expect(titles).not.toContain("Fixture story 5");
+    expect(titles).not.toContain("Fixture story 41");
+  });
+
+  test("returns nothing for an empty listing", async ({ page }) => {
+    server = await startFixtureServer("empty");
+    const config = testConfig();
+    await openListing(page, config);
+
+    const { articles } = await collectArticles(page, config);
+
+    expect(articles).toEqual([]);
+  });
+
+  test("reads recorded HN markup", async ({ page }) => {
+    server = await startFixtureServer("recorded");
+    const config = testConfig({ targetArticles: 10 });
+    await openListing(page, config);
+
+    const { articles } = await collectArticles(page, config);
+
+    expect(articles).toHaveLength(10);
+    expect(articles[0]).toEqual({
+      id: "46981231",
+      rank: 1,
+      title: "Show HN: A tiny SQLite-backed job queue",
+      url: "https://github.com/someone/litequeue",
+      domain: "github.com",
+      author: "mkell",
+      points: 3,
+      comments: 0,
+      timestamp: "2026-02-11T19:04:11",
+      ageText: "2 minutes ago",
+    });
+    expect(articles[9].timestamp).toBe("2026-02-11T18:52:44");
+  });
+
+  test("extracts self posts, comment counts and ranks across pages", async ({ page }) => {
+    server = await startFixtureServer("recorded");
+    const config = testConfig({ targetArticles: 10 });
+    await openListing(page, config);
+
+    const { articles } = await collectArticles(page, config);
+
+    // Ask HN links to its own item page and shows no domain
+    expect(articles[3]).toMatchObject({
+      title: "Ask HN: How do you test scrapers against sites that change?",
+      url: `${new URL(server.url).origin}/item?id=46981190`,
+      domain: null,
+      author: "qa_curious",
+    });
+    expect(articles.map((a) => a.rank)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(articles.map((a) => a.comments)).toEqual([0, 0, 1, 0, 2, 3, 0, 5, 0, 1]);
+  });
+
+  test("leaves score, submitter and comments empty for job ads", async ({ page }) => {
+    const articles = generateArticles(3);
+    articles[1] = { ...articles[1], author: null, points: null, comments: null };
+    server = await startFixtureServer({ articles });
+    const config = testConfig({ targetArticles: 3 });
+    await openListing(page, config);
+
+    const { articles: scraped } = await collectArticles(page, config);
+
+    expect(scraped[1]).toMatchObject({ author: null, points: null, comments: null });
+    expect(scraped[2]).toMatchObject({ author: "user2", points: 15, comments: 6 });
+  });
+});
+
+test.describe("collectArticles page drift", () => {
+  test("drops items pushed onto the next page by new posts", async ({ page }) => {
+    server = await startFixtureServer("drift-new-posts");
+    const config = testConfig({ targetArticles: 100 });
+    await openListing(page, config);
+
+    const { articles, drift } = await collectArticles(page, config);
+
+    expect(articles).toHaveLength(100);
+    expect(new Set(articles.map((a) => a.id)).size).toBe(100);
+    expect(articles.map((a) => a.title)).toEqual(generateArticles(100).map((a) => a.title));
+    expect(drift).toEqual({ duplicates: 3, gaps: 0, recovered: 0, unresolvedGaps: 0 });
+  });
+
+  test("recovers items pulled onto the previous page by removed posts", async ({ page }) => {
+    server = await startFixtureServer("drift-removed-posts");
+    const config = testConfig({ targetArticles: 100 });
+    await openListing(page, config);
+
+    const { articles, drift } = await collectArticles(page, config);
+
+    // Stories 31 and 32 moved up onto page 1 after we had read it
+    expect(articles.map((a) => a.title)).toEqual(generateArticles(100).map((a) => a.title));
+    expect(drift).toEqual({ duplicates: 0, gaps: 1, recovered: 2, unresolvedGaps: 0 });
+    expect(server.requests.slice(0, 4)).toEqual([
+      "/newest",
+      "/newest?next=38999970&n=31",
+      "/newest",
+      "/newest?next=38999970&n=31",
+    ]);
+  });
+
+  test("leaves a gap unresolved when its boundary article is gone too", async ({ page }) => {
+    // Five new posts, and page 1's last story removed along with the rest of page 1
+    server = await startFixtureServer({ articles: generateArticles(120), drift: { afterRequests: 1, insert: 5, remove: 31 } });
+    const config = testConfig({ targetArticles: 60 });
+    await openListing(page, config);
+
+    const { articles, drift } = await collectArticles(page, config);
+
+    expect(drift).toEqual({ duplicates: 0, gaps: 1, recovered: 0, unresolvedGaps: 1 });
+    expect(articles.some((a) => a.title.startsWith("Late story"))).toBe(false);
+  });
+
+  test("reports no drift on a stable listing", async ({ page }) => {
+    server = await startFixtureServer("sorted");
+    const config = testConfig({ targetArticles: 100 });
+    await openListing(page, config);
+
+    const { drift } = await collectArticles(page, config);
+
+    expect(drift).toEqual({ duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 });
+  });
+});
+
+test.describe("collectArticles parallel mode", () => {
+  /** A server whose /news listing holds `count` stories, paged with ?p=. */
+  async function startNewsServer(count, options = {}) {
+    server = await startFixtureServer({ articles: generateArticles(120), listings: { news: generateArticles(count) }, ...options });
+    return testConfig({ url: server.url.replace("/newest", "/news") });
+  }
+
+  test("stitches concurrently loaded pages back into page order", async ({ page }) => {
+    const config = { ...(await startNewsServer(120)), targetArticles: 100, fetchMode: "parallel", concurrency: 3 };
+    await openListing(page, config);
+
+    const { articles, drift, pages } = await collectArticles(page, config);
+
+    expect(articles.map((a) => a.title)).toEqual(generateArticles(100).map((a) => a.title));
+    expect(articles.map((a) => a.rank)).toEqual(Array.from({ length: 100 }, (_, i) => i + 1));
+    expect(drift).toEqual({ duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 });
+    expect(pages.map((p) => [p.page, p.rows])).toEqual([[1, 30], [2, 30], [3, 30], [4, 30]]);
+    expect(pages.every((p) => p.durationMs >= 0)).toBe(true);
+    expect(server.requests).toEqual(["/news", "/news?p=2", "/news?p=3", "/news?p=4"]);
+  });
+
+  test("stops at the last page of a short listing", async ({ page }) => {
+    const config = { ...(await startNewsServer(45)), targetArticles: 100, fetchMode: "parallel" };
+    await openListing(page, config);
+
+    const { articles } = await collectArticles(page, config);
+
+    expect(articles).toHaveLength(45);
+  });
+
+  test("still drops drifted duplicates", async ({ page }) => {
+    const drift = { afterRequests: 1, insert: 3, listing: "news" };
+    const config = { ...(await startNewsServer(120, { drift })), targetArticles: 100, fetchMode: "parallel" };
+    await openListing(page, config);
+
+    const { articles, drift: seen } = await collectArticles(page, config);
+
+    expect(articles.map((a) => a.title)).toEqual(generateArticles(100).map((a) => a.title));
+    expect(seen.duplicates).toBe(3);
+  });
+
+  test("stops when a batch of pages brings no new articles", async ({ page }) => {
+    // A whole page of new posts pushes page 1 down onto page 2
+    const drift = { afterRequests: 1, insert: 30, listing: "news" };
+    const config = { ...(await startNewsServer(120, { drift })), targetArticles: 60, fetchMode: "parallel" };
+    await openListing(page, config);
+
+    const { articles, drift: seen } = await collectArticles(page, config);
+
+    expect(articles).toHaveLength(30);
+    expect(seen.duplicates).toBe(30);
+    expect(server.requests).toEqual(["/news", "/news?p=2"]);
+  });
+
+  test("follows the next= cursor page by page on /newest", async ({ page }) => {
+    server = await startFixtureServer("drift-removed-posts");
+    const config = testConfig({ targetArticles: 100, fetchMode: "parallel" });
+    await openListing(page, config);
+
+    const { articles, drift } = await collectArticles(page, config);
+
+    // The serial walk, gap recovery included
+    expect(articles.map((a) => a.title)).toEqual(generateArticles(100).map((a) => a.title));
+    expect(drift).toEqual({ duplicates: 0, gaps: 1, recovered: 2, unresolvedGaps: 0 });
+    expect(server.requests.every((r) => r === "/newest" || r.includes("next="))).toBe(true);
+  });
+});
+
+test.describe("pageUrlAfter", () => {
+  test("cannot look past the next page of cursor-paged /newest", () => {
+    const more = "https://news.ycombinator.com/newest?next=38999970&n=31";
+
+    expect(pageUrlAfter(more, 0)).toBe(more);
+    expect(pageUrlAfter(more, 2)).toBeNull();
+  });
+
+  test("pages ranked listings by p=", () => {
+    expect(pageUrlAfter("https://news.ycombinator.com/front?day=2026-02-10&p=2", 3)).toBe(
+      "https://news.ycombinator.com/front?day=2026-02-10&p=5"
+    );
+  });
+
+  test("is picked with --fetch-mode and --concurrency", () => {
+    expect(parseCliArgs([], {}).config).toMatchObject({ fetchMode: "serial", concurrency: 4 });
+    expect(parseCliArgs(["--fetch-mode", "parallel", "--concurrency", "6"], {}).config).toMatchObject({
+      fetchMode: "parallel",
+      concurrency: 6,
+    });
+    expect(() => parseCliArgs(["--fetch-mode", "turbo"], {})).toThrow(/must be one of serial, parallel/);
+  });
+});
+
+test.describe("navigateWithRetry", () => {
+  test("waits out a slow page that loads within the timeout", async ({ page }) => {
+    server = await startFixtureServer("slow");
+    const config = testConfig({ navigationTimeoutMs: 5000 });
+    await openListing(page, config);
+
+    await navigateWithRetry(page, page.locator("a.morelink"), config);
+
+    await expect(page.locator("span.rank").first()).toHaveText("31.");
+  });
+
+  test("gives up after maxRetries when every request is dropped", async ({ page }) => {
+    server = await startFixtureServer("dropped");
+    const config = testConfig({ maxRetries: 2, navigationTimeoutMs: 1000, retryDelayMs: 50 });
+    await openListing(page, config);
+
+    await expect(navigateWithRetry(page, page.locator("a.morelink"), config)).rejects.toThrow(
+      /Navigation failed after 2 attempts/
+    );
+  });
+
+  test("backs off further when HN says it is being asked too quickly", async ({ page }) => {
+    server = await startFixtureServer("rate-limited");
+    const config = testConfig({ maxRetries: 3, retryJitterPercent: 0 });
+    await openListing(page, config);
+    const events = [];
+
+    await navigateWithRetry(page, page.locator("a.morelink"), config, { onProgress: (e) => events.push(e) });
+
+    await expect(page.locator("span.rank").first()).toHaveText("31.");
+    expect(events.map((e) => [e.attempt, e.kind, e.delayMs])).toEqual([
+      [1, "rate-limit", 500],
+      [2, "rate-limit", 1000],
+    ]);
+    expect(server.requests).toHaveLength(4);
+  });
+
+  test("classifies dropped connections as network failures", async ({ page }) => {
+    server = await startFixtureServer("dropped");
+    const config = testConfig({ maxRetries: 2, navigationTimeoutMs: 1000, retryDelayMs: 50 });
+    await openListing(page, config);
+
+    const err = await navigateWithRetry(page, page.locator("a.morelink"), config).catch((e) => e);
+
+    expect(err).toMatchObject({ name: "NavigationError", kind: "network", attempts: 2 });
+  });
+});
+
+test.describe("retryDelayFor", () => {
+  const config = { ...DEFAULT_CONFIG, retryDelayMs: 1000, retryMaxDelayMs: 6000, retryJitterPercent: 50 };
+
+  test("doubles the wait with each attempt up to the cap", () => {
+    expect([1, 2, 3, 4].map((attempt) => retryDelayFor(config, attempt, "network", () => 0))).toEqual([
+      1000, 2000, 4000, 6000,
+    ]);
+  });
+
+  test("starts rate-limit waits higher and takes off up to the jitter share", () => {
+    expect(retryDelayFor(config, 1, "rate-limit", () => 0)).toBe(5000);
+    expect(retryDelayFor(config, 1, "network", () => 1)).toBe(500);
+    expect(retryDelayFor({ ...config, retryJitterPercent: 0 }, 2, "selector", () => 1)).toBe(2000);
+  });
+
+  test("is tuned with --retry-max-delay-ms and --retry-jitter-percent", () => {
+    expect(parseCliArgs(["--retry-max-delay-ms=10000", "--retry-jitter-percent", "0"], {}).config).toMatchObject({
+      retryMaxDelayMs: 10000,
+      retryJitterPercent: 0,
+    });
+    expect(() => parseCliArgs(["--retry-jitter-percent=150"], {})).toThrow(/retry-jitter-percent must be between 0 and 100/);
+  });
+});
+
+test.describe("collectArticles after a failed page", () => {
+  for (const fetchMode of ["serial", "parallel"]) {
+    test(`keeps the pages before it in ${fetchMode} mode`, async ({ page }) => {
+      server = await startFixtureServer("fails-mid-run");
+      const config = testConfig({ targetArticles: 100, fetchMode, maxRetries: 1, navigationTimeoutMs: 1000 });
+      await openListing(page, config);
+
+      const { articles, failure } = await collectArticles(page, config);
+
+      expect(articles.map((a) => a.title)).toEqual(generateArticles(60).map((a) => a.title));
+      expect(failure).toMatchObject({ page: 3, kind: "network", attempts: 1 });
+      expect(failure.url).toContain("n=61");
+    });
+  }
+});
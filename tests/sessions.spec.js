@@ -0,0 +1,136 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, generateHtmlReport, readSession, resolveView, validate, validateConfig } = require("../lib");
+const { generateArticles, startFixtureServer } = require("./fixtures/hn-server");
+
+let server;
+
+test.afterEach(async () => {
+  await server?.close();
+  server = undefined;
+});
+
+/** A quick run that keeps its report, history and session in the test's output folder. */
+function runOptions(browser, overrides = {}) {
+  return {
+    reportPath: test.info().outputPath("report.html"),
+    historyDir: "",
+    artifactsDir: "",
+    sessionPath: test.info().outputPath("session.json"),
+    maxRetries: 2,
+    retryDelayMs: 100,
+    navigationTimeoutMs: 3000,
+    openBrowser: () => browser,
+    ...overrides,
+  };
+}
+
+/** A result document's views with the timings, which differ between runs, zeroed. */
+function viewsWithoutTimings(doc) {
+  return doc.views.map((v) => ({
+    ...v,
+    durationMs: 0,
+    pages: v.pages.map((p) => ({ ...p, durationMs: 0 })),
+    rules: v.rules.map((r) => ({ ...r, durationMs: 0 })),
+  }));
+}
+
+test.describe("recorded sessions", () => {
+  test("replay the recorded run offline with the same result", async ({ browser }) => {
+    server = await startFixtureServer("out-of-order");
+    const recorded = await validate(runOptions(browser, { url: server.url, targetArticles: 60, session: "record" }));
+    await server.close();
+    server = undefined;
+
+    // Settings that decide what gets fetched come from the recording
+    const replayed = await validate(runOptions(browser, { targetArticles: 30, session: "replay" }));
+
+    expect(replayed.passed).toBe(recorded.passed);
+    expect(viewsWithoutTimings(replayed.document)).toEqual(viewsWithoutTimings(recorded.document));
+    expect(replayed.document.config).toMatchObject({ url: recorded.document.config.url, targetArticles: 60 });
+    expect(replayed.document.session).toMatchObject({ mode: "replay", recordedAt: recorded.document.session.recordedAt });
+  });
+
+  test("replay retries and dropped connections as they happened", async ({ browser }) => {
+    server = await startFixtureServer({ articles: generateArticles(120), dropCount: 1 });
+    const events = [];
+    await validate(runOptions(browser, { url: server.url, targetArticles: 60, session: "record" }));
+    await server.close();
+    server = undefined;
+
+    const replayed = await validate(
+      runOptions(browser, { session: "replay", onProgress: (e) => e.type === "retry" && events.push(e) })
+    );
+
+    expect(replayed.success).toBe(true);
+    expect(events).toEqual([expect.objectContaining({ attempt: 1, kind: "network" })]);
+  });
+
+  test("store every response per engine with the run's clock", async ({ browser }) => {
+    server = await startFixtureServer("sorted");
+    const options = runOptions(browser, { url: server.url, targetArticles: 60, session: "record" });
+
+    const result = await validate(options);
+
+    const session = readSession(options.sessionPath);
+    expect(session).toMatchObject({
+      version: 1,
+      startedAt: result.summary.startedAt,
+      config: { url: server.url, views: ["newest"], targetArticles: 60, browsers: ["chromium"] },
+      viewStarts: { newest: expect.any(Number) },
+    });
+    const pages = session.requests.chromium.filter((r) => new URL(r.url).pathname === "/newest");
+    expect(pages.map((r) => [r.method, new URL(r.url).search, r.status])).toEqual([
+      ["GET", "", 200],
+      ["GET", expect.stringContaining("n=31"), 200],
+    ]);
+  });
+});
+
+test.describe("session files", () => {
+  test("are checked when read", () => {
+    const file = test.info().outputPath("not-a-session.json");
+    fs.writeFileSync(file, JSON.stringify({ schemaVersion: 2 }));
+
+    expect(() => readSession(file)).toThrow(/is not a version 1 session \(version is undefined\)/);
+    expect(() => readSession(test.info().outputPath("missing.json"))).toThrow(/Could not read session from/);
+  });
+
+  test("are picked with --session and --session-path", () => {
+    const file = test.info().outputPath("session.json");
+    fs.writeFileSync(file, "{}");
+
+    expect(parseCliArgs(["--session", "replay", "--session-path", file], {}).config).toMatchObject({
+      session: "replay",
+      sessionPath: file,
+    });
+    expect(parseCliArgs([], { HN_SESSION: "record" }).config.session).toBe("record");
+    expect(validateConfig({ ...DEFAULT_CONFIG, session: "record" }).errors).toEqual([
+      { key: "sessionPath", message: "Session File is required to record a session." },
+    ]);
+    expect(() => parseCliArgs(["--session=replay", `--session-path=${file}.missing`], {})).toThrow(
+      /--session-path has no recorded session to replay/
+    );
+  });
+
+  test("are named in the report", async ({ page }) => {
+    const articles = generateArticles(30);
+    const view = {
+      view: resolveView("newest", DEFAULT_CONFIG),
+      articles,
+      drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+      ruleResults: [],
+      complete: true,
+      passed: true,
+      durationMs: 100,
+    };
+    const session = { mode: "replay", path: "/tmp/session.json", recordedAt: "2026-02-10T12:00:00.000Z" };
+
+    await page.setContent(generateHtmlReport([view], 100, DEFAULT_CONFIG, { session }));
+
+    await expect(page.locator(".config-summary .session")).toHaveText(
+      "Session: replayed from /tmp/session.json, recorded Feb 10, 2026, 12:00:00 PM UTC"
+    );
+  });
+});
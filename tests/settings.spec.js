@@ -0,0 +1,163 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const { parseCliArgs } = require("../index");
+const { ConfigError, DEFAULT_CONFIG, generateSettingsHtml, startDashboard, validateConfig } = require("../lib");
+
+let dashboard;
+
+test.afterEach(async () => {
+  await dashboard?.close();
+  dashboard = undefined;
+});
+
+/**
+ * Opens the settings page from a dashboard whose runs only record the
+ * settings they were given and wait to be cancelled.
+ */
+async function openSettings(page) {
+  const submitted = [];
+  const runOnce = (config, { signal }) => {
+    submitted.push(config);
+    return new Promise((resolve) => signal.addEventListener("abort", () => resolve({ cancelled: true, html: "" })));
+  };
+  dashboard = await startDashboard(DEFAULT_CONFIG, runOnce, { port: 0, profilesPath: test.info().outputPath("profiles.json") });
+  await page.goto(dashboard.url);
+  return submitted;
+}
+
+test.describe("validateConfig", () => {
+  test("accepts the defaults unchanged", () => {
+    expect(validateConfig(DEFAULT_CONFIG)).toEqual({ config: DEFAULT_CONFIG, errors: [] });
+  });
+
+  test("parses form values into typed settings", () => {
+    const { config, errors } = validateConfig({ ...DEFAULT_CONFIG, targetArticles: "30", audit: "true" });
+
+    expect(errors).toEqual([]);
+    expect(config).toMatchObject({ targetArticles: 30, audit: true });
+  });
+
+  test("stores URLs in their parsed form", () => {
+    const { config } = validateConfig({ ...DEFAULT_CONFIG, url: " HTTPS://Example.com/newest?q=\"x\" " });
+
+    expect(config.url).toBe("https://example.com/newest?q=%22x%22");
+  });
+
+  test("reports every bad field by key, not just the first", () => {
+    const { errors } = validateConfig({
+      ...DEFAULT_CONFIG,
+      targetArticles: "",
+      maxRetries: 0,
+      url: "javascript:alert(1)",
+      views: [],
+      surprise: true,
+    });
+
+    expect(errors).toEqual([
+      { key: "targetArticles", message: 'Target Articles must be a whole number (got "").' },
+      { key: "maxRetries", message: "Max Retries must be between 1 and 10 (got 0)." },
+      { key: "url", message: 'Hacker News URL must be an http(s) URL (got "javascript:alert(1)").' },
+      { key: "views", message: "Views must name at least one view." },
+      { key: "surprise", message: 'Unknown setting "surprise".' },
+    ]);
+  });
+
+  test("requires every field", () => {
+    const { rules, ...withoutRules } = DEFAULT_CONFIG;
+
+    expect(validateConfig(withoutRules).errors).toEqual([{ key: "rules", message: "Validation Rules is required." }]);
+  });
+
+  test("checks that output paths can be written", () => {
+    const file = test.info().outputPath("taken");
+    fs.writeFileSync(file, "");
+
+    const { errors } = validateConfig({ ...DEFAULT_CONFIG, reportPath: `${file}/report.html`, historyDir: file });
+
+    expect(errors).toEqual([
+      { key: "reportPath", message: `Report Output Path cannot be created because ${file} is a file.` },
+      { key: "historyDir", message: `History Directory must be a directory, but ${file} is not.` },
+    ]);
+  });
+
+  test("applies to the command line too", () => {
+    const file = test.info().outputPath("taken");
+    fs.writeFileSync(file, "");
+
+    const attempt = () => parseCliArgs(["--artifacts-dir", file], {});
+
+    expect(attempt).toThrow(ConfigError);
+    expect(attempt).toThrow(`--artifacts-dir must be a directory, but ${file} is not.`);
+  });
+
+  test("checks the time zone and locale", () => {
+    expect(parseCliArgs(["--time-zone", "Asia/Tokyo", "--locale=ja-jp"], {}).config).toMatchObject({
+      timeZone: "Asia/Tokyo",
+      locale: "ja-JP",
+    });
+    expect(parseCliArgs([], { HN_TIME_ZONE: "Europe/Berlin" }).config.timeZone).toBe("Europe/Berlin");
+    expect(validateConfig({ ...DEFAULT_CONFIG, timeZone: "Mars/Olympus", locale: "??" }).errors).toEqual([
+      { key: "timeZone", message: expect.stringMatching(/^Time Zone must be one of UTC, .* \(got "Mars\/Olympus"\)\.$/) },
+      { key: "locale", message: 'Locale must be a locale like en-US or de-DE (got "??").' },
+    ]);
+  });
+});
+
+test.describe("settings UI validation", () => {
+  test("shows errors next to the offending fields and blocks Run", async ({ page }) => {
+    await openSettings(page);
+
+    await page.fill("#targetArticles", "");
+    await page.fill("#url", "ftp://example.com");
+
+    await expect(page.locator(".field.invalid")).toHaveCount(2);
+    await expect(page.locator("#targetArticles + .hint + .error")).toHaveText('Target Articles must be a whole number (got "").');
+    await expect(page.locator(".field.invalid .error").nth(1)).toContainText("must be an http(s) URL");
+    await expect(page.locator("#run-btn")).toBeDisabled();
+
+    await page.fill("#targetArticles", "30");
+    await page.fill("#url", DEFAULT_CONFIG.url);
+
+    await expect(page.locator(".field.invalid")).toHaveCount(0);
+    await expect(page.locator("#run-btn")).toBeEnabled();
+  });
+
+  test("flags an empty view selection", async ({ page }) => {
+    await openSettings(page);
+
+    await page.uncheck('input[name="views"][value="newest"]');
+
+    await expect(page.locator(".field.invalid .error")).toHaveText("Views must name at least one view.");
+    await expect(page.locator("#run-btn")).toBeDisabled();
+  });
+
+  test("hands over typed settings once they are valid", async ({ page }) => {
+    const submitted = await openSettings(page);
+
+    await page.fill("#targetArticles", "45");
+    await page.click("#run-btn");
+
+    await expect(page).toHaveURL(/\/runs\/1$/);
+    expect(submitted).toEqual([{ ...DEFAULT_CONFIG, targetArticles: 45 }]);
+  });
+});
+
+test.describe("settings page", () => {
+  test("keeps setting values from closing its script", () => {
+    const config = { ...DEFAULT_CONFIG, alertCommand: "echo </script><script>alert(1)</script>" };
+
+    const html = generateSettingsHtml(config);
+
+    expect(html.match(/<\/script>/g)).toHaveLength(html.match(/<script>/g).length);
+    expect(html).toContain("echo \\u003c/script>\\u003cscript>alert(1)\\u003c/script>");
+  });
+
+  test("escapes the URL and report path in their fields", () => {
+    const config = { ...DEFAULT_CONFIG, url: 'https://example.com/"><b>x</b>', reportPath: 'C:\\out\\"report".html' };
+
+    const html = generateSettingsHtml(config);
+
+    expect(html).toContain('id="url" value="https://example.com/&quot;&gt;&lt;b&gt;x&lt;/b&gt;"');
+    expect(html).toContain('id="reportPath" value="C:\\out\\&quot;report&quot;.html"');
+  });
+});
@@ -0,0 +1,95 @@
+const { test, expect } = require("@playwright/test");
+const { DEFAULT_CONFIG, collectArticles, validateSortOrder } = require("../lib");
+const { generateArticles, startFixtureServer, swapAdjacent } = require("./fixtures/hn-server");
+
+test.describe("validateSortOrder", () => {
+  test("passes a newest-first list", () => {
+    expect(validateSortOrder(generateArticles(100))).toEqual([]);
+  });
+
+  test("flags each pair where an article is older than the next", () => {
+    const articles = swapAdjacent(swapAdjacent(generateArticles(100), 9), 29);
+
+    const violations = validateSortOrder(articles);
+
+    expect(violations.map((v) => v.position)).toEqual([10, 30]);
+    expect(violations[0].article.title).toBe("Fixture story 11");
+    expect(violations[0].nextArticle.title).toBe("Fixture story 10");
+  });
+
+  test("treats equal timestamps as correctly ordered", () => {
+    const articles = generateArticles(10, { stepSeconds: 0 });
+
+    expect(validateSortOrder(articles)).toEqual([]);
+  });
+
+  test("flags equal timestamps only when ties are strict", () => {
+    const articles = generateArticles(3, { stepSeconds: 0 });
+
+    const violations = validateSortOrder(articles, { ties: "strict" });
+
+    expect(violations.map((v) => [v.type, v.position])).toEqual([["tie", 1], ["tie", 2]]);
+  });
+
+  test("lets small inversions through within the tolerance", () => {
+    const articles = swapAdjacent(generateArticles(10, { stepSeconds: 1 }), 2);
+
+    const [violation] = validateSortOrder(articles, { toleranceMs: 1000 });
+
+    expect(violation).toMatchObject({ type: "within-tolerance", position: 3, deltaMs: 1000 });
+    expect(validateSortOrder(articles, { toleranceMs: 999 })[0].type).toBe("out-of-order");
+  });
+
+  test("reports an unreadable timestamp and compares the articles around it", () => {
+    const articles = generateArticles(5);
+    articles[2] = { ...articles[2], timestamp: "yesterday-ish" };
+    articles[3] = { ...articles[3], timestamp: generateArticles(1)[0].timestamp };
+
+    const violations = validateSortOrder(articles);
+
+    // #2 is now older than #4, with the unreadable #3 between them
+    expect(violations.map((v) => [v.type, v.position])).toEqual([
+      ["unparseable-timestamp", 3],
+      ["out-of-order", 2],
+    ]);
+    expect(violations[1].nextArticle.title).toBe("Fixture story 4");
+  });
+
+  test("passes an empty or single-article list", () => {
+    expect(validateSortOrder([])).toEqual([]);
+    expect(validateSortOrder(generateArticles(1))).toEqual([]);
+  });
+
+  test("finds out-of-order items scraped from the fixture server", async ({ page }) => {
+    const server = await startFixtureServer("out-of-order");
+    try {
+      const config = { ...DEFAULT_CONFIG, url: server.url, retryDelayMs: 100, navigationTimeoutMs: 3000 };
+      page.setDefaultTimeout(config.navigationTimeoutMs);
+      await page.goto(config.url);
+
+      const { articles } = await collectArticles(page, config);
+
+      // One swap mid-page, one straddling the page 1 -> page 2 boundary
+      expect(validateSortOrder(articles).map((v) => v.position)).toEqual([10, 30]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("reads titles that carry a unix epoch", async ({ page }) => {
+    const server = await startFixtureServer("epoch-timestamps");
+    try {
+      const config = { ...DEFAULT_CONFIG, url: server.url, retryDelayMs: 100, navigationTimeoutMs: 3000 };
+      page.setDefaultTimeout(config.navigationTimeoutMs);
+      await page.goto(config.url);
+
+      const { articles } = await collectArticles(page, config);
+
+      expect(articles[0].timestamp).toBe("2026-02-11T16:17:00 1770826620");
+      expect(validateSortOrder(articles)).toEqual([]);
+      expect(validateSortOrder(articles, { ties: "strict" }).map((v) => [v.type, v.position])).toEqual([["tie", 20]]);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { test, expect } = require("@playwright/test");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, LISTINGS, collectArticles, resolveView, runRules, rulesPassed } = require("../lib");
+const { BASE_TIME, startFixtureServer } = require("./fixtures/hn-server");
+
+test.describe("resolveView", () => {
+  test("resolves each listing next to the configured URL", () => {
+    const config = { ...DEFAULT_CONFIG, url: "http://127.0.0.1:8080/newest", frontDay: "2026-02-10" };
+
+    expect(LISTINGS.map((l) => resolveView(l.id, config).url)).toEqual([
+      "http://127.0.0.1:8080/newest",
+      "http://127.0.0.1:8080/news",
+      "http://127.0.0.1:8080/ask",
+      "http://127.0.0.1:8080/show",
+      "http://127.0.0.1:8080/jobs",
+      "http://127.0.0.1:8080/front?day=2026-02-10",
+    ]);
+  });
+
+  test("shows yesterday's front page by default", () => {
+    const view = resolveView("front", DEFAULT_CONFIG, BASE_TIME);
+
+    expect(view).toMatchObject({ ordering: "date-bounded", day: "2026-02-10" });
+  });
+
+  test("rejects an unknown listing", () => {
+    expect(() => resolveView("best", DEFAULT_CONFIG)).toThrow(/Unknown view "best"/);
+  });
+});
+
+test.describe("--views", () => {
+  test("selects listings from the command line or environment", () => {
+    expect(parseCliArgs([], {}).config.views).toEqual(["newest"]);
+    expect(parseCliArgs(["--views", "newest,news,front"], {}).config.views).toEqual(["newest", "news", "front"]);
+    expect(parseCliArgs([], { HN_VIEWS: "ask" }).config.views).toEqual(["ask"]);
+  });
+
+  test("rejects unknown views and malformed days", () => {
+    expect(() => parseCliArgs(["--views", "newest,best"], {})).toThrow(/unknown view\(s\): best/);
+    expect(() => parseCliArgs(["--front-day", "10/02/2026"], {})).toThrow(/must be a date like/);
+    expect(() => parseCliArgs(["--front-day", "2026-02-30"], {})).toThrow(/must be a date like/);
+    expect(parseCliArgs(["--front-day", "2026-02-10"], {}).config.frontDay).toBe("2026-02-10");
+  });
+});
+
+test.describe("multiple views", () => {
+  test("checks each served listing against its own ordering", async ({ page }) => {
+    const server = await startFixtureServer("multi-view");
+    try {
+      const config = { ...DEFAULT_CONFIG, url: server.url, targetArticles: 50, frontDay: "2026-02-10" };
+      const results = {};
+
+      for (const id of ["newest", "news", "front"]) {
+        const view = resolveView(id, config);
+        await page.goto(view.url);
+        const { articles } = await collectArticles(page, config);
+        results[id] = runRules(articles, config.rules, { now: BASE_TIME, view });
+      }
+
+      // /news has out-of-order timestamps, which is fine for a ranked listing
+      expect(Object.values(results).every(rulesPassed)).toBe(true);
+      expect(results.news.map((r) => r.id)).not.toContain("sort-order");
+      expect(server.requests).toContain("/news?p=2");
+      expect(server.requests).toContain("/front?day=2026-02-10&p=2");
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,206 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const { parseCliArgs } = require("../index");
+const { DEFAULT_CONFIG, resolveView, rulesPassed, runRules, sendAlert, watch } = require("../lib");
+const { BASE_TIME, generateArticles, swapAdjacent } = require("./fixtures/hn-server");
+const { startWebhookReceiver } = require("./fixtures/webhook-receiver");
+
+let receiver;
+
+test.afterEach(async () => {
+  await receiver?.close();
+  receiver = undefined;
+});
+
+/** What runValidation() returns, for a /newest run that passes or not. */
+function validationResult(passed) {
+  const sorted = generateArticles(30);
+  const articles = passed ? sorted : swapAdjacent(sorted, 9).map((a, i) => ({ ...a, rank: i + 1 }));
+  const ruleResults = runRules(articles, ["sort-order"], { now: BASE_TIME });
+  const view = {
+    view: resolveView("newest", DEFAULT_CONFIG),
+    articles,
+    drift: { duplicates: 0, gaps: 0, recovered: 0, unresolvedGaps: 0 },
+    ruleResults,
+    complete: true,
+    passed: rulesPassed(ruleResults),
+    durationMs: 500,
+  };
+  const summary = {
+    config: DEFAULT_CONFIG,
+    startedAt: BASE_TIME,
+    finishedAt: BASE_TIME + 500,
+    durationMs: 500,
+    views: [view],
+    passed: view.passed,
+    cancelled: false,
+  };
+  return { success: true, passed: view.passed, cancelled: false, views: [view], durationMs: 500, summary };
+}
+
+/** A runOnce() that plays back the given verdicts in order. */
+function scriptedRuns(verdicts) {
+  let next = 0;
+  return async () => validationResult(verdicts[next++]);
+}
+
+/** Watch config with no wait between runs and alerts logged to the test's output folder. */
+function watchConfig(overrides = {}) {
+  return {
+    ...DEFAULT_CONFIG,
+    watchIntervalMs: 0,
+    alertLogPath: test.info().outputPath("alerts.log"),
+    ...overrides,
+  };
+}
+
+function readAlertLog(file) {
+  return fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+}
+
+test.describe("watch", () => {
+  test("alerts only when the verdict changes", async () => {
+    const config = watchConfig({ watchRuns: 5 });
+
+    const result = await watch(config, scriptedRuns([true, false, false, true, true]));
+
+    expect(result.runs).toBe(5);
+    expect(result.consecutiveFailures).toBe(0);
+    expect(result.alerts.map(({ alert }) => [alert.event, alert.run, alert.consecutiveFailures])).toEqual([
+      ["failing", 2, 1],
+      ["recovered", 4, 0],
+    ]);
+    expect(readAlertLog(config.alertLogPath).map((line) => [line.event, line.previousStatus, line.errors])).toEqual([
+      ["failing", "pass", 1],
+      ["recovered", "fail", 0],
+    ]);
+  });
+
+  test("alerts when the first run already fails and counts the streak", async () => {
+    const config = watchConfig({ watchRuns: 3 });
+
+    const result = await watch(config, scriptedRuns([false, false, false]));
+
+    expect(result.consecutiveFailures).toBe(3);
+    expect(result.alerts).toHaveLength(1);
+    expect(result.alerts[0].alert).toMatchObject({ event: "failing", previousStatus: null, run: 1 });
+  });
+
+  test("survives a run that throws and alerts it as a failure", async () => {
+    const config = watchConfig({ watchRuns: 3 });
+    const verdicts = scriptedRuns([true, true]);
+    let calls = 0;
+    const runOnce = async () => {
+      if (++calls === 2) throw new Error("EACCES: permission denied, open 'report.html'");
+      return verdicts();
+    };
+
+    const result = await watch(config, runOnce);
+
+    expect(result.runs).toBe(3);
+    expect(result.alerts.map(({ alert }) => [alert.event, alert.run, alert.error])).toEqual([
+      ["failing", 2, "EACCES: permission denied, open 'report.html'"],
+      ["recovered", 3, null],
+    ]);
+    expect(result.alerts[0].alert.result).toBeNull();
+    expect(readAlertLog(config.alertLogPath).map((line) => [line.event, line.errors])).toEqual([
+      ["failing", null],
+      ["recovered", 0],
+    ]);
+  });
+
+  test("logs to onLog", async () => {
+    const lines = [];
+
+    await watch(watchConfig({ watchRuns: 2, alertLogPath: "" }), scriptedRuns([true, false]), { onLog: (line) => lines.push(line) });
+
+    expect(lines.filter((line) => line.includes("Watch run"))).toHaveLength(2);
+    expect(lines.some((line) => line.includes("Verdict changed to FAIL"))).toBe(true);
+  });
+
+  test("stops waiting for the next run once aborted", async () => {
+    const controller = new AbortController();
+    const config = watchConfig({ watchIntervalMs: 60 * 60 * 1000 });
+    const runOnce = async () => {
+      setTimeout(() => controller.abort(), 50);
+      return validationResult(true);
+    };
+
+    const started = Date.now();
+    const result = await watch(config, runOnce, { signal: controller.signal });
+
+    expect(result.runs).toBe(1);
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+});
+
+test.describe("alert channels", () => {
+  const alert = () => ({
+    event: "failing",
+    status: "fail",
+    previousStatus: "pass",
+    consecutiveFailures: 1,
+    run: 2,
+    at: new Date(BASE_TIME).toISOString(),
+    reportPath: "/tmp/report.html",
+    result: { schemaVersion: 2, passed: false, summary: { errors: 1 } },
+  });
+
+  test("posts the alert with its result document to the webhook", async () => {
+    receiver = await startWebhookReceiver();
+    const config = watchConfig({ alertWebhookUrl: receiver.url, alertLogPath: "" });
+
+    const deliveries = await sendAlert(config, alert());
+
+    expect(deliveries).toEqual([{ channel: "webhook", ok: true }]);
+    expect(receiver.requests).toHaveLength(1);
+    expect(receiver.requests[0]).toMatchObject({ method: "POST", headers: { "content-type": "application/json" } });
+    expect(receiver.requests[0].json).toEqual(alert());
+  });
+
+  test("pipes the alert into the command", async () => {
+    const out = test.info().outputPath("command.json");
+    const script = `let s="";process.stdin.on("data",(c)=>s+=c).on("end",()=>require("fs").writeFileSync(${JSON.stringify(out)},JSON.stringify({env:process.env.HN_ALERT_EVENT,alert:JSON.parse(s)})))`;
+    const config = watchConfig({ alertCommand: `node -e '${script}'`, alertLogPath: "" });
+
+    const deliveries = await sendAlert(config, alert());
+
+    expect(deliveries).toEqual([{ channel: "command", ok: true }]);
+    expect(JSON.parse(fs.readFileSync(out, "utf8"))).toEqual({ env: "failing", alert: alert() });
+  });
+
+  test("keeps going when one channel fails", async () => {
+    receiver = await startWebhookReceiver({ status: 500 });
+    const config = watchConfig({ alertWebhookUrl: receiver.url, alertCommand: "exit 3" });
+
+    const deliveries = await sendAlert(config, alert());
+
+    expect(deliveries).toEqual([
+      { channel: "webhook", ok: false, error: "HTTP 500" },
+      { channel: "command", ok: false, error: "exited with code 3" },
+      { channel: "log", ok: true },
+    ]);
+    expect(readAlertLog(config.alertLogPath)).toEqual([expect.objectContaining({ event: "failing", errors: 1 })]);
+  });
+});
+
+test.describe("--watch", () => {
+  test("skips the settings UI and takes its interval and hooks from flags or env", () => {
+    const options = parseCliArgs(["--watch", "--watch-interval-ms=60000", "--alert-command", "notify-send HN"], {});
+
+    expect(options).toMatchObject({ watch: true, interactive: false });
+    expect(options.config).toMatchObject({ watchIntervalMs: 60000, alertCommand: "notify-send HN" });
+    expect(parseCliArgs([], { HN_WATCH: "1", HN_ALERT_WEBHOOK_URL: "http://127.0.0.1:9/hook" })).toMatchObject({
+      watch: true,
+      config: { alertWebhookUrl: "http://127.0.0.1:9/hook" },
+    });
+  });
+
+  test("rejects intervals shorter than ten seconds", () => {
+    expect(() => parseCliArgs(["--watch-interval-ms", "500"], {})).toThrow(/watch-interval-ms must be between 10000/);
+  });
+
+  test("can turn alert channels off with an empty value", () => {
+    expect(parseCliArgs(["--alert-log-path="], {}).config.alertLogPath).toBe("");
+  });
+});